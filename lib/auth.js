@@ -0,0 +1,205 @@
+/**
+ * Autenticación de clientes del proxy
+ *
+ * - Claves por cliente enviadas en X-API-Key o Authorization: Bearer <clave>
+ * - Cada cliente tiene scopes por grupo de rutas: search, fetch, rag-read, rag-write
+ *   (más robots-override para ignorar robots.txt y metrics para /metrics; '*' concede todos)
+ * - Lista de orígenes permitidos para CORS
+ *
+ * Variables de entorno:
+ * - PROXY_API_KEYS: lista separada por comas de "nombre:clave:scope1|scope2"
+ * - PROXY_API_KEYS_FILE: archivo JSON { "clients": [{ "name", "key" | "keySha256", "scopes": [], "rateLimits"? }] }
+ * - AUTH_ENABLED: 'false' desactiva la autenticación (solo desarrollo)
+ * - CORS_ALLOWED_ORIGINS: lista separada por comas de orígenes ('*' = cualquiera)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const SCOPES = ['search', 'fetch', 'rag-read', 'rag-write', 'robots-override', 'metrics'];
+
+class AuthError extends Error {
+  /**
+   * @param {number} statusCode - 401 (sin credenciales válidas) o 403 (sin scope)
+   */
+  constructor(message, { statusCode = 401, requiredScope } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+    this.requiredScope = requiredScope;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function normalizeScopes(scopes, clientName) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split('|');
+  return list.map(s => s.trim()).filter(Boolean).filter(scope => {
+    if (scope === '*' || SCOPES.includes(scope)) return true;
+    logger.warn(`[Auth] Scope desconocido "${scope}" para el cliente ${clientName}, se ignora`);
+    return false;
+  });
+}
+
+class ApiKeyStore {
+  constructor() {
+    this.clients = new Map(); // sha256(clave) -> { name, scopes, rateLimits }
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+
+  /**
+   * Registra un cliente. Acepta la clave en claro o su hash sha256 (hex)
+   * rateLimits: overrides por ruta de lib/rate-limit.js ({ "fetch-js": { "daily": 50 } })
+   */
+  add({ name, key, keySha256, scopes, rateLimits }) {
+    const hash = keySha256 ? keySha256.toLowerCase() : (key ? hashKey(key) : null);
+    if (!name || !hash) {
+      throw new Error('Cada cliente necesita name y key (o keySha256)');
+    }
+    this.clients.set(hash, { name, scopes: normalizeScopes(scopes, name), rateLimits: rateLimits || null });
+  }
+
+  /**
+   * Busca el cliente de una clave (la comparación es sobre el hash, no sobre la clave)
+   * @returns {{ name: string, scopes: string[], rateLimits: Object|null } | null}
+   */
+  lookup(key) {
+    if (!key) return null;
+    return this.clients.get(hashKey(key)) || null;
+  }
+
+  /**
+   * Carga clientes desde "nombre:clave:scope1|scope2,..."
+   */
+  loadFromString(value) {
+    for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+      const [name, key, scopes] = entry.split(':');
+      if (!name || !key) {
+        logger.warn('[Auth] Entrada de PROXY_API_KEYS inválida, se ignora');
+        continue;
+      }
+      this.add({ name, key, scopes: scopes || '' });
+    }
+  }
+
+  loadFromFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const clients = Array.isArray(data) ? data : (data.clients || []);
+    clients.forEach(client => this.add(client));
+  }
+}
+
+function hasScope(client, scope) {
+  return Boolean(client) && (client.scopes.includes('*') || client.scopes.includes(scope));
+}
+
+/**
+ * Helper: Clave del cliente desde X-API-Key o Authorization: Bearer
+ */
+function extractClientKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const authorization = req.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Crea el middleware de autenticación
+ * @returns {{ requireScope: Function, store: ApiKeyStore, enabled: boolean }}
+ */
+function createAuth({ store, enabled = true }) {
+  const anonymous = { name: 'anonymous', scopes: ['*'], anonymous: true };
+
+  /**
+   * Middleware: exige una clave válida con el scope indicado
+   */
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!enabled) {
+        req.client = anonymous;
+        return next();
+      }
+
+      const key = extractClientKey(req);
+      if (!key) {
+        return sendAuthError(res, new AuthError('API key required (X-API-Key header or Authorization: Bearer)'));
+      }
+
+      const client = store.lookup(key);
+      if (!client) {
+        logger.warn(`[Auth] Clave inválida en ${req.method} ${req.path}`);
+        return sendAuthError(res, new AuthError('Invalid API key'));
+      }
+
+      if (!hasScope(client, scope)) {
+        return sendAuthError(res, new AuthError(`Client "${client.name}" lacks the "${scope}" scope`, { statusCode: 403, requiredScope: scope }));
+      }
+
+      req.client = client;
+      next();
+    };
+  }
+
+  return { requireScope, store, enabled };
+}
+
+/**
+ * Crea el store a partir de las variables de entorno
+ */
+function createAuthFromEnv() {
+  const store = new ApiKeyStore();
+  store.loadFromString(process.env.PROXY_API_KEYS);
+  if (process.env.PROXY_API_KEYS_FILE) {
+    store.loadFromFile(process.env.PROXY_API_KEYS_FILE);
+  }
+  return createAuth({ store, enabled: process.env.AUTH_ENABLED !== 'false' });
+}
+
+/**
+ * Opciones para el paquete cors con lista de orígenes permitidos.
+ * Las peticiones sin Origin (servidor a servidor) no se ven afectadas.
+ */
+function createCorsOptions(allowedOrigins) {
+  const origins = (allowedOrigins || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+  return {
+    origin: (origin, callback) => {
+      callback(null, !origin || origins.includes('*') || origins.includes(origin));
+    },
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Robots-Override-Key', 'Cache-Control', 'X-Request-Id'],
+    exposedHeaders: [
+      'X-Request-Id', 'X-Cache', 'Location', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+      'RateLimit-Policy', 'X-Quota-Limit', 'X-Quota-Remaining'
+    ]
+  };
+}
+
+/**
+ * Helper: Respuesta 401/403 con el formato de error del proxy
+ */
+function sendAuthError(res, error) {
+  if (error.statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer realm="searxng-proxy"');
+    return res.status(401).json({ error: 'Unauthorized', message: error.message });
+  }
+  return res.status(403).json({ error: 'Forbidden', message: error.message, requiredScope: error.requiredScope });
+}
+
+module.exports = {
+  SCOPES,
+  AuthError,
+  ApiKeyStore,
+  createAuth,
+  createAuthFromEnv,
+  createCorsOptions,
+  extractClientKey,
+  hasScope,
+  sendAuthError
+};
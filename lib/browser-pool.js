@@ -0,0 +1,251 @@
+/**
+ * Pool de navegadores para Puppeteer
+ *
+ * Mantiene instancias de Chromium "calientes" y entrega a cada render un
+ * BrowserContext aislado (cookies/cache propios) en lugar de lanzar un
+ * navegador por petición.
+ * - Concurrencia máxima de páginas configurable
+ * - Cola de espera con timeout cuando el pool está ocupado
+ * - Reciclaje automático tras N páginas o si el navegador se cae
+ *   (los navegadores en reciclaje cuentan para maxBrowsers hasta cerrarse)
+ */
+
+const { logger } = require('./logger');
+
+class BrowserPoolError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BrowserPoolError';
+    this.code = code;
+    this.statusCode = 503;
+  }
+}
+
+class BrowserPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.launch - async () => Browser
+   * @param {number} [options.maxBrowsers=1] - Instancias de Chromium simultáneas
+   * @param {number} [options.maxConcurrency=4] - Páginas renderizándose a la vez (total)
+   * @param {number} [options.maxPagesPerBrowser=50] - Páginas servidas antes de reciclar un navegador
+   * @param {number} [options.queueTimeoutMs=30000] - Espera máxima en cola
+   * @param {number} [options.maxQueue=20] - Peticiones máximas en cola
+   */
+  constructor({
+    launch,
+    maxBrowsers = 1,
+    maxConcurrency = 4,
+    maxPagesPerBrowser = 50,
+    queueTimeoutMs = 30000,
+    maxQueue = 20
+  }) {
+    this.launch = launch;
+    this.maxBrowsers = Math.max(1, maxBrowsers);
+    this.maxConcurrency = Math.max(1, maxConcurrency);
+    this.maxPagesPerBrowser = Math.max(1, maxPagesPerBrowser);
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.maxQueue = maxQueue;
+
+    this.entries = [];
+    this.queue = [];
+    this.drainWaiters = []; // esperan a que se cierre un navegador en reciclaje
+    this.activeSlots = 0;
+    this.nextId = 1;
+    this.closed = false;
+
+    this.counters = {
+      launches: 0,
+      launchFailures: 0,
+      recycled: 0,
+      crashes: 0,
+      pagesServed: 0,
+      queueTimeouts: 0,
+      queueRejections: 0
+    };
+  }
+
+  /**
+   * Ejecuta fn(page) con una página de un contexto aislado.
+   * La página y su contexto se cierran al terminar, haya error o no.
+   */
+  async run(fn) {
+    await this._acquireSlot();
+
+    let entry = null;
+    let context = null;
+    try {
+      entry = await this._getEntry();
+      entry.activePages++;
+
+      context = await entry.browser.createBrowserContext();
+      const page = await context.newPage();
+      return await fn(page);
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      if (entry) {
+        entry.activePages--;
+        entry.pagesServed++;
+        this.counters.pagesServed++;
+        if (entry.pagesServed >= this.maxPagesPerBrowser) {
+          entry.retiring = true;
+        }
+        this._maybeRetire(entry);
+      }
+      this._releaseSlot();
+    }
+  }
+
+  stats() {
+    return {
+      browsers: this.entries.length,
+      activePages: this.entries.reduce((sum, e) => sum + e.activePages, 0),
+      activeSlots: this.activeSlots,
+      queued: this.queue.length,
+      maxBrowsers: this.maxBrowsers,
+      maxConcurrency: this.maxConcurrency,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Cierra todos los navegadores y rechaza las peticiones en cola
+   */
+  async close() {
+    this.closed = true;
+    for (const waiter of this.queue.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new BrowserPoolError('Browser pool is shutting down', 'POOL_CLOSED'));
+    }
+    this.drainWaiters.splice(0).forEach(resolve => resolve());
+    const entries = this.entries.splice(0);
+    await Promise.all(entries.map(async entry => {
+      entry.retiring = true;
+      const browser = await entry.ready.catch(() => null);
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+    }));
+  }
+
+  _acquireSlot() {
+    if (this.closed) {
+      return Promise.reject(new BrowserPoolError('Browser pool is shutting down', 'POOL_CLOSED'));
+    }
+
+    if (this.activeSlots < this.maxConcurrency) {
+      this.activeSlots++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.counters.queueRejections++;
+      return Promise.reject(new BrowserPoolError(`Render queue is full (${this.maxQueue} waiting)`, 'QUEUE_FULL'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) this.queue.splice(index, 1);
+        this.counters.queueTimeouts++;
+        reject(new BrowserPoolError(`Timed out after ${this.queueTimeoutMs}ms waiting for a browser`, 'QUEUE_TIMEOUT'));
+      }, this.queueTimeoutMs);
+      this.queue.push(waiter);
+    });
+  }
+
+  _releaseSlot() {
+    const waiter = this.queue.shift();
+    if (waiter) {
+      // El slot pasa directamente al siguiente en cola
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    } else {
+      this.activeSlots--;
+    }
+  }
+
+  async _getEntry() {
+    for (;;) {
+      if (this.closed) {
+        throw new BrowserPoolError('Browser pool is shutting down', 'POOL_CLOSED');
+      }
+
+      const usable = this.entries.filter(e => !e.retiring);
+      const leastBusy = usable.sort((a, b) => a.activePages - b.activePages)[0];
+
+      // Lanzar otro navegador si no hay ninguno libre y aún hay cupo (los que se reciclan también ocupan cupo)
+      if (this.entries.length < this.maxBrowsers && (!leastBusy || leastBusy.activePages > 0)) {
+        return this._launchEntry();
+      }
+
+      if (leastBusy) {
+        await leastBusy.ready;
+        return leastBusy;
+      }
+
+      // Todos los navegadores se están reciclando y no hay cupo: esperar a que alguno se cierre
+      await new Promise(resolve => this.drainWaiters.push(resolve));
+    }
+  }
+
+  async _launchEntry() {
+    const entry = {
+      id: this.nextId++,
+      browser: null,
+      ready: null,
+      activePages: 0,
+      pagesServed: 0,
+      retiring: false
+    };
+
+    entry.ready = (async () => {
+      const browser = await this.launch();
+      entry.browser = browser;
+      browser.on('disconnected', () => {
+        if (!entry.retiring) {
+          this.counters.crashes++;
+          logger.warn(`[BrowserPool] Navegador #${entry.id} desconectado inesperadamente`);
+        }
+        entry.retiring = true;
+        this._removeEntry(entry);
+      });
+      return browser;
+    })();
+
+    this.entries.push(entry);
+
+    try {
+      await entry.ready;
+      this.counters.launches++;
+      logger.info(`[BrowserPool] Navegador #${entry.id} iniciado (${this.entries.length}/${this.maxBrowsers})`);
+      return entry;
+    } catch (error) {
+      this.counters.launchFailures++;
+      this._removeEntry(entry);
+      throw error;
+    }
+  }
+
+  _maybeRetire(entry) {
+    if (!entry.retiring || entry.activePages > 0 || !this.entries.includes(entry)) return;
+
+    this._removeEntry(entry);
+    if (entry.browser && entry.browser.connected) {
+      this.counters.recycled++;
+      logger.info(`[BrowserPool] Reciclando navegador #${entry.id} tras ${entry.pagesServed} páginas`);
+      entry.browser.close().catch(() => {});
+    }
+  }
+
+  _removeEntry(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) this.entries.splice(index, 1);
+    this.drainWaiters.splice(0).forEach(resolve => resolve());
+  }
+}
+
+module.exports = { BrowserPool, BrowserPoolError };
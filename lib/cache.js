@@ -0,0 +1,444 @@
+/**
+ * Cache de respuestas para /search, /fetch y extractPageContent
+ *
+ * - Backend en memoria (LRU) por defecto, o en disco (CACHE_BACKEND=disk)
+ * - Claves normalizadas (parámetros ordenados, URL sin fragmento ni utm_*)
+ * - Para páginas web respeta Cache-Control/Expires y revalida con ETag/Last-Modified
+ *
+ * Variables de entorno:
+ * - CACHE_ENABLED: 'false' para desactivar (default: true)
+ * - CACHE_BACKEND: 'memory' (default) | 'disk'
+ * - CACHE_DIR: directorio para el backend en disco (default: ./.cache)
+ * - CACHE_MAX_ENTRIES: máximo de entradas (default: 500)
+ * - CACHE_MAX_BYTES: tamaño total máximo del backend en memoria (default: 100 MB)
+ *
+ * Las páginas de más de MAX_BODY_BYTES no se guardan: se detecta por Content-Length o,
+ * sin él, leyendo el cuerpo con un tope (el resto se entrega en streaming sin almacenar)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const STORED_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control', 'expires', 'content-disposition'];
+
+/**
+ * Helper: Tamaño aproximado de una entrada en bytes
+ */
+function entrySize(entry) {
+  if (typeof entry.body === 'string') return Buffer.byteLength(entry.body);
+  return Buffer.byteLength(JSON.stringify(entry.value ?? null));
+}
+
+/**
+ * Backend LRU en memoria (Map mantiene el orden de inserción), acotado por entradas y por bytes
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = 500, maxBytes = 100 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> { entry, size }
+    this.bytes = 0;
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (item) {
+      // Mover al final (más reciente)
+      this.entries.delete(key);
+      this.entries.set(key, item);
+    }
+    return item ? item.entry : null;
+  }
+
+  async set(key, entry) {
+    await this.delete(key);
+    const size = entrySize(entry);
+    if (size > this.maxBytes) return;
+
+    this.entries.set(key, { entry, size });
+    this.bytes += size;
+    // Descartar las menos usadas hasta respetar ambos límites
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      await this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    const item = this.entries.get(key);
+    if (!item) return false;
+    this.bytes -= item.size;
+    return this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Backend en disco: un archivo JSON por clave, se descartan los más antiguos (mtime)
+ */
+class DiskCacheStore {
+  constructor({ dir, maxEntries = 500 } = {}) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.writesSincePrune = 0;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _file(key) {
+    return path.join(this.dir, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+  }
+
+  async get(key) {
+    try {
+      const raw = await fs.promises.readFile(this._file(key), 'utf-8');
+      const entry = JSON.parse(raw);
+      // Marcar como usado recientemente para el LRU
+      const now = new Date();
+      fs.promises.utimes(this._file(key), now, now).catch(() => {});
+      return entry.key === key ? entry.value : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    await fs.promises.writeFile(this._file(key), JSON.stringify({ key, value }));
+    if (++this.writesSincePrune >= 50) {
+      this.writesSincePrune = 0;
+      await this._prune().catch(() => {});
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this._file(key));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async clear() {
+    const files = await fs.promises.readdir(this.dir);
+    await Promise.all(files.filter(f => f.endsWith('.json')).map(f => fs.promises.unlink(path.join(this.dir, f)).catch(() => {})));
+  }
+
+  async size() {
+    const files = await fs.promises.readdir(this.dir);
+    return files.filter(f => f.endsWith('.json')).length;
+  }
+
+  async _prune() {
+    const files = (await fs.promises.readdir(this.dir)).filter(f => f.endsWith('.json'));
+    if (files.length <= this.maxEntries) return;
+
+    const withTimes = await Promise.all(files.map(async f => {
+      const stat = await fs.promises.stat(path.join(this.dir, f)).catch(() => null);
+      return { f, mtime: stat ? stat.mtimeMs : 0 };
+    }));
+    withTimes.sort((a, b) => a.mtime - b.mtime);
+    const excess = withTimes.slice(0, files.length - this.maxEntries);
+    await Promise.all(excess.map(({ f }) => fs.promises.unlink(path.join(this.dir, f)).catch(() => {})));
+  }
+}
+
+/**
+ * Helper: Clave estable a partir de parámetros (orden alfabético, sin parámetros de control)
+ */
+function normalizeParamsKey(params, ignore = []) {
+  return Object.keys(params || {})
+    .filter(k => !ignore.includes(k) && params[k] !== undefined && params[k] !== '')
+    .sort()
+    .map(k => `${k}=${Array.isArray(params[k]) ? params[k].join(',') : String(params[k]).trim()}`)
+    .join('&');
+}
+
+/**
+ * Helper: Normaliza una URL para usarla como clave de cache
+ */
+function normalizeUrlKey(rawUrl) {
+  try {
+    const parsed = new URL(rawUrl);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+    const params = [...parsed.searchParams.entries()]
+      .filter(([k]) => !/^utm_/i.test(k) && k !== 'fbclid' && k !== 'gclid')
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+    return parsed.href;
+  } catch (e) {
+    return String(rawUrl);
+  }
+}
+
+/**
+ * Helper: Calcula el tiempo de vida según las cabeceras HTTP
+ * @returns {{ noStore: boolean, maxAgeMs: number|null }} maxAgeMs null = sin indicación
+ */
+function parseFreshness(headers) {
+  const cacheControl = (headers['cache-control'] || '').toLowerCase();
+
+  if (/\bno-store\b/.test(cacheControl)) {
+    return { noStore: true, maxAgeMs: 0 };
+  }
+  if (/\bno-cache\b/.test(cacheControl)) {
+    return { noStore: false, maxAgeMs: 0 };
+  }
+
+  const maxAge = cacheControl.match(/\bs-maxage=(\d+)/) || cacheControl.match(/\bmax-age=(\d+)/);
+  if (maxAge) {
+    return { noStore: false, maxAgeMs: parseInt(maxAge[1], 10) * 1000 };
+  }
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    if (!isNaN(expires)) {
+      return { noStore: false, maxAgeMs: Math.max(0, expires - Date.now()) };
+    }
+  }
+
+  return { noStore: false, maxAgeMs: null };
+}
+
+/**
+ * Helper: Lee el cuerpo hasta maxBytes
+ * @returns {Promise<{ body: string, rest: null } | { body: null, rest: ReadableStream }>}
+ *   rest: si se superó el tope, stream con lo ya leído seguido del resto del cuerpo
+ */
+async function readBodyUpTo(response, maxBytes) {
+  if (!response.body) return { body: '', rest: null };
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    if (received > maxBytes) {
+      const rest = new ReadableStream({
+        start(controller) {
+          chunks.forEach(chunk => controller.enqueue(chunk));
+        },
+        async pull(controller) {
+          const next = await reader.read();
+          if (next.done) controller.close();
+          else controller.enqueue(next.value);
+        },
+        cancel(reason) {
+          return reader.cancel(reason);
+        }
+      });
+      return { body: null, rest };
+    }
+  }
+  return { body: Buffer.concat(chunks, received).toString('utf-8'), rest: null };
+}
+
+class ResponseCache {
+  constructor({ store, enabled = true }) {
+    this.store = store;
+    this.enabled = enabled;
+    this.counters = { hits: 0, misses: 0, revalidated: 0, stores: 0, purges: 0 };
+  }
+
+  /**
+   * Lee una entrada JSON simple (p.ej. resultados de SearXNG)
+   * @returns {Promise<{value, cache}|null>}
+   */
+  async getJson(namespace, key, ttlMs) {
+    if (!this.enabled) return null;
+
+    const entry = await this.store.get(`${namespace}:${key}`);
+    const ageMs = entry ? Date.now() - entry.storedAt : 0;
+    if (!entry || ageMs > ttlMs) {
+      this.counters.misses++;
+      return null;
+    }
+
+    this.counters.hits++;
+    return { value: entry.value, cache: { hit: true, ageMs, storedAt: new Date(entry.storedAt).toISOString() } };
+  }
+
+  async setJson(namespace, key, value) {
+    if (!this.enabled) return;
+    this.counters.stores++;
+    await this.store.set(`${namespace}:${key}`, { value, storedAt: Date.now() });
+  }
+
+  async purge(namespace, key) {
+    this.counters.purges++;
+    return this.store.delete(`${namespace}:${key}`);
+  }
+
+  /**
+   * fetch() de páginas con cache HTTP:
+   * - Entrada fresca (Cache-Control/Expires o ttlMs por defecto) → se sirve sin red
+   * - Entrada vencida con ETag/Last-Modified → petición condicional (304 reutiliza el body)
+   * Devuelve un Response estándar con la propiedad extra `cacheInfo`.
+   *
+   * @param {string} url
+   * @param {Object} fetchOptions - opciones para fetchImpl
+   * @param {Object} options
+   * @param {Function} options.fetchImpl - implementación de fetch (p.ej. safeFetch)
+   * @param {number} options.ttlMs - vida por defecto si el servidor no indica nada
+   * @param {boolean} [options.bypass] - ignorar la entrada existente (se vuelve a guardar)
+   * @param {boolean} [options.purge] - eliminar la entrada antes de descargar
+   */
+  async fetchPage(url, fetchOptions, { fetchImpl, ttlMs, bypass = false, purge = false }) {
+    const key = `page:${normalizeUrlKey(url)}`;
+
+    if (!this.enabled) {
+      const response = await fetchImpl(url, fetchOptions);
+      response.cacheInfo = { hit: false, disabled: true };
+      return response;
+    }
+
+    if (purge) {
+      this.counters.purges++;
+      await this.store.delete(key);
+    }
+
+    const entry = bypass || purge ? null : await this.store.get(key);
+
+    if (entry) {
+      const ageMs = Date.now() - entry.storedAt;
+      const lifetime = entry.maxAgeMs !== null ? entry.maxAgeMs : ttlMs;
+      if (ageMs <= lifetime) {
+        this.counters.hits++;
+        return this._toResponse(entry, { hit: true, revalidated: false, ageMs });
+      }
+    }
+
+    // Revalidación condicional si la entrada tiene validadores
+    const headers = { ...(fetchOptions.headers || {}) };
+    if (entry && entry.headers.etag) {
+      headers['If-None-Match'] = entry.headers.etag;
+    }
+    if (entry && entry.headers['last-modified']) {
+      headers['If-Modified-Since'] = entry.headers['last-modified'];
+    }
+
+    const response = await fetchImpl(url, { ...fetchOptions, headers });
+
+    if (response.status === 304 && entry) {
+      await response.body?.cancel().catch(() => {});
+      const refreshed = { ...entry, storedAt: Date.now() };
+      const freshness = parseFreshness(this._pickHeaders(response.headers));
+      if (freshness.maxAgeMs !== null) {
+        refreshed.maxAgeMs = freshness.maxAgeMs;
+      }
+      await this.store.set(key, refreshed);
+      this.counters.revalidated++;
+      return this._toResponse(refreshed, { hit: true, revalidated: true, ageMs: 0 });
+    }
+
+    this.counters.misses++;
+
+    if (response.status !== 200) {
+      response.cacheInfo = { hit: false };
+      return response;
+    }
+
+    const storedHeaders = this._pickHeaders(response.headers);
+    const contentType = storedHeaders['content-type'] || '';
+    const freshness = parseFreshness(storedHeaders);
+    const isText = /text\/|json|xml|javascript/.test(contentType);
+
+    if (freshness.noStore || !isText || parseInt(response.headers.get('content-length'), 10) > MAX_BODY_BYTES) {
+      response.cacheInfo = { hit: false, stored: false };
+      return response;
+    }
+
+    const { body, rest } = await readBodyUpTo(response, MAX_BODY_BYTES);
+    if (rest) {
+      // Demasiado grande para guardar: se entrega lo leído más el resto en streaming
+      const streamed = new Response(rest, { status: response.status, statusText: response.statusText, headers: response.headers });
+      Object.defineProperty(streamed, 'url', { value: response.url || url });
+      streamed.cacheInfo = { hit: false, stored: false };
+      return streamed;
+    }
+
+    const newEntry = {
+      status: response.status,
+      statusText: response.statusText,
+      url: response.url || url,
+      headers: storedHeaders,
+      body,
+      maxAgeMs: freshness.maxAgeMs,
+      storedAt: Date.now()
+    };
+
+    this.counters.stores++;
+    await this.store.set(key, newEntry);
+
+    return this._toResponse(newEntry, { hit: false, stored: true });
+  }
+
+  async stats() {
+    return {
+      enabled: this.enabled,
+      backend: this.store.constructor.name,
+      entries: await this.store.size(),
+      ...this.counters
+    };
+  }
+
+  _pickHeaders(headers) {
+    const picked = {};
+    for (const name of STORED_HEADERS) {
+      const value = headers.get(name);
+      if (value) picked[name] = value;
+    }
+    return picked;
+  }
+
+  _toResponse(entry, cacheInfo) {
+    const response = new Response(entry.body, {
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: entry.headers
+    });
+    // Response.url es de solo lectura en objetos construidos
+    Object.defineProperty(response, 'url', { value: entry.url });
+    response.cacheInfo = {
+      ...cacheInfo,
+      storedAt: new Date(entry.storedAt).toISOString()
+    };
+    return response;
+  }
+}
+
+/**
+ * Crea el cache según las variables de entorno
+ */
+function createResponseCache() {
+  const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+  const store = process.env.CACHE_BACKEND === 'disk'
+    ? new DiskCacheStore({ dir: process.env.CACHE_DIR || path.join(process.cwd(), '.cache'), maxEntries })
+    : new MemoryCacheStore({ maxEntries, maxBytes: parseInt(process.env.CACHE_MAX_BYTES, 10) || 100 * 1024 * 1024 });
+
+  return new ResponseCache({
+    store,
+    enabled: process.env.CACHE_ENABLED !== 'false'
+  });
+}
+
+module.exports = {
+  MemoryCacheStore,
+  DiskCacheStore,
+  ResponseCache,
+  createResponseCache,
+  normalizeParamsKey,
+  normalizeUrlKey
+};
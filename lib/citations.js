@@ -0,0 +1,140 @@
+/**
+ * Fuentes y citas de las respuestas de /query-rag
+ *
+ * - sources: lista numerada (id 1, 2, ...) con fileId, filename, fragmento, score y página si se conoce
+ * - Origen de las fuentes:
+ *   · openwebui: campo sources (o citations en versiones anteriores) de la respuesta de Open WebUI,
+ *     numeradas por documento en orden de aparición, igual que las numera Open WebUI en el prompt
+ *   · proxy: fragmentos recuperados por el proxy y enviados numerados al modelo (retrieve-then-generate)
+ * - citations: marcadores [n] / [n, m] del texto de la respuesta asociados a las fuentes
+ */
+
+const SOURCES_MODES = ['openwebui', 'proxy'];
+const EXCERPT_CHARS = 300;
+
+/**
+ * Fragmento abreviado para mostrar en la fuente
+ */
+function excerpt(text, maxChars = EXCERPT_CHARS) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  return normalized.length > maxChars ? `${normalized.slice(0, maxChars - 1).trimEnd()}…` : normalized;
+}
+
+/**
+ * Página (1-based) según los metadatos del loader de Open WebUI (page es 0-based)
+ */
+function pageOf(metadata = {}) {
+  if (metadata.page_label !== undefined && metadata.page_label !== null) return String(metadata.page_label);
+  return Number.isInteger(metadata.page) ? metadata.page + 1 : null;
+}
+
+function roundScore(value) {
+  return typeof value === 'number' ? Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000 : null;
+}
+
+/**
+ * Fuentes a partir de la respuesta de chat completions de Open WebUI
+ * @param {Object} result - Respuesta JSON (con sources o citations)
+ * @returns {Array<Object>} [{ id, fileId, filename, excerpt, score, page, chunks }]
+ */
+function sourcesFromOpenWebUI(result) {
+  const entries = result?.sources || result?.citations || [];
+  const byKey = new Map();
+
+  entries.forEach((entry, entryIndex) => {
+    const documents = entry.document || [];
+    documents.forEach((text, index) => {
+      const metadata = entry.metadata?.[index] || {};
+      // Sin identificador, cada entrada es un documento propio (no se agrupan entre sí)
+      const key = metadata.source || metadata.file_id || entry.source?.id || entry.source?.name || `entry:${entryIndex}`;
+      const score = roundScore(entry.distances?.[index]);
+
+      let source = byKey.get(key);
+      if (!source) {
+        source = {
+          id: byKey.size + 1,
+          fileId: metadata.file_id || null,
+          filename: metadata.name || entry.source?.name || metadata.source || null,
+          knowledgeId: entry.source?.type === 'collection' ? entry.source.id : null,
+          excerpt: excerpt(text),
+          score,
+          page: pageOf(metadata),
+          chunks: 0
+        };
+        byKey.set(key, source);
+      } else if (score !== null && (source.score === null || score > source.score)) {
+        // El fragmento mostrado es el más relevante del documento
+        Object.assign(source, { excerpt: excerpt(text), score, page: pageOf(metadata) });
+      }
+      source.chunks++;
+    });
+  });
+
+  return [...byKey.values()];
+}
+
+/**
+ * Fuente a partir de un fragmento del retrieval del proxy
+ */
+function sourceFromChunk(chunk, id) {
+  return {
+    id,
+    fileId: chunk.fileId || null,
+    filename: chunk.filename || null,
+    knowledgeId: chunk.knowledgeId || null,
+    excerpt: excerpt(chunk.content),
+    score: chunk.score ?? null,
+    page: pageOf(chunk.metadata),
+    heading: chunk.heading || null
+  };
+}
+
+/**
+ * Prompt de sistema con los fragmentos numerados para el modo proxy
+ */
+function buildCitationPrompt(chunks) {
+  if (chunks.length === 0) {
+    return 'No se encontraron fragmentos relevantes en la base de conocimiento. Indica que no hay información disponible para responder. Responde en el idioma de la pregunta.';
+  }
+
+  const context = chunks.map((chunk, index) => {
+    const page = pageOf(chunk.metadata);
+    const label = [chunk.filename, page ? `pág. ${page}` : null].filter(Boolean).join(', ');
+    return `[${index + 1}]${label ? ` (${label})` : ''}\n${chunk.content}`;
+  }).join('\n\n');
+
+  return [
+    'Responde la pregunta usando solo los fragmentos numerados de abajo.',
+    'Cita cada afirmación con el número del fragmento entre corchetes, por ejemplo [1] o [2][3].',
+    'Si los fragmentos no contienen la respuesta, dilo. Responde en el idioma de la pregunta.',
+    '',
+    context
+  ].join('\n');
+}
+
+/**
+ * Marcadores de cita del texto asociados a las fuentes; marca cited en las fuentes citadas
+ * @returns {Array<{ marker: string, sourceIds: number[], offset: number }>}
+ */
+function extractCitations(text, sources) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const citations = [];
+
+  for (const match of String(text || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    const sourceIds = match[1].split(',').map(id => parseInt(id, 10)).filter(id => byId.has(id));
+    if (sourceIds.length === 0) continue;
+    sourceIds.forEach(id => { byId.get(id).cited = true; });
+    citations.push({ marker: match[0], sourceIds, offset: match.index });
+  }
+
+  sources.forEach(source => { source.cited = Boolean(source.cited); });
+  return citations;
+}
+
+module.exports = {
+  SOURCES_MODES,
+  sourcesFromOpenWebUI,
+  sourceFromChunk,
+  buildCitationPrompt,
+  extractCitations
+};
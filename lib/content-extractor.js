@@ -0,0 +1,375 @@
+/**
+ * Extracción del contenido principal de una página (estilo Readability)
+ *
+ * Compartido por /fetch, /fetch-js y /deep-search:
+ * 1. Elimina boilerplate (scripts, menús, banners de cookies, pies de página...)
+ * 2. Puntúa los bloques del DOM por densidad de texto y de enlaces
+ * 3. Toma el mejor candidato como artículo principal
+ * 4. Lo recorre en orden conservando la estructura: títulos, párrafos, listas, tablas y código
+ */
+
+const cheerio = require('cheerio');
+
+// Elementos que nunca forman parte del contenido
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'canvas', 'template', 'form', 'button', 'select', 'input',
+  'nav', 'footer', 'header', 'aside', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]', '[role="alertdialog"]',
+  '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+const NEGATIVE_PATTERN = /cookie|consent|gdpr|banner|combx|comment|disqus|foot|footer|masthead|menu|navbar|nav-|breadcrumb|sidebar|sponsor|advert|\bad\b|ads|promo|popup|modal|newsletter|subscribe|social|share|related|widget|pagination|skip-link|login/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|text|blog|story|nota|noticia|contenido/i;
+
+const BLOCK_TAGS = new Set(['p', 'pre', 'td', 'blockquote', 'li', 'dd']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const MIN_BLOCK_LENGTH = 25;
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function classAndId($el) {
+  return `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+}
+
+/**
+ * Helper: Peso por clase/id (Readability): +25 positivo, -25 negativo
+ */
+function classWeight($el) {
+  const value = classAndId($el);
+  let weight = 0;
+  if (NEGATIVE_PATTERN.test(value)) weight -= 25;
+  if (POSITIVE_PATTERN.test(value)) weight += 25;
+  return weight;
+}
+
+/**
+ * Helper: Proporción del texto que está dentro de enlaces (0-1)
+ */
+function linkDensity($, el) {
+  const textLength = normalizeText($(el).text()).length;
+  if (textLength === 0) return 0;
+  let linkLength = 0;
+  $(el).find('a').each((_, a) => {
+    linkLength += normalizeText($(a).text()).length;
+  });
+  return linkLength / textLength;
+}
+
+function initialScore($, el) {
+  const tag = el.tagName;
+  let score = classWeight($(el));
+  if (tag === 'article' || tag === 'main') score += 10;
+  else if (tag === 'div' || tag === 'section') score += 5;
+  else if (tag === 'pre' || tag === 'td' || tag === 'blockquote') score += 3;
+  else if (tag === 'ol' || tag === 'ul' || tag === 'dl' || tag === 'form') score -= 3;
+  else if (HEADING_TAGS.has(tag) || tag === 'th') score -= 5;
+  return score;
+}
+
+/**
+ * Elimina boilerplate del documento (modifica $)
+ */
+function removeBoilerplate($) {
+  $(REMOVE_SELECTORS).remove();
+
+  // Contenedores con clase/id de boilerplate, salvo que parezcan el contenido principal
+  $('div, section, ul, span, p, aside, table').each((_, el) => {
+    const $el = $(el);
+    if (el.tagName === 'body' || el.tagName === 'html') return;
+    const value = classAndId($el);
+    if (value.trim() && NEGATIVE_PATTERN.test(value) && !POSITIVE_PATTERN.test(value)) {
+      $el.remove();
+    }
+  });
+}
+
+/**
+ * Busca el nodo con mayor puntuación de contenido
+ */
+function findMainCandidate($) {
+  const scores = new Map();
+
+  const addScore = (el, amount) => {
+    if (!el || el.type !== 'tag' || el.tagName === 'html') return;
+    if (!scores.has(el)) {
+      scores.set(el, initialScore($, el));
+    }
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  $('p, pre, td, blockquote, li, dd, div, span').each((_, el) => {
+    const tag = el.tagName;
+    let text;
+    if (BLOCK_TAGS.has(tag)) {
+      text = normalizeText($(el).text());
+    } else {
+      // div/span: solo su texto directo (sitios que no usan <p>)
+      text = normalizeText($(el).contents().filter((_, node) => node.type === 'text').text());
+    }
+    if (text.length < MIN_BLOCK_LENGTH) return;
+
+    // Comas y longitud indican prosa; se reparte al padre (completo) y abuelo (mitad)
+    const contentScore = 1 + text.split(/[,،、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parent;
+    addScore(parent, contentScore);
+    if (parent && parent.parent) {
+      addScore(parent.parent, contentScore / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const [el, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, el));
+    if (finalScore > bestScore) {
+      best = el;
+      bestScore = finalScore;
+    }
+  }
+
+  if (!best) return null;
+
+  // Si el candidato tiene poco texto, subir al ancestro que concentre más contenido
+  let candidate = best;
+  while (candidate.parent && candidate.parent.type === 'tag' && candidate.parent.tagName !== 'body' &&
+         normalizeText($(candidate).text()).length < 250) {
+    candidate = candidate.parent;
+  }
+  return candidate;
+}
+
+/**
+ * Extrae una tabla como { headers, rows }
+ */
+function extractTable($, table) {
+  const tableData = { headers: [], rows: [] };
+  const $table = $(table);
+
+  $table.find('thead tr th, thead tr td, tr:first-child th').each((_, th) => {
+    tableData.headers.push(normalizeText($(th).text()));
+  });
+
+  // Si no hay thead, usar primera fila como headers
+  if (tableData.headers.length === 0) {
+    $table.find('tr:first-child td').each((_, td) => {
+      tableData.headers.push(normalizeText($(td).text()));
+    });
+  }
+
+  $table.find('tr').each((rowIndex, tr) => {
+    const cells = $(tr).find('td, th');
+    const row = [];
+    cells.each((_, cell) => {
+      row.push(normalizeText($(cell).text()));
+    });
+
+    // Saltar la fila usada como headers
+    if (rowIndex === 0 && tableData.headers.length > 0 &&
+        row.length === tableData.headers.length && row.every((cell, i) => cell === tableData.headers[i])) {
+      return;
+    }
+
+    if (row.length > 0 && row.some(cell => cell.length > 0)) {
+      tableData.rows.push(row);
+    }
+  });
+
+  return tableData;
+}
+
+/**
+ * Recorre el nodo principal y genera bloques estructurados en orden de documento
+ */
+function collectBlocks($, root) {
+  const blocks = [];
+  const seen = new Set();
+
+  const push = (block, text) => {
+    const key = `${block.type}:${text}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    blocks.push(block);
+  };
+
+  const walk = (node) => {
+    if (node.type === 'text') {
+      // Texto suelto dentro de div/span (sitios sin <p>)
+      const text = normalizeText(node.data);
+      const parentTag = node.parent && node.parent.tagName;
+      if (text.length >= MIN_BLOCK_LENGTH && (parentTag === 'div' || parentTag === 'section' || parentTag === 'article' || parentTag === 'main' || parentTag === 'span')) {
+        push({ type: 'paragraph', text, inline: [{ text }] }, text);
+      }
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const tag = node.tagName;
+    const $node = $(node);
+
+    if (HEADING_TAGS.has(tag)) {
+      const text = normalizeText($node.text());
+      if (text) push({ type: 'heading', level: parseInt(tag[1], 10), text }, text);
+      return;
+    }
+
+    if (tag === 'p' || tag === 'blockquote') {
+      const text = normalizeText($node.text());
+      if (text.length >= 2 && linkDensity($, node) < 0.6) {
+        push({ type: tag === 'p' ? 'paragraph' : 'quote', text, inline: collectInline($, node) }, text);
+      }
+      return;
+    }
+
+    if (tag === 'pre') {
+      const text = $node.text().replace(/\s+$/, '');
+      if (text.trim()) {
+        const codeClass = $node.find('code').attr('class') || $node.attr('class') || '';
+        const language = (codeClass.match(/(?:language|lang)-(\w+)/) || [])[1] || null;
+        push({ type: 'code', text, language }, text);
+      }
+      return;
+    }
+
+    if (tag === 'ul' || tag === 'ol') {
+      const items = [];
+      $node.children('li').each((_, li) => {
+        // Solo el texto propio del item; las sublistas se aplanan con sangría
+        const $li = $(li).clone();
+        $li.find('ul, ol').remove();
+        const text = normalizeText($li.text());
+        if (text) items.push({ text, inline: collectInline($, li, ['ul', 'ol']) });
+      });
+      // Listas de navegación (casi todo enlaces) no son contenido
+      if (items.length > 0 && linkDensity($, node) < 0.7) {
+        push({ type: 'list', ordered: tag === 'ol', items }, items.map(i => i.text).join('|'));
+      }
+      return;
+    }
+
+    if (tag === 'table') {
+      const table = extractTable($, node);
+      if (table.rows.length > 0 || table.headers.length > 0) {
+        push({ type: 'table', ...table }, JSON.stringify(table));
+      }
+      return;
+    }
+
+    if (tag === 'img' || tag === 'br' || tag === 'hr') return;
+
+    node.children.forEach(walk);
+  };
+
+  walk(root);
+  return blocks;
+}
+
+/**
+ * Helper: Fragmentos en línea de un bloque (texto, enlaces, énfasis y código)
+ * Lo usa el conversor a Markdown; los consumidores de texto plano usan block.text
+ */
+function collectInline($, el, skipTags = []) {
+  const parts = [];
+  const walk = (node, marks) => {
+    if (node.type === 'text') {
+      const text = node.data.replace(/\s+/g, ' ');
+      if (text) parts.push({ text, ...marks });
+      return;
+    }
+    if (node.type !== 'tag' || skipTags.includes(node.tagName)) return;
+
+    const tag = node.tagName;
+    const next = { ...marks };
+    if (tag === 'a' && node.attribs.href && !node.attribs.href.startsWith('javascript:')) next.href = node.attribs.href;
+    if (tag === 'strong' || tag === 'b') next.bold = true;
+    if (tag === 'em' || tag === 'i') next.italic = true;
+    if (tag === 'code') next.code = true;
+    if (tag === 'br') {
+      parts.push({ text: '\n' });
+      return;
+    }
+    node.children.forEach(child => walk(child, next));
+  };
+  el.children.forEach(child => walk(child, {}));
+  return parts;
+}
+
+function blockToText(block) {
+  switch (block.type) {
+    case 'list':
+      return block.items.map(item => `- ${item.text}`).join('\n');
+    case 'table':
+      return [block.headers, ...block.rows].filter(r => r.length > 0).map(r => r.join(' | ')).join('\n');
+    default:
+      return block.text;
+  }
+}
+
+/**
+ * Extrae el contenido principal de un HTML
+ * @param {string} html
+ * @returns {{
+ *   title: string,
+ *   blocks: Array,        // Bloques estructurados (heading/paragraph/list/table/code/quote)
+ *   headings: Array,      // [{ level, text }]
+ *   textContent: Array,   // Textos en orden (formato histórico de /fetch)
+ *   paragraphs: Array,    // Párrafos de prosa
+ *   tables: Array,        // Todas las tablas de la página (sin boilerplate)
+ *   text: string,         // Contenido principal como texto plano
+ *   usedFallback: boolean // true si no se encontró un bloque principal claro
+ * }}
+ */
+function extractMainContent(html) {
+  const $ = cheerio.load(html);
+
+  const title = normalizeText($('title').first().text()) ||
+                normalizeText($('meta[property="og:title"]').attr('content')) ||
+                normalizeText($('h1').first().text());
+
+  removeBoilerplate($);
+
+  const candidate = findMainCandidate($);
+  const body = $('body').get(0) || $.root().get(0);
+  let root = candidate || body;
+  let blocks = collectBlocks($, root);
+
+  // Candidato pobre: usar el body completo
+  let usedFallback = !candidate;
+  const candidateLength = blocks.reduce((sum, b) => sum + blockToText(b).length, 0);
+  if (candidate && candidateLength < 200) {
+    root = body;
+    blocks = collectBlocks($, root);
+    usedFallback = true;
+  }
+
+  // El título principal suele estar fuera del contenedor del artículo
+  const h1 = normalizeText($('h1').first().text());
+  if (h1 && !blocks.some(b => b.type === 'heading' && b.text === h1)) {
+    blocks.unshift({ type: 'heading', level: 1, text: h1 });
+  }
+
+  const tables = [];
+  $('table').each((_, table) => {
+    const tableData = extractTable($, table);
+    if (tableData.rows.length > 0 || tableData.headers.length > 0) {
+      tables.push(tableData);
+    }
+  });
+
+  return {
+    title,
+    blocks,
+    headings: blocks.filter(b => b.type === 'heading').map(b => ({ level: b.level, text: b.text })),
+    textContent: blocks
+      .filter(b => b.type !== 'table')
+      .flatMap(b => (b.type === 'list' ? b.items.map(item => item.text) : [b.text]))
+      .filter(text => text.length > 10),
+    paragraphs: blocks.filter(b => b.type === 'paragraph').map(b => b.text),
+    tables,
+    text: blocks.map(blockToText).join('\n\n'),
+    usedFallback
+  };
+}
+
+module.exports = { extractMainContent, extractTable, removeBoilerplate };
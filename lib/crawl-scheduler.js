@@ -0,0 +1,212 @@
+/**
+ * Planificador de crawling para /deep-search
+ *
+ * - Pool acotado de workers descargando páginas en paralelo
+ * - Límite de concurrencia y retardo mínimo entre peticiones por host
+ * - Presupuesto de páginas por sitio y profundidad máxima
+ * - Presupuesto global de tiempo: al vencer se devuelven los resultados parciales
+ */
+
+const { logger } = require('./logger');
+
+class CrawlScheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.worker - async (item) => Array<{url, ...}> enlaces hijos a encolar
+   * @param {number} [options.concurrency=4] - Páginas descargándose a la vez (global)
+   * @param {number} [options.perHostConcurrency=2] - Páginas a la vez por host
+   * @param {number} [options.perHostDelayMs=500] - Retardo mínimo entre peticiones al mismo host
+   * @param {number} [options.maxPagesPerSite=3] - Páginas máximas por host
+   * @param {number} [options.maxDepth=1] - Profundidad máxima (0 = solo URLs iniciales)
+   * @param {number} [options.maxPages=50] - Páginas máximas en total
+   * @param {number} [options.timeBudgetMs=60000] - Tiempo máximo del crawling
+   * @param {Function} [options.isCancelled] - () => boolean
+   * @param {Function} [options.getHostDelayMs] - (host) => ms, retardo específico por host (p.ej. Crawl-delay)
+   */
+  constructor({
+    worker,
+    concurrency = 4,
+    perHostConcurrency = 2,
+    perHostDelayMs = 500,
+    maxPagesPerSite = 3,
+    maxDepth = 1,
+    maxPages = 50,
+    timeBudgetMs = 60000,
+    isCancelled = () => false,
+    getHostDelayMs = null
+  }) {
+    this.worker = worker;
+    this.concurrency = Math.max(1, concurrency);
+    this.perHostConcurrency = Math.max(1, perHostConcurrency);
+    this.perHostDelayMs = Math.max(0, perHostDelayMs);
+    this.maxPagesPerSite = Math.max(1, maxPagesPerSite);
+    this.maxDepth = Math.max(0, maxDepth);
+    this.maxPages = Math.max(1, maxPages);
+    this.timeBudgetMs = timeBudgetMs;
+    this.isCancelled = isCancelled;
+    this.getHostDelayMs = getHostDelayMs;
+
+    this.queue = [];
+    this.seen = new Set();
+    this.hosts = new Map(); // host -> { active, lastStart, pages }
+    this.active = 0;
+    this.scheduled = 0;
+    this.nextOrder = 0;
+    this.skipped = [];
+    this.timedOut = false;
+    this.finished = false;
+  }
+
+  /**
+   * Encola una URL si no fue vista y respeta los presupuestos
+   * @returns {boolean} true si se encoló
+   */
+  enqueue(item) {
+    const depth = item.depth || 0;
+    let host;
+    try {
+      host = new URL(item.url).hostname;
+    } catch (e) {
+      return false;
+    }
+
+    const key = item.url.split('#')[0];
+    if (this.seen.has(key)) return false;
+
+    if (depth > this.maxDepth) return false;
+
+    if (this.scheduled >= this.maxPages) {
+      this.skipped.push({ url: item.url, reason: 'max-pages' });
+      return false;
+    }
+
+    const hostState = this._host(host);
+    if (hostState.pages >= this.maxPagesPerSite) {
+      this.skipped.push({ url: item.url, reason: 'site-budget' });
+      return false;
+    }
+
+    this.seen.add(key);
+    hostState.pages++;
+    this.scheduled++;
+    this.queue.push({ ...item, depth, host, order: this.nextOrder++ });
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Ejecuta el crawling hasta vaciar la cola o agotar el tiempo
+   * @returns {Promise<{ timedOut: boolean, cancelled: boolean, skipped: Array, visited: number }>}
+   */
+  run() {
+    return new Promise(resolve => {
+      this._resolve = resolve;
+      this._deadline = setTimeout(() => {
+        this.timedOut = true;
+        this._finish();
+      }, this.timeBudgetMs);
+      this._pump();
+    });
+  }
+
+  _host(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, lastStart: 0, pages: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  _hostDelay(host) {
+    const custom = this.getHostDelayMs ? this.getHostDelayMs(host) : null;
+    return Math.max(this.perHostDelayMs, custom || 0);
+  }
+
+  _pump() {
+    if (this.finished || !this._resolve) return;
+
+    if (this.isCancelled()) {
+      this._finish();
+      return;
+    }
+
+    const now = Date.now();
+    let nextWakeUp = null;
+
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      // Primer elemento cuyo host tenga capacidad y haya cumplido el retardo
+      const index = this.queue.findIndex(item => {
+        const state = this._host(item.host);
+        if (state.active >= this.perHostConcurrency) return false;
+        const readyAt = state.lastStart + this._hostDelay(item.host);
+        if (readyAt > now) {
+          nextWakeUp = nextWakeUp === null ? readyAt : Math.min(nextWakeUp, readyAt);
+          return false;
+        }
+        return true;
+      });
+
+      if (index === -1) break;
+
+      const [item] = this.queue.splice(index, 1);
+      this._start(item);
+    }
+
+    if (this.active === 0 && this.queue.length === 0) {
+      this._finish();
+      return;
+    }
+
+    // Hay trabajo esperando el retardo de su host
+    if (nextWakeUp !== null && !this._timer) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._pump();
+      }, Math.max(0, nextWakeUp - Date.now()));
+    }
+  }
+
+  _start(item) {
+    const state = this._host(item.host);
+    state.active++;
+    state.lastStart = Date.now();
+    this.active++;
+
+    Promise.resolve()
+      .then(() => this.worker(item))
+      .catch(error => {
+        logger.warn(`[Crawler] Error procesando ${item.url}: ${error.message}`);
+        return [];
+      })
+      .then(children => {
+        state.active--;
+        this.active--;
+        if (this.finished) return;
+
+        for (const child of children || []) {
+          this.enqueue({ ...child, depth: item.depth + 1, parentUrl: item.url });
+        }
+        this._pump();
+      });
+  }
+
+  _finish() {
+    if (this.finished) return;
+    this.finished = true;
+    clearTimeout(this._deadline);
+    clearTimeout(this._timer);
+
+    // Lo que quedó en cola no se visitó
+    for (const item of this.queue.splice(0)) {
+      this.skipped.push({ url: item.url, reason: this.timedOut ? 'time-budget' : 'cancelled' });
+    }
+
+    this._resolve({
+      timedOut: this.timedOut,
+      cancelled: !this.timedOut && this.isCancelled(),
+      skipped: this.skipped,
+      visited: this.scheduled - this.skipped.filter(s => s.reason === 'time-budget' || s.reason === 'cancelled').length
+    });
+  }
+}
+
+module.exports = { CrawlScheduler };
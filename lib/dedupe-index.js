@@ -0,0 +1,209 @@
+/**
+ * Índice local de deduplicación de documentos subidos a Open WebUI
+ *
+ * - Hash sha256 del documento original y del texto extraído (espacios normalizados)
+ * - Cada entrada guarda el fileId de Open WebUI y las Knowledge Bases donde está
+ * - Las búsquedas se limitan al dueño (hash de la API Key de Open WebUI): un usuario nunca
+ *   recibe ni enlaza archivos subidos con otra API Key
+ * - Persistencia opcional en un archivo JSON (escritura diferida y atómica)
+ *
+ * Modos de deduplicación (campo dedupe de las rutas de ingesta):
+ * - skip: si el documento ya existe no se vuelve a subir (se agrega a la KB si falta)
+ * - replace: se sube de nuevo, se agrega a las KB del anterior y luego se retira el anterior
+ * - off: se sube siempre (comportamiento anterior)
+ *
+ * Variables de entorno:
+ * - DEDUPE_MODE: modo por defecto (default: skip)
+ * - DEDUPE_INDEX_FILE: archivo del índice (default: ./.cache/dedupe-index.json, '' = solo memoria)
+ * - DEDUPE_MAX_ENTRIES: entradas máximas (default: 10000)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEDUPE_MODES = ['skip', 'replace', 'off'];
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * sha256 (hex) de un buffer o string
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Dueño de una entrada: hash de la API Key con la que se subió el archivo
+ */
+function ownerKey(apiKey) {
+  return hashContent(apiKey || '').slice(0, 16);
+}
+
+/**
+ * Hash del texto extraído: ignora diferencias de espacios y saltos de línea
+ */
+function hashText(text) {
+  if (!text) return null;
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  return normalized ? hashContent(normalized) : null;
+}
+
+class DedupeIndex {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - Archivo JSON de persistencia (null = solo memoria)
+   * @param {number} [options.maxEntries=10000]
+   */
+  constructor({ file = null, maxEntries = 10000 } = {}) {
+    this.file = file;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // fileId -> { fileId, owner, filename, contentHash, textHash, knowledgeIds, uploadedAt }
+    this.byContent = new Map(); // owner:contentHash -> fileId
+    this.byText = new Map(); // owner:textHash -> fileId
+    this.saveTimer = null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Carga el índice desde el archivo (si existe)
+   */
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      (data.entries || []).forEach(entry => this._index(entry));
+      logger.info(`[Dedupe] Índice cargado: ${this.entries.size} documentos`);
+    } catch (error) {
+      logger.warn(`[Dedupe] No se pudo leer ${this.file}, se empieza vacío: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca un documento del dueño por hash del contenido y, si no, por hash del texto
+   * @param {Object} query - { owner, contentHash, textHash } (owner: ownerKey(apiKey))
+   * @returns {{ entry: Object, matchedBy: 'content'|'text' } | null}
+   */
+  find({ owner, contentHash, textHash }) {
+    const byContent = contentHash && this.byContent.get(`${owner}:${contentHash}`);
+    if (byContent) return { entry: this.entries.get(byContent), matchedBy: 'content' };
+
+    const byText = textHash && this.byText.get(`${owner}:${textHash}`);
+    if (byText) return { entry: this.entries.get(byText), matchedBy: 'text' };
+
+    return null;
+  }
+
+  /**
+   * Registra un archivo recién subido
+   */
+  record({ fileId, owner, filename, contentHash, textHash = null, knowledgeIds = [] }) {
+    this._index({ fileId, owner, filename, contentHash, textHash, knowledgeIds, uploadedAt: new Date().toISOString() });
+
+    // Descartar las entradas más antiguas (Map mantiene el orden de inserción)
+    while (this.entries.size > this.maxEntries) {
+      this.remove(this.entries.keys().next().value);
+    }
+    this._scheduleSave();
+  }
+
+  get(fileId) {
+    return this.entries.get(fileId) || null;
+  }
+
+  addKnowledge(fileId, knowledgeId) {
+    const entry = this.entries.get(fileId);
+    if (entry && knowledgeId && !entry.knowledgeIds.includes(knowledgeId)) {
+      entry.knowledgeIds.push(knowledgeId);
+      this._scheduleSave();
+    }
+  }
+
+  removeKnowledge(fileId, knowledgeId) {
+    const entry = this.entries.get(fileId);
+    if (entry && entry.knowledgeIds.includes(knowledgeId)) {
+      entry.knowledgeIds = entry.knowledgeIds.filter(id => id !== knowledgeId);
+      this._scheduleSave();
+    }
+  }
+
+  remove(fileId) {
+    const entry = this.entries.get(fileId);
+    if (!entry) return;
+    this.entries.delete(fileId);
+    const contentKey = `${entry.owner}:${entry.contentHash}`;
+    const textKey = `${entry.owner}:${entry.textHash}`;
+    if (this.byContent.get(contentKey) === fileId) this.byContent.delete(contentKey);
+    if (entry.textHash && this.byText.get(textKey) === fileId) this.byText.delete(textKey);
+    this._scheduleSave();
+  }
+
+  stats() {
+    return { entries: this.entries.size, persistent: Boolean(this.file) };
+  }
+
+  /**
+   * Escribe el índice pendiente (p.ej. al apagar)
+   */
+  async flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this._save();
+  }
+
+  _index(entry) {
+    const normalized = { ...entry, knowledgeIds: [...(entry.knowledgeIds || [])] };
+    this.entries.set(entry.fileId, normalized);
+    // Las entradas sin dueño (índices anteriores) no coinciden con ninguna búsqueda
+    if (!entry.owner) return;
+    this.byContent.set(`${entry.owner}:${entry.contentHash}`, entry.fileId);
+    if (entry.textHash) this.byText.set(`${entry.owner}:${entry.textHash}`, entry.fileId);
+  }
+
+  _scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  async _save() {
+    // Escritura atómica: archivo temporal + rename
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmpFile, JSON.stringify({ version: 1, entries: [...this.entries.values()] }));
+      await fs.promises.rename(tmpFile, this.file);
+    } catch (error) {
+      logger.warn(`[Dedupe] No se pudo guardar el índice: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Crea y carga el índice a partir de las variables de entorno
+ */
+function createDedupeIndexFromEnv() {
+  const file = process.env.DEDUPE_INDEX_FILE !== undefined
+    ? process.env.DEDUPE_INDEX_FILE || null
+    : path.join(process.cwd(), '.cache', 'dedupe-index.json');
+
+  const index = new DedupeIndex({ file, maxEntries: parseInt(process.env.DEDUPE_MAX_ENTRIES, 10) || 10000 });
+  index.load();
+  return index;
+}
+
+module.exports = {
+  DEDUPE_MODES,
+  DedupeIndex,
+  hashContent,
+  hashText,
+  ownerKey,
+  createDedupeIndexFromEnv
+};
@@ -0,0 +1,78 @@
+/**
+ * Detección de enlaces de descarga (PDF, Excel, CSV) en una página
+ *
+ * Usado por /fetch, /fetch-js y /ingest-links. Además de la extensión reconoce
+ * enlaces dinámicos de descarga (sdm_process_download de WordPress Download Manager,
+ * rutas /descargar y /download, textos "Descargar informe", ...).
+ */
+
+const DOWNLOAD_TYPES = ['pdf', 'xlsx', 'xls', 'csv'];
+
+/**
+ * Helper: Tipo de archivo de un enlace o null si no parece una descarga
+ * @param {string} href - Atributo href tal cual aparece en la página
+ * @param {string} text - Texto del enlace en minúsculas
+ */
+function detectDownloadType(href, text) {
+  const hrefLower = href.toLowerCase();
+
+  // Detección por extensión de archivo
+  if (hrefLower.endsWith('.pdf')) return 'pdf';
+  if (hrefLower.endsWith('.xlsx')) return 'xlsx';
+  if (hrefLower.endsWith('.xls')) return 'xls';
+  if (hrefLower.endsWith('.csv')) return 'csv';
+  // Detección por patrones de descarga en la URL
+  if (hrefLower.includes('download') && (text.includes('pdf') || hrefLower.includes('pdf'))) return 'pdf';
+  if (hrefLower.includes('sdm_process_download')) return 'pdf'; // WordPress Download Manager
+  if (hrefLower.includes('/descargar') || hrefLower.includes('/download')) {
+    // Inferir tipo del texto del enlace
+    if (text.includes('pdf')) return 'pdf';
+    if (text.includes('excel') || text.includes('xlsx')) return 'xlsx';
+    return 'pdf'; // Default a PDF para enlaces de descarga
+  }
+  // Detección por texto del enlace que indica descarga
+  if ((text.includes('descargar') || text.includes('download')) &&
+      (text.includes('pdf') || text.includes('boletín') || text.includes('informe') || text.includes('reporte'))) {
+    return 'pdf';
+  }
+  return null;
+}
+
+/**
+ * Extrae los enlaces de descarga de un documento cheerio, sin duplicados
+ * @param {CheerioAPI} $
+ * @param {string} baseUrl - URL de la página para resolver enlaces relativos
+ * @returns {Array<{ text: string, url: string, type: string }>}
+ */
+function extractDownloadLinks($, baseUrl) {
+  const downloadLinks = [];
+  const seenUrls = new Set(); // Evitar duplicados
+
+  $('a[href]').each((i, a) => {
+    const href = $(a).attr('href');
+    if (!href) return;
+
+    const type = detectDownloadType(href, $(a).text().trim().toLowerCase());
+    if (!type) return;
+
+    let fullUrl;
+    try {
+      fullUrl = href.startsWith('http') ? href : new URL(href, baseUrl).href;
+    } catch (e) {
+      return;
+    }
+
+    if (!seenUrls.has(fullUrl)) {
+      seenUrls.add(fullUrl);
+      downloadLinks.push({
+        text: $(a).text().trim() || href,
+        url: fullUrl,
+        type
+      });
+    }
+  });
+
+  return downloadLinks;
+}
+
+module.exports = { DOWNLOAD_TYPES, detectDownloadType, extractDownloadLinks };
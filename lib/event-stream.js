@@ -0,0 +1,139 @@
+/**
+ * Respuestas en streaming: Server-Sent Events o NDJSON
+ *
+ * SSE:    event: <nombre>\ndata: <json>\n\n
+ * NDJSON: {"event":"<nombre>", ...data}\n
+ *
+ * parseEventStream lee el camino inverso: un stream SSE de otro servicio
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Helper: Determina si la petición pide streaming y en qué formato
+ * - stream: true | 'sse' | 'ndjson' (body o query)
+ * - Header Accept: text/event-stream o application/x-ndjson
+ * @returns {'sse'|'ndjson'|null}
+ */
+function getStreamFormat(req) {
+  const param = (req.body && req.body.stream !== undefined) ? req.body.stream : req.query.stream;
+  const accept = req.get('accept') || '';
+
+  if (param === 'ndjson' || accept.includes('application/x-ndjson')) {
+    return 'ndjson';
+  }
+  if (param === true || param === 'true' || param === 'sse' || accept.includes('text/event-stream')) {
+    return 'sse';
+  }
+  return null;
+}
+
+/**
+ * Abre el stream sobre la respuesta HTTP
+ * @returns {{ send: Function, close: Function, closed: boolean, onClose: Function }}
+ */
+function openEventStream(res, format = 'sse') {
+  res.status(200);
+  res.set({
+    'Content-Type': format === 'ndjson' ? 'application/x-ndjson; charset=utf-8' : 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Evita que proxies intermedios (nginx) acumulen la respuesta
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const closeListeners = [];
+  const stream = {
+    format,
+    closed: false,
+
+    send(event, data = {}) {
+      if (stream.closed) return;
+      if (format === 'ndjson') {
+        res.write(JSON.stringify({ event, ...data }) + '\n');
+      } else {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+
+    /**
+     * Envía un mensaje SSE sin nombre de evento (formato OpenAI: "data: {...}")
+     */
+    sendData(data) {
+      if (stream.closed) return;
+      const payload = typeof data === 'string' ? data : JSON.stringify(data);
+      if (format === 'ndjson') {
+        res.write(payload + '\n');
+      } else {
+        res.write(`data: ${payload}\n\n`);
+      }
+    },
+
+    onClose(listener) {
+      closeListeners.push(listener);
+    },
+
+    close() {
+      if (stream.closed) return;
+      markClosed();
+      res.end();
+    }
+  };
+
+  const heartbeat = format === 'sse'
+    ? setInterval(() => { if (!stream.closed) res.write(': ping\n\n'); }, HEARTBEAT_MS)
+    : null;
+
+  function markClosed() {
+    stream.closed = true;
+    if (heartbeat) clearInterval(heartbeat);
+    closeListeners.splice(0).forEach(listener => listener());
+  }
+
+  // Cliente desconectado antes de terminar
+  res.on('close', () => {
+    if (!stream.closed) {
+      markClosed();
+    }
+  });
+
+  return stream;
+}
+
+/**
+ * Lee un stream SSE (p.ej. la respuesta de Open WebUI con stream: true)
+ * @param {ReadableStream} body - Cuerpo de un Response de fetch
+ * @yields {string} contenido de cada campo data (las líneas de un mismo evento unidas con \n)
+ */
+async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let data = [];
+
+  const takeLines = function* (final) {
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1 || (final && buffer)) {
+      const line = (newline === -1 ? buffer : buffer.slice(0, newline)).replace(/\r$/, '');
+      buffer = newline === -1 ? '' : buffer.slice(newline + 1);
+
+      if (line === '') {
+        if (data.length > 0) yield data.join('\n');
+        data = [];
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+      // Comentarios (": ping") y otros campos (event, id, retry) se ignoran
+    }
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    yield* takeLines(false);
+  }
+  buffer += decoder.decode();
+  yield* takeLines(true);
+  if (data.length > 0) yield data.join('\n');
+}
+
+module.exports = { getStreamFormat, openEventStream, parseEventStream };
@@ -0,0 +1,220 @@
+/**
+ * Retrieval híbrido para /retrieve-only: fusión de resultados vectoriales y léxicos
+ *
+ * - Normaliza los scores a una escala común de relevancia 0..1 (1 = más relevante)
+ *   · Respuesta de Open WebUI (documents/distances anidados): distances ya son similitud 0..1
+ *   · Documentos con `score`: relevancia directa; con `distance` (coseno, 0 = idéntico): 1 - distance / 2
+ *   · BM25: score / (score + LEXICAL_SCORE_SCALE), sin tope fijo
+ * - Reciprocal Rank Fusion (RRF) para combinar las listas sin depender de sus escalas
+ * - Deduplicación de fragmentos casi idénticos (Jaccard sobre términos)
+ * - Filtros por metadatos: nombre de archivo y fecha de subida
+ */
+
+const { tokenize } = require('./local-retrieval');
+
+const RETRIEVAL_MODES = ['auto', 'vector', 'lexical', 'hybrid'];
+const RRF_K = 60;
+const LEXICAL_SCORE_SCALE = 2;
+const DUPLICATE_SIMILARITY = 0.85;
+
+class RetrievalError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RetrievalError';
+    this.statusCode = statusCode;
+  }
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Convierte la respuesta de /api/v1/retrieval/query en fragmentos con relevancia normalizada
+ * Acepta el formato anidado de Open WebUI ({ documents: [[...]], metadatas: [[...]], distances: [[...]] })
+ * y listas planas de strings u objetos ({ content, metadata, score | distance })
+ */
+function normalizeVectorResults(data, collectionName) {
+  const documents = data.documents || data.results || [];
+
+  if (Array.isArray(documents[0])) {
+    const metadatas = data.metadatas?.[0] || [];
+    const distances = data.distances?.[0] || [];
+    return documents[0].map((content, index) => {
+      const metadata = metadatas[index] || {};
+      const rawScore = typeof distances[index] === 'number' ? distances[index] : null;
+      return toVectorChunk(content, metadata, rawScore, rawScore === null ? null : clamp01(rawScore), collectionName, index);
+    });
+  }
+
+  return documents.map((doc, index) => {
+    if (typeof doc === 'string') {
+      return toVectorChunk(doc, {}, null, null, collectionName, index);
+    }
+    const content = doc.content || doc.text || doc.page_content || JSON.stringify(doc);
+    let rawScore = null;
+    let score = null;
+    if (typeof doc.score === 'number') {
+      rawScore = doc.score;
+      score = clamp01(doc.score);
+    } else if (typeof doc.distance === 'number') {
+      rawScore = doc.distance;
+      score = clamp01(1 - doc.distance / 2);
+    }
+    return toVectorChunk(content, doc.metadata || {}, rawScore, score, collectionName, index);
+  });
+}
+
+function toVectorChunk(content, metadata, rawScore, score, collectionName, index) {
+  return {
+    content,
+    metadata,
+    fileId: metadata.file_id || null,
+    filename: metadata.name || metadata.source || null,
+    score: score === null ? null : round(score),
+    rawScore,
+    source: 'vector_search',
+    collectionName,
+    index
+  };
+}
+
+/**
+ * Relevancia 0..1 de un score BM25
+ */
+function normalizeLexicalScore(score) {
+  return round(score / (score + LEXICAL_SCORE_SCALE));
+}
+
+function chunkKey(chunk) {
+  return `${chunk.fileId || ''}:${chunk.content}`;
+}
+
+/**
+ * Reciprocal Rank Fusion: cada lista aporta 1 / (k + posición) a cada fragmento
+ * @param {Object<string, Array<Object>>} lists - { vector: [...], lexical: [...] } ordenadas por relevancia
+ * @returns {Array<Object>} fragmentos con scores { vector, lexical }, rrfScore y score = máxima relevancia
+ */
+function fuseResults(lists, { k = RRF_K } = {}) {
+  const fused = new Map();
+
+  for (const [name, chunks] of Object.entries(lists)) {
+    const seen = new Set();
+    chunks.forEach((chunk, rank) => {
+      // Un mismo fragmento puede llegar de varias KBs: cuenta una vez por lista, con su mejor posición
+      const key = chunkKey(chunk);
+      if (seen.has(key)) return;
+      seen.add(key);
+      const entry = fused.get(key) || { ...chunk, scores: {}, rrfScore: 0 };
+      entry.scores[name] = chunk.score;
+      entry.rrfScore += 1 / (k + rank + 1);
+      fused.set(key, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .map(entry => ({
+      ...entry,
+      source: Object.keys(entry.scores).length > 1 ? 'hybrid' : entry.source,
+      score: round(Math.max(...Object.values(entry.scores).map(score => score || 0))),
+      rrfScore: round(entry.rrfScore)
+    }))
+    .sort((a, b) => b.rrfScore - a.rrfScore);
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) if (b.has(term)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Quita fragmentos casi idénticos (p.ej. el mismo párrafo devuelto por el índice vectorial y el léxico,
+ * o el solapamiento entre fragmentos consecutivos); conserva el primero (el de mayor rango)
+ */
+function dedupeChunks(chunks, threshold = DUPLICATE_SIMILARITY) {
+  const kept = [];
+  const termSets = [];
+
+  for (const chunk of chunks) {
+    const terms = new Set(tokenize(chunk.content));
+    if (termSets.some(existing => similarity(existing, terms) >= threshold)) continue;
+    kept.push(chunk);
+    termSets.push(terms);
+  }
+
+  return kept;
+}
+
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new RetrievalError(`filters.${field} must be an ISO date`);
+  }
+  return time;
+}
+
+/**
+ * Valida los filtros de metadatos
+ * @param {Object} [filters] - { filename?: string | string[], uploadedAfter?: string, uploadedBefore?: string }
+ * @returns {Object|null} null si no hay filtros
+ */
+function parseRetrievalFilters(filters) {
+  if (filters === undefined || filters === null) return null;
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new RetrievalError('filters must be an object');
+  }
+
+  const filenames = filters.filename === undefined ? [] : [].concat(filters.filename).map(name => String(name).toLowerCase());
+  const parsed = {
+    filenames,
+    uploadedAfter: parseDate(filters.uploadedAfter, 'uploadedAfter'),
+    uploadedBefore: parseDate(filters.uploadedBefore, 'uploadedBefore')
+  };
+
+  return parsed.filenames.length > 0 || parsed.uploadedAfter !== null || parsed.uploadedBefore !== null ? parsed : null;
+}
+
+/**
+ * Fecha de subida (ms) de un archivo de Open WebUI (created_at viene en segundos)
+ */
+function fileUploadedAt(file) {
+  const createdAt = file.created_at ?? file.meta?.created_at;
+  if (createdAt === undefined || createdAt === null) return null;
+  return typeof createdAt === 'number' ? (createdAt < 1e12 ? createdAt * 1000 : createdAt) : Date.parse(createdAt);
+}
+
+/**
+ * ¿El archivo cumple los filtros? (nombre: coincidencia parcial sin mayúsculas; fecha: inclusiva)
+ * @param {Object} file - { filename, uploadedAt }
+ */
+function matchesFilters(file, filters) {
+  if (!filters) return true;
+  if (!file) return false;
+
+  if (filters.filenames.length > 0) {
+    const filename = String(file.filename || '').toLowerCase();
+    if (!filters.filenames.some(name => filename.includes(name))) return false;
+  }
+  if (filters.uploadedAfter !== null && !(file.uploadedAt >= filters.uploadedAfter)) return false;
+  if (filters.uploadedBefore !== null && !(file.uploadedAt <= filters.uploadedBefore)) return false;
+  return true;
+}
+
+module.exports = {
+  RETRIEVAL_MODES,
+  RetrievalError,
+  normalizeVectorResults,
+  normalizeLexicalScore,
+  fuseResults,
+  dedupeChunks,
+  parseRetrievalFilters,
+  fileUploadedAt,
+  matchesFilters
+};
@@ -0,0 +1,263 @@
+/**
+ * Trabajos de ingesta en segundo plano (/upload-file, /upload-to-rag, /ingest-links con async: true)
+ *
+ * - La petición devuelve un jobId al instante; el trabajo corre en una cola con concurrencia acotada
+ * - Estados: queued → downloading | extracting → uploading → processing → added-to-kb → completed | failed
+ * - Webhook opcional (callbackUrl) al terminar, firmado con HMAC-SHA256 si hay secreto
+ * - Los trabajos viven en memoria y se descartan tras ttlMs desde que terminan
+ *
+ * Variables de entorno:
+ * - INGEST_CONCURRENCY: trabajos ejecutándose a la vez (por defecto 2)
+ * - INGEST_MAX_QUEUE: trabajos máximos en espera (por defecto 100)
+ * - INGEST_JOB_TTL_MS: tiempo que se conserva un trabajo terminado (por defecto 1 hora)
+ * - WEBHOOK_SECRET: secreto para la firma X-Signature-256 de los webhooks
+ * - WEBHOOK_TIMEOUT_MS: timeout de cada intento de entrega (por defecto 10000)
+ */
+
+const crypto = require('crypto');
+const { safeFetch } = require('./url-policy');
+const { logger, runWithContext, getContext } = require('./logger');
+
+const JOB_STATES = ['queued', 'downloading', 'extracting', 'uploading', 'processing', 'added-to-kb', 'completed', 'failed'];
+const TERMINAL_STATES = ['completed', 'failed'];
+const WEBHOOK_MAX_ATTEMPTS = 3;
+
+/**
+ * Error de un trabajo con el status HTTP que tendría en modo síncrono
+ */
+class IngestError extends Error {
+  constructor(message, { statusCode = 400, details = {} } = {}) {
+    super(message);
+    this.name = 'IngestError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class JobQueueFullError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobQueueFullError';
+    this.statusCode = 503;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class IngestJobManager {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=2] - Trabajos ejecutándose a la vez
+   * @param {number} [options.maxQueue=100] - Trabajos máximos en espera
+   * @param {number} [options.ttlMs=3600000] - Conservación de trabajos terminados
+   * @param {string} [options.webhookSecret] - Secreto HMAC para X-Signature-256
+   * @param {number} [options.webhookTimeoutMs=10000]
+   * @param {Function} [options.describeError] - (error, job) => { statusCode, body } para el campo error del trabajo
+   * @param {Function} [options.onFinish] - (job) al llegar a completed o failed
+   * @param {string} [options.userAgent] - User-Agent de los webhooks
+   */
+  constructor({
+    concurrency = 2,
+    maxQueue = 100,
+    ttlMs = 60 * 60 * 1000,
+    webhookSecret = '',
+    webhookTimeoutMs = 10000,
+    describeError = error => ({ statusCode: error.statusCode || 500, body: { error: error.message } }),
+    onFinish = null,
+    userAgent = 'searxng-proxy'
+  } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.maxQueue = maxQueue;
+    this.ttlMs = ttlMs;
+    this.webhookSecret = webhookSecret;
+    this.webhookTimeoutMs = webhookTimeoutMs;
+    this.describeError = describeError;
+    this.onFinish = onFinish;
+    this.userAgent = userAgent;
+
+    this.jobs = new Map(); // id -> job
+    this.queue = []; // { job, task }
+    this.running = 0;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), Math.min(ttlMs, 60000));
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Encola un trabajo
+   * @param {Object} options
+   * @param {string} options.type - 'upload-file' | 'upload-to-rag' | 'ingest-links'
+   * @param {string} options.owner - Cliente que lo creó (solo él puede consultarlo)
+   * @param {string} [options.callbackUrl] - Webhook a notificar al terminar (ya validado por la política de URLs)
+   * @param {Object} [options.input] - Datos descriptivos (filename, url...) visibles en el estado
+   * @param {Function} task - async (setState) => result
+   * @returns {Object} trabajo creado
+   */
+  submit({ type, owner, callbackUrl = null, input = {} }, task) {
+    if (this.queue.length >= this.maxQueue) {
+      throw new JobQueueFullError(`Ingest queue is full (${this.maxQueue} pending jobs)`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      owner,
+      status: 'queued',
+      input,
+      history: [{ status: 'queued', at: now }],
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      result: null,
+      error: null,
+      callbackUrl,
+      webhook: callbackUrl ? { delivered: false, attempts: 0, lastError: null } : null,
+      // El trabajo conserva el requestId de la petición que lo creó para correlacionar los logs
+      context: getContext()
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push({ job, task });
+    logger.info(`[Jobs] Trabajo encolado: ${type}`, { jobId: job.id, queued: this.queue.length });
+    this._drain();
+    return job;
+  }
+
+  /**
+   * Trabajo visible para su dueño (null si no existe o pertenece a otro cliente)
+   */
+  get(id, owner) {
+    const job = this.jobs.get(id);
+    if (!job || (owner !== undefined && job.owner !== owner)) return null;
+    return job;
+  }
+
+  /**
+   * Representación pública del trabajo (sin datos internos)
+   */
+  toJSON(job) {
+    const { owner, context, callbackUrl, webhook, ...publicJob } = job;
+    return { ...publicJob, callback: callbackUrl ? { url: callbackUrl, ...webhook } : null };
+  }
+
+  stats() {
+    const byStatus = Object.fromEntries(JOB_STATES.map(state => [state, 0]));
+    for (const job of this.jobs.values()) byStatus[job.status]++;
+    return { running: this.running, queued: this.queue.length, concurrency: this.concurrency, byStatus };
+  }
+
+  cleanup(now = Date.now()) {
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) + this.ttlMs <= now) this.jobs.delete(id);
+    }
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+
+  _drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const { job, task } = this.queue.shift();
+      this.running++;
+      runWithContext({ ...job.context, jobId: job.id }, () => this._run(job, task))
+        .finally(() => {
+          this.running--;
+          this._drain();
+        });
+    }
+  }
+
+  async _run(job, task) {
+    const setState = (status, details) => this._setState(job, status, details);
+    const startedAt = Date.now();
+
+    try {
+      job.result = await task(setState);
+      this._setState(job, 'completed');
+      logger.info(`[Jobs] Trabajo completado en ${Date.now() - startedAt}ms`, { type: job.type });
+    } catch (error) {
+      const { statusCode, body } = this.describeError(error, job);
+      job.error = { statusCode, ...body };
+      this._setState(job, 'failed', { message: error.message });
+      logger.warn(`[Jobs] Trabajo fallido: ${error.message}`, { type: job.type, statusCode });
+    }
+
+    if (this.onFinish) this.onFinish(job);
+    if (job.callbackUrl) await this._deliverWebhook(job);
+  }
+
+  _setState(job, status, details) {
+    const at = new Date().toISOString();
+    job.status = status;
+    job.updatedAt = at;
+    job.history.push({ status, at, ...(details ? { details } : {}) });
+    if (TERMINAL_STATES.includes(status)) job.finishedAt = at;
+    logger.debug(`[Jobs] Estado: ${status}`);
+  }
+
+  /**
+   * Envía el estado final al callbackUrl con hasta 3 intentos (1s, 2s de espera)
+   */
+  async _deliverWebhook(job) {
+    const payload = JSON.stringify({ event: `job.${job.status}`, job: this.toJSON(job) });
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': this.userAgent,
+      'X-Job-Id': job.id
+    };
+    if (this.webhookSecret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', this.webhookSecret).update(payload).digest('hex')}`;
+    }
+
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      job.webhook.attempts = attempt;
+      try {
+        const response = await safeFetch(job.callbackUrl, {
+          method: 'POST',
+          headers,
+          body: payload,
+          signal: AbortSignal.timeout(this.webhookTimeoutMs)
+        });
+        await response.body?.cancel().catch(() => {});
+        if (response.ok) {
+          job.webhook.delivered = true;
+          job.webhook.lastError = null;
+          logger.info('[Jobs] Webhook entregado', { status: response.status });
+          return;
+        }
+        job.webhook.lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        job.webhook.lastError = error.message;
+      }
+
+      logger.warn(`[Jobs] Webhook falló (${job.webhook.lastError}), intento ${attempt}/${WEBHOOK_MAX_ATTEMPTS}`);
+      if (attempt < WEBHOOK_MAX_ATTEMPTS) await sleep(1000 * attempt);
+    }
+  }
+}
+
+/**
+ * Crea el gestor a partir de las variables de entorno
+ */
+function createIngestJobManagerFromEnv(options = {}) {
+  return new IngestJobManager({
+    concurrency: parseInt(process.env.INGEST_CONCURRENCY, 10) || 2,
+    maxQueue: parseInt(process.env.INGEST_MAX_QUEUE, 10) || 100,
+    ttlMs: parseInt(process.env.INGEST_JOB_TTL_MS, 10) || 60 * 60 * 1000,
+    webhookSecret: process.env.WEBHOOK_SECRET || '',
+    webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    ...options
+  });
+}
+
+module.exports = {
+  JOB_STATES,
+  IngestError,
+  JobQueueFullError,
+  IngestJobManager,
+  createIngestJobManagerFromEnv
+};
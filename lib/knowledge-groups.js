@@ -0,0 +1,130 @@
+/**
+ * Grupos con nombre de Knowledge Bases para consultar varias a la vez (/retrieve-only, /query-rag)
+ *
+ * Las rutas aceptan knowledgeId (string o lista), knowledgeIds (lista) o group (nombre de grupo);
+ * sin ninguno se usa OPENWEBUI_KNOWLEDGE_ID.
+ *
+ * Variables de entorno:
+ * - KNOWLEDGE_GROUPS: lista separada por comas de "nombre:kb1|kb2|kb3"
+ * - KNOWLEDGE_GROUPS_FILE: archivo JSON { "groups": { "nombre": ["kb1", "kb2"] } }
+ * - RAG_MAX_KNOWLEDGE_BASES: Knowledge Bases máximas por consulta (default: 10)
+ */
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+class KnowledgeGroupError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'KnowledgeGroupError';
+    this.statusCode = statusCode;
+  }
+}
+
+function normalizeIds(ids) {
+  return [...new Set([].concat(ids || []).map(id => String(id).trim()).filter(Boolean))];
+}
+
+class KnowledgeGroups {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxKnowledgeBases=10]
+   */
+  constructor({ maxKnowledgeBases = 10 } = {}) {
+    this.maxKnowledgeBases = maxKnowledgeBases;
+    this.groups = new Map(); // nombre -> [kbId, ...]
+  }
+
+  get size() {
+    return this.groups.size;
+  }
+
+  /**
+   * Carga grupos desde "nombre:kb1|kb2,otro:kb3"
+   */
+  loadFromString(value) {
+    for (const entry of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        logger.warn(`[KnowledgeGroups] Entrada inválida en KNOWLEDGE_GROUPS: "${entry}"`);
+        continue;
+      }
+      this.define(entry.slice(0, separator), entry.slice(separator + 1).split('|'));
+    }
+  }
+
+  /**
+   * Carga grupos desde un archivo JSON { "groups": { "nombre": ["kb1", "kb2"] } }
+   */
+  loadFromFile(file) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      for (const [name, ids] of Object.entries(data.groups || {})) {
+        this.define(name, ids);
+      }
+    } catch (error) {
+      logger.error(`[KnowledgeGroups] No se pudo leer ${file}: ${error.message}`);
+    }
+  }
+
+  define(name, ids) {
+    const knowledgeIds = normalizeIds(ids);
+    if (!name.trim() || knowledgeIds.length === 0) {
+      logger.warn(`[KnowledgeGroups] Grupo "${name}" sin Knowledge Bases, se ignora`);
+      return;
+    }
+    this.groups.set(name.trim(), knowledgeIds);
+  }
+
+  list() {
+    return [...this.groups.entries()].map(([name, knowledgeIds]) => ({ name, knowledgeIds }));
+  }
+
+  /**
+   * Knowledge Bases a consultar según el body de la petición
+   * @param {Object} body - { knowledgeId?: string | string[], knowledgeIds?: string[], group?: string }
+   * @param {string} [defaultId] - OPENWEBUI_KNOWLEDGE_ID
+   * @returns {string[]} lista sin duplicados (vacía si no hay ninguna)
+   */
+  resolve({ knowledgeId, knowledgeIds, group } = {}, defaultId = null) {
+    let ids = normalizeIds([].concat(knowledgeId || [], knowledgeIds || []));
+
+    if (group) {
+      const groupIds = this.groups.get(String(group));
+      if (!groupIds) {
+        throw new KnowledgeGroupError(`Unknown knowledge group "${group}"`);
+      }
+      ids = normalizeIds([...ids, ...groupIds]);
+    }
+
+    if (ids.length === 0 && defaultId) {
+      ids = [defaultId];
+    }
+
+    if (ids.length > this.maxKnowledgeBases) {
+      throw new KnowledgeGroupError(`Too many knowledge bases (${ids.length}, max ${this.maxKnowledgeBases})`);
+    }
+    return ids;
+  }
+}
+
+/**
+ * Crea los grupos a partir de las variables de entorno
+ */
+function createKnowledgeGroupsFromEnv() {
+  const groups = new KnowledgeGroups({ maxKnowledgeBases: parseInt(process.env.RAG_MAX_KNOWLEDGE_BASES, 10) || 10 });
+  groups.loadFromString(process.env.KNOWLEDGE_GROUPS);
+  if (process.env.KNOWLEDGE_GROUPS_FILE) {
+    groups.loadFromFile(process.env.KNOWLEDGE_GROUPS_FILE);
+  }
+  if (groups.size > 0) {
+    logger.info(`[KnowledgeGroups] ${groups.size} grupos de Knowledge Bases configurados`);
+  }
+  return groups;
+}
+
+module.exports = {
+  KnowledgeGroupError,
+  KnowledgeGroups,
+  createKnowledgeGroupsFromEnv
+};
@@ -0,0 +1,375 @@
+/**
+ * Retrieval local (fallback de /retrieve-only cuando falla el retrieval vectorial)
+ *
+ * - Chunking por títulos, párrafos y oraciones con solapamiento entre fragmentos
+ * - Índice léxico BM25 sobre el contenido de los archivos de la Knowledge Base
+ * - Los fragmentos se ordenan por relevancia respecto de la consulta (score real)
+ * - Caché por archivo (se re-procesa solo si cambia) y por conjunto de archivos
+ *   (el índice se reconstruye cuando la KB agrega, quita o modifica archivos)
+ *
+ * Variables de entorno:
+ * - LOCAL_CHUNK_SIZE: tamaño objetivo de cada fragmento en caracteres (default: 1200)
+ * - LOCAL_CHUNK_OVERLAP: caracteres repetidos entre fragmentos consecutivos (default: 200)
+ * - LOCAL_INDEX_MAX_FILES: archivos máximos por índice (default: 50)
+ * - LOCAL_INDEX_TTL_MS: vigencia de un archivo sin marca de versión (default: 10 minutos)
+ * - LOCAL_CACHE_MAX_FILES: archivos procesados en caché, se descartan los menos usados (default: 500)
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_CACHED_INDEXES = 20;
+const FILE_FETCH_CONCURRENCY = 4;
+
+// Palabras vacías (español e inglés) que no aportan al ranking
+const STOPWORDS = new Set([
+  'a', 'al', 'ante', 'con', 'como', 'de', 'del', 'desde', 'el', 'en', 'entre', 'es', 'esta', 'este', 'hay',
+  'la', 'las', 'lo', 'los', 'mas', 'no', 'o', 'para', 'pero', 'por', 'que', 'se', 'sin', 'sobre', 'son',
+  'su', 'sus', 'un', 'una', 'uno', 'unos', 'unas', 'y', 'ya', 'cual', 'cuales', 'donde', 'cuando',
+  'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'the',
+  'to', 'was', 'what', 'which', 'with'
+]);
+
+/**
+ * Normaliza y separa en términos: minúsculas, sin acentos, sin palabras vacías
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function isHeading(block) {
+  if (block.includes('\n') || block.length > 100) return false;
+  // Markdown (# Título) o líneas cortas en mayúsculas (títulos de PDF)
+  return /^#{1,6}\s/.test(block) || (/[A-ZÁÉÍÓÚÑ]/.test(block) && block === block.toUpperCase() && !/[.:;,]$/.test(block));
+}
+
+/**
+ * Helper: Parte un bloque largo en oraciones y, si una oración supera el tamaño, por palabras
+ */
+function splitBlock(block, chunkSize) {
+  if (block.length <= chunkSize) return [block];
+
+  const units = [];
+  for (const sentence of block.split(/(?<=[.!?;])\s+/)) {
+    if (sentence.length <= chunkSize) {
+      units.push(sentence);
+      continue;
+    }
+    let current = '';
+    for (const word of sentence.split(/\s+/)) {
+      if (current && current.length + word.length + 1 > chunkSize) {
+        units.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word;
+    }
+    if (current) units.push(current);
+  }
+  return units;
+}
+
+/**
+ * Divide un texto en fragmentos respetando títulos, párrafos y oraciones
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize=1200] - Tamaño objetivo en caracteres
+ * @param {number} [options.overlap=200] - Caracteres del final de un fragmento repetidos al inicio del siguiente
+ * @returns {Array<{ content: string, heading: string|null, chunkIndex: number }>}
+ */
+function chunkText(text, { chunkSize = 1200, overlap = 200 } = {}) {
+  const blocks = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let heading = null;
+  let units = []; // { text, separator } del fragmento en curso
+  let length = 0;
+  let hasNewContent = false;
+
+  const flush = () => {
+    if (!hasNewContent) return;
+    const content = units.map((unit, i) => (i === 0 ? unit.text : unit.separator + unit.text)).join('');
+    chunks.push({ content, heading, chunkIndex: chunks.length });
+
+    // Solapamiento: conservar las últimas unidades que quepan en `overlap`
+    const kept = [];
+    let keptLength = 0;
+    for (let i = units.length - 1; i >= 0 && keptLength + units[i].text.length <= overlap; i--) {
+      kept.unshift(units[i]);
+      keptLength += units[i].text.length;
+    }
+    units = kept;
+    length = keptLength;
+    hasNewContent = false;
+  };
+
+  for (const block of blocks) {
+    if (isHeading(block)) {
+      // Un título abre un fragmento nuevo, sin solapamiento con la sección anterior
+      flush();
+      units = [];
+      length = 0;
+      heading = block.replace(/^#+\s*/, '');
+      continue;
+    }
+
+    splitBlock(block, chunkSize).forEach((unitText, i) => {
+      if (hasNewContent && length + unitText.length > chunkSize) flush();
+      units.push({ text: unitText, separator: i === 0 ? '\n\n' : ' ' });
+      length += unitText.length;
+      hasNewContent = true;
+    });
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Índice BM25 en memoria sobre una lista de fragmentos
+ */
+class Bm25Index {
+  /**
+   * @param {Array<Object>} documents - Fragmentos con `content` (y opcionalmente `heading`)
+   */
+  constructor(documents) {
+    this.documents = documents;
+    this.postings = new Map(); // término -> [[docIndex, frecuencia], ...]
+    this.lengths = [];
+
+    documents.forEach((doc, docIndex) => {
+      const terms = tokenize(doc.heading ? `${doc.heading} ${doc.content}` : doc.content);
+      this.lengths.push(terms.length);
+
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      for (const [term, frequency] of frequencies) {
+        if (!this.postings.has(term)) this.postings.set(term, []);
+        this.postings.get(term).push([docIndex, frequency]);
+      }
+    });
+
+    const total = this.lengths.reduce((sum, value) => sum + value, 0);
+    this.avgLength = documents.length > 0 ? total / documents.length : 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * @param {string} query
+   * @param {number} [k=8]
+   * @param {Function} [filter] - (document) => boolean, se aplica antes de cortar en k
+   * @returns {Array<{ document: Object, score: number }>} ordenado por score (solo score > 0)
+   */
+  search(query, k = 8, filter = null) {
+    const scores = new Map();
+    const count = this.documents.length;
+
+    for (const term of new Set(tokenize(query))) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+
+      const idf = Math.log(1 + (count - postings.length + 0.5) / (postings.length + 0.5));
+      for (const [docIndex, frequency] of postings) {
+        const norm = 1 - BM25_B + BM25_B * (this.lengths[docIndex] / (this.avgLength || 1));
+        const score = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+      }
+    }
+
+    return [...scores.entries()]
+      .filter(([docIndex]) => !filter || filter(this.documents[docIndex]))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([docIndex, score]) => ({ document: this.documents[docIndex], score: Math.round(score * 10000) / 10000 }));
+  }
+}
+
+class LocalRetriever {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize=1200]
+   * @param {number} [options.overlap=200]
+   * @param {number} [options.maxFiles=50] - Archivos máximos por índice
+   * @param {number} [options.ttlMs=600000] - Vigencia de archivos sin marca de versión
+   * @param {number} [options.maxCachedFiles=500] - Archivos en caché (LRU); al menos maxFiles
+   */
+  constructor({ chunkSize = 1200, overlap = 200, maxFiles = 50, ttlMs = 10 * 60 * 1000, maxCachedFiles = 500 } = {}) {
+    this.chunkSize = chunkSize;
+    this.overlap = Math.min(overlap, Math.floor(chunkSize / 2));
+    this.maxFiles = maxFiles;
+    this.ttlMs = ttlMs;
+    this.maxCachedFiles = Math.max(maxCachedFiles, maxFiles);
+
+    this.files = new Map(); // fileId -> { version, loadedAt, filename, chunks } (orden = uso más reciente al final)
+    this.indexes = new Map(); // scope -> { signature, index, builtAt, fileCount }
+  }
+
+  /**
+   * Busca los fragmentos más relevantes entre los archivos dados
+   * @param {OpenWebUIClient} client - Cliente con la API key del usuario (para leer el contenido)
+   * @param {Object} options
+   * @param {string} options.scope - Identifica el conjunto de archivos (KB + usuario) para la caché del índice
+   * @param {Array<Object>} options.files - Archivos tal como los devuelve Open WebUI (id, filename, updated_at, ...)
+   * @param {string} options.query
+   * @param {number} [options.topK=8]
+   * @param {Function} [options.filter] - (chunk) => boolean para filtrar por metadatos
+   * @returns {Promise<{ chunks: Array<Object>, index: { files: number, chunks: number, rebuilt: boolean } }>}
+   */
+  async search(client, { scope, files, query, topK = 8, filter = null }) {
+    const selected = files.slice(0, this.maxFiles);
+    const { index, fileCount, rebuilt } = await this._getIndex(client, scope, selected);
+
+    const chunks = index.search(query, topK, filter).map(({ document, score }) => ({ ...document, score }));
+    return { chunks, index: { files: fileCount, chunks: index.size, rebuilt } };
+  }
+
+  /**
+   * Descarta las entradas de caché de un archivo (p.ej. al reemplazarlo o borrarlo);
+   * los índices que lo incluían se reconstruyen en la próxima búsqueda
+   */
+  invalidateFile(fileId) {
+    this.files.delete(fileId);
+  }
+
+  stats() {
+    return {
+      files: this.files.size,
+      indexes: this.indexes.size,
+      chunks: [...this.files.values()].reduce((sum, file) => sum + file.chunks.length, 0)
+    };
+  }
+
+  async _getIndex(client, scope, files) {
+    const now = Date.now();
+    const signature = files.map(file => `${fileIdOf(file)}@${fileVersion(file) || ''}`).join('|');
+    const cached = this.indexes.get(scope);
+    const stale = files.some(file => this._isStale(fileIdOf(file), fileVersion(file), now));
+
+    if (cached && cached.signature === signature && !stale) {
+      return { index: cached.index, fileCount: cached.fileCount, rebuilt: false };
+    }
+
+    // Cargar solo los archivos nuevos o modificados
+    const pending = files.filter(file => this._isStale(fileIdOf(file), fileVersion(file), now));
+    for (let i = 0; i < pending.length; i += FILE_FETCH_CONCURRENCY) {
+      await Promise.all(pending.slice(i, i + FILE_FETCH_CONCURRENCY).map(file => this._loadFile(client, file, now)));
+    }
+
+    const documents = [];
+    let fileCount = 0;
+    for (const file of files) {
+      const cachedFile = this._touch(fileIdOf(file));
+      if (!cachedFile || cachedFile.chunks.length === 0) continue;
+      fileCount++;
+      documents.push(...cachedFile.chunks);
+    }
+
+    this._evictFiles();
+
+    const index = new Bm25Index(documents);
+    this.indexes.delete(scope);
+    this.indexes.set(scope, { signature, index, builtAt: now, fileCount });
+    while (this.indexes.size > MAX_CACHED_INDEXES) {
+      this.indexes.delete(this.indexes.keys().next().value);
+    }
+
+    logger.info(`[LocalRetrieval] Índice reconstruido: ${fileCount} archivos, ${documents.length} fragmentos (${pending.length} cargados)`);
+    return { index, fileCount, rebuilt: true };
+  }
+
+  /**
+   * Marca un archivo como usado recientemente (LRU)
+   */
+  _touch(fileId) {
+    const cached = this.files.get(fileId);
+    if (cached) {
+      this.files.delete(fileId);
+      this.files.set(fileId, cached);
+    }
+    return cached || null;
+  }
+
+  _evictFiles() {
+    while (this.files.size > this.maxCachedFiles) {
+      this.files.delete(this.files.keys().next().value);
+    }
+  }
+
+  _isStale(fileId, version, now) {
+    const cached = this.files.get(fileId);
+    if (!cached) return true;
+    if (version) return cached.version !== version;
+    return now - cached.loadedAt > this.ttlMs;
+  }
+
+  async _loadFile(client, file, now) {
+    const fileId = fileIdOf(file);
+    try {
+      const fileData = await client.getFile(fileId);
+      const content = fileData.data?.content || '';
+      const filename = fileData.filename || file.filename || file.meta?.name || 'unknown';
+      const chunks = chunkText(content, { chunkSize: this.chunkSize, overlap: this.overlap })
+        .map(chunk => ({ ...chunk, filename, fileId }));
+
+      this.files.set(fileId, { version: fileVersion(file), loadedAt: now, filename, chunks });
+      logger.debug(`[LocalRetrieval] Archivo ${fileId}: ${content.length} caracteres, ${chunks.length} fragmentos`);
+    } catch (error) {
+      logger.warn(`[LocalRetrieval] No se pudo leer el archivo ${fileId}: ${error.message}`);
+    }
+  }
+}
+
+function fileIdOf(file) {
+  return file.id || file.file_id;
+}
+
+/**
+ * Marca de versión de un archivo de Open WebUI (hash o fecha de actualización)
+ */
+function fileVersion(file) {
+  const version = file.hash || file.updated_at || file.meta?.updated_at;
+  return version ? String(version) : null;
+}
+
+/**
+ * Identificador de caché de un índice: KB + API key (cada usuario ve sus propios archivos)
+ */
+function retrievalScope(apiKey, knowledgeId) {
+  const keyHash = crypto.createHash('sha256').update(apiKey || '').digest('hex').slice(0, 16);
+  return `${keyHash}:${knowledgeId || '*'}`;
+}
+
+/**
+ * Crea el motor de retrieval local a partir de las variables de entorno
+ */
+function createLocalRetrieverFromEnv() {
+  return new LocalRetriever({
+    chunkSize: parseInt(process.env.LOCAL_CHUNK_SIZE, 10) || 1200,
+    overlap: process.env.LOCAL_CHUNK_OVERLAP !== undefined ? parseInt(process.env.LOCAL_CHUNK_OVERLAP, 10) || 0 : 200,
+    maxFiles: parseInt(process.env.LOCAL_INDEX_MAX_FILES, 10) || 50,
+    ttlMs: parseInt(process.env.LOCAL_INDEX_TTL_MS, 10) || 10 * 60 * 1000,
+    maxCachedFiles: parseInt(process.env.LOCAL_CACHE_MAX_FILES, 10) || 500
+  });
+}
+
+module.exports = {
+  tokenize,
+  chunkText,
+  Bm25Index,
+  LocalRetriever,
+  retrievalScope,
+  createLocalRetrieverFromEnv
+};
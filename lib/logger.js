@@ -0,0 +1,148 @@
+/**
+ * Logger estructurado (una línea JSON por evento)
+ *
+ * - Niveles debug, info, warn, error (LOG_LEVEL, por defecto info)
+ * - LOG_FORMAT=pretty para lectura humana en desarrollo
+ * - Contexto por petición con AsyncLocalStorage: el requestId se agrega a cada
+ *   línea emitida durante la petición, incluidas las llamadas anidadas
+ * - El prefijo "[Tag]" del mensaje se extrae como campo component
+ * - Redacción de claves, tokens y contenido de archivos subidos
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Campos cuyo valor nunca se escribe en los logs
+const SECRET_KEY_PATTERN = /(api[-_]?key|authorization|password|secret|token|cookie|override[-_]?key)/i;
+// Campos con contenido de archivos (base64 o texto extraído)
+const CONTENT_KEYS = ['file', 'fileContent', 'content', 'buffer', 'data'];
+const MAX_STRING_LENGTH = 2000;
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Helper: Oculta secretos que aparecen dentro de un texto libre
+ */
+function redactString(text) {
+  return text
+    .replace(/(Bearer\s+)[^\s"']+/gi, `$1${REDACTED}`)
+    .replace(/((?:api[-_]?key|token|password)=)[^&\s"']+/gi, `$1${REDACTED}`);
+}
+
+/**
+ * Helper: Copia los campos reemplazando secretos y contenido de archivos
+ */
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+
+  if (key && SECRET_KEY_PATTERN.test(key)) return REDACTED;
+
+  if (typeof value === 'string') {
+    if (CONTENT_KEYS.includes(key) && value.length > 200) {
+      return `[REDACTED ${value.length} chars]`;
+    }
+    const clean = redactString(value);
+    return clean.length > MAX_STRING_LENGTH ? `${clean.slice(0, MAX_STRING_LENGTH)}…` : clean;
+  }
+
+  if (Buffer.isBuffer(value)) return `[REDACTED ${value.length} bytes]`;
+
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), code: value.code };
+  }
+
+  if (typeof value !== 'object') return value;
+  if (depth >= 4) return '[Object]';
+
+  if (Array.isArray(value)) {
+    return value.slice(0, 50).map(item => redact(item, '', depth + 1));
+  }
+
+  const result = {};
+  for (const [childKey, childValue] of Object.entries(value)) {
+    result[childKey] = redact(childValue, childKey, depth + 1);
+  }
+  return result;
+}
+
+function resolveLevel(name) {
+  return LEVELS[(name || '').toLowerCase()] || LEVELS.info;
+}
+
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] - debug | info | warn | error
+   * @param {string} [options.format] - json | pretty
+   * @param {Object} [options.bindings] - Campos fijos en todas las líneas (p.ej. component)
+   */
+  constructor({ level = process.env.LOG_LEVEL, format = process.env.LOG_FORMAT, bindings = {} } = {}) {
+    this.levelName = (level || 'info').toLowerCase();
+    this.minLevel = resolveLevel(level);
+    this.format = format === 'pretty' ? 'pretty' : 'json';
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger hijo con campos fijos adicionales
+   */
+  child(bindings) {
+    return new Logger({ level: this.levelName, format: this.format, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= this.minLevel;
+  }
+
+  debug(message, fields) { this._log('debug', message, fields); }
+  info(message, fields) { this._log('info', message, fields); }
+  warn(message, fields) { this._log('warn', message, fields); }
+  error(message, fields) { this._log('error', message, fields); }
+
+  _log(level, message, fields) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const { component: boundComponent, ...bindings } = this.bindings;
+    let msg = String(message);
+    let component = boundComponent;
+    const tag = msg.match(/^\[([\w-]+)\]\s*/);
+    if (tag) {
+      component = component || tag[1];
+      msg = msg.slice(tag[0].length);
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...(component ? { component } : {}),
+      msg: redactString(msg),
+      ...getContext(),
+      ...redact({ ...bindings, ...(fields instanceof Error ? { error: fields } : fields) })
+    };
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(this.format === 'pretty' ? formatPretty(entry) + '\n' : JSON.stringify(entry) + '\n');
+  }
+}
+
+function formatPretty({ time, level, component, msg, ...rest }) {
+  const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${extra}`;
+}
+
+/**
+ * Ejecuta fn con un contexto de logging (p.ej. { requestId })
+ */
+function runWithContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+function getContext() {
+  return contextStorage.getStore() || {};
+}
+
+const logger = new Logger();
+
+module.exports = { logger, Logger, runWithContext, getContext, redact, LEVELS };
@@ -0,0 +1,183 @@
+/**
+ * Conversión a Markdown de los bloques de lib/content-extractor.js
+ *
+ * - Títulos, párrafos, listas, citas y bloques de código
+ * - Enlaces absolutos, negrita, cursiva y código en línea
+ * - Tablas como tablas GFM
+ * - Truncado por presupuesto aproximado de tokens (≈ 4 caracteres por token)
+ */
+
+const CHARS_PER_TOKEN = 4;
+// Salto de línea forzado (<br>): barra invertida + salto, que sobrevive al colapso de espacios
+const HARD_BREAK = '\\\n';
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function escapeTableCell(text) {
+  return (text || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function resolveHref(href, baseUrl) {
+  if (!baseUrl) return href;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (e) {
+    return href;
+  }
+}
+
+/**
+ * Helper: Convierte fragmentos en línea ({ text, href?, bold?, italic?, code? }) a Markdown
+ */
+function inlineToMarkdown(parts, baseUrl) {
+  if (!parts || parts.length === 0) return '';
+
+  // Agrupar fragmentos contiguos del mismo enlace
+  const segments = [];
+  for (const part of parts) {
+    const last = segments[segments.length - 1];
+    if (last && part.href && last.href === part.href) {
+      last.parts.push(part);
+    } else {
+      segments.push({ href: part.href, parts: [part] });
+    }
+  }
+
+  // Los spans de código se reservan con marcadores para no colapsar sus espacios
+  const codeSpans = [];
+  const render = part => {
+    if (part.text === '\n') return HARD_BREAK;
+    if (part.code) {
+      if (!part.text.trim()) return part.text;
+      codeSpans.push(`\`${part.text.replace(/`/g, '\\`')}\``);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    }
+    let text = escapeMarkdown(part.text);
+    const trimmed = text.trim();
+    if (!trimmed) return text;
+    const lead = text.match(/^\s*/)[0];
+    const trail = text.match(/\s*$/)[0];
+    if (part.bold) text = `${lead}**${trimmed}**${trail}`;
+    else if (part.italic) text = `${lead}_${trimmed}_${trail}`;
+    return text;
+  };
+
+  return segments.map(segment => {
+    const content = segment.parts.map(render).join('');
+    if (!segment.href || segment.href.startsWith('#') || !content.trim()) return content;
+    const lead = content.match(/^\s*/)[0];
+    const trail = content.match(/\s*$/)[0];
+    return `${lead}[${content.trim()}](${resolveHref(segment.href, baseUrl)})${trail}`;
+  }).join('')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\\\n ?/g, HARD_BREAK)
+    // Un salto al inicio o al final no separa nada (y dejaría una barra suelta)
+    .replace(/^(\s|\\\n)+|(\s|\\\n)+$/g, '')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[index]);
+}
+
+function tableToMarkdown(block) {
+  const width = Math.max(block.headers.length, ...block.rows.map(row => row.length));
+  if (width === 0) return '';
+
+  const pad = row => Array.from({ length: width }, (_, i) => escapeTableCell(row[i] || ''));
+  const headers = block.headers.length > 0 ? pad(block.headers) : pad(block.rows[0] || []);
+  const rows = block.headers.length > 0 ? block.rows : block.rows.slice(1);
+
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${pad(row).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Convierte un bloque a Markdown
+ */
+function blockToMarkdown(block, baseUrl, headingOffset = 0) {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(Math.min(block.level + headingOffset, 6))} ${escapeMarkdown(block.text)}`;
+    case 'paragraph':
+      return block.inline ? inlineToMarkdown(block.inline, baseUrl) : escapeMarkdown(block.text);
+    case 'quote':
+      return (block.inline ? inlineToMarkdown(block.inline, baseUrl) : escapeMarkdown(block.text))
+        .split('\n').map(line => `> ${line}`).join('\n');
+    case 'list':
+      return block.items.map((item, index) => {
+        const marker = block.ordered ? `${index + 1}.` : '-';
+        const text = item.inline ? inlineToMarkdown(item.inline, baseUrl) : escapeMarkdown(item.text);
+        return `${marker} ${text}`;
+      }).join('\n');
+    case 'code': {
+      // Cerca más larga que cualquier secuencia de backticks del contenido
+      const longest = Math.max(2, ...(block.text.match(/`+/g) || []).map(m => m.length));
+      const fence = '`'.repeat(longest + 1);
+      return `${fence}${block.language || ''}\n${block.text}\n${fence}`;
+    }
+    case 'table':
+      return tableToMarkdown(block);
+    default:
+      return block.text ? escapeMarkdown(block.text) : '';
+  }
+}
+
+/**
+ * Convierte bloques a un documento Markdown
+ * @param {Array} blocks - Bloques de extractMainContent()
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Para convertir enlaces relativos en absolutos
+ * @param {string} [options.title] - Se antepone como "# título" si no hay un h1
+ * @param {number} [options.headingOffset=0] - Niveles a bajar los títulos (para anidar en otro documento)
+ */
+function blocksToMarkdown(blocks, { baseUrl, title, headingOffset = 0 } = {}) {
+  const parts = blocks.map(block => blockToMarkdown(block, baseUrl, headingOffset)).filter(Boolean);
+  if (title && !blocks.some(b => b.type === 'heading' && b.level === 1)) {
+    parts.unshift(`# ${escapeMarkdown(title)}`);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Trunca Markdown a un presupuesto aproximado de tokens, cortando entre bloques
+ * @returns {{ markdown: string, truncated: boolean, estimatedTokens: number }}
+ */
+function truncateToTokenBudget(markdown, maxTokens) {
+  const text = markdown || '';
+  if (!maxTokens || estimateTokens(text) <= maxTokens) {
+    return { markdown: text, truncated: false, estimatedTokens: estimateTokens(text) };
+  }
+
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const blocks = text.split(/\n{2,}/);
+  let result = '';
+
+  for (const block of blocks) {
+    const candidate = result ? `${result}\n\n${block}` : block;
+    if (candidate.length > maxChars) {
+      // Primer bloque demasiado largo: cortar por palabra
+      if (!result) {
+        result = block.slice(0, maxChars).replace(/\s+\S*$/, '');
+      }
+      break;
+    }
+    result = candidate;
+  }
+
+  // No dejar un bloque de código sin cerrar
+  const fences = result.match(/^`{3,}/gm) || [];
+  if (fences.length % 2 === 1) {
+    result += `\n${fences[fences.length - 1]}`;
+  }
+
+  result += '\n\n…';
+  return { markdown: result, truncated: true, estimatedTokens: estimateTokens(result) };
+}
+
+module.exports = { blocksToMarkdown, truncateToTokenBudget, estimateTokens };
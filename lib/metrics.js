@@ -0,0 +1,185 @@
+/**
+ * Métricas en formato de exposición de Prometheus (text/plain; version=0.0.4)
+ *
+ * Registro mínimo sin dependencias: contadores, gauges e histogramas con etiquetas,
+ * más colectores que leen valores al momento del scrape (memoria, pool, cache).
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.type = type;
+    this.values = new Map(); // clave de etiquetas -> valor
+  }
+
+  _key(labels = {}) {
+    return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  _labels(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  /**
+   * Fija el acumulado de un contador que se mantiene fuera del registro (p.ej. stats() del cache)
+   */
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(this._labels(key))} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super(options, 'gauge');
+  }
+
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(this._labels(key))} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, seconds) {
+    const key = this._key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) entry.counts[i]++;
+    });
+    entry.sum += seconds;
+    entry.count++;
+  }
+
+  /**
+   * Devuelve una función que al llamarse registra los segundos transcurridos
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, entry] of this.values) {
+      const labels = this._labels(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${entry.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  counter(options) {
+    return this._register(new Counter({ ...options, name: this.prefix + options.name }));
+  }
+
+  gauge(options) {
+    return this._register(new Gauge({ ...options, name: this.prefix + options.name }));
+  }
+
+  histogram(options) {
+    return this._register(new Histogram({ ...options, name: this.prefix + options.name }));
+  }
+
+  /**
+   * Registra una función que actualiza gauges justo antes de cada scrape
+   */
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        logger.warn(`[Metrics] Error en colector: ${error.message}`);
+      }
+    }
+    return this.metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+  }
+
+  _register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, DEFAULT_BUCKETS };
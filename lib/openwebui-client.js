@@ -0,0 +1,349 @@
+/**
+ * Cliente de la API de Open WebUI
+ *
+ * - Archivos: subida multipart, consulta, listado y espera de procesamiento
+ * - Knowledge Bases: listado, detalle y alta de archivos
+ * - Retrieval vectorial y chat completions
+ * - Timeout por operación, reintentos con backoff exponencial en 5xx y errores de red
+ *   · Solo GET/DELETE (y consultas de solo lectura) se reintentan siempre; los POST que crean
+ *     o modifican datos solo si la conexión no llegó a establecerse (nunca tras un timeout)
+ * - Errores tipados (OpenWebUIError) con el status y el cuerpo de la respuesta
+ */
+
+const FormData = require('form-data');
+const { logger } = require('./logger');
+
+const MAX_ERROR_BODY = 1000;
+const MAX_RETRY_AFTER_MS = 30000;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'DELETE'];
+// Errores de red en los que la petición no llegó a Open WebUI
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+class OpenWebUIError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.operation - Operación del cliente (p.ej. 'uploadFile')
+   * @param {number|null} [details.status] - Status HTTP de Open WebUI (null si no hubo respuesta)
+   * @param {string} [details.body] - Cuerpo de la respuesta (truncado)
+   * @param {boolean} [details.timeout] - La petición superó el timeout
+   * @param {string} [details.code] - Código del error de red (ECONNREFUSED, ...)
+   */
+  constructor(message, { operation, status = null, body = null, timeout = false, code = null } = {}) {
+    super(message);
+    this.name = 'OpenWebUIError';
+    this.operation = operation;
+    this.status = status;
+    this.body = body;
+    this.timeout = timeout;
+    this.code = code;
+    // Respuesta del proxy: 504 si Open WebUI no respondió a tiempo, 502 en otro caso
+    this.statusCode = timeout ? 504 : 502;
+  }
+
+  get retryable() {
+    return this.status === null || this.status >= 500;
+  }
+
+  /**
+   * La petición falló antes de conectar (reintentarla no puede duplicar efectos)
+   */
+  get notSent() {
+    return this.status === null && !this.timeout && CONNECT_ERROR_CODES.includes(this.code);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class OpenWebUIClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - URL de Open WebUI
+   * @param {string} [options.apiKey] - API Key (Bearer)
+   * @param {number} [options.timeoutMs=30000] - Timeout por defecto de cada intento
+   * @param {number} [options.uploadTimeoutMs=120000] - Timeout de subidas de archivos
+   * @param {number} [options.chatTimeoutMs=120000] - Timeout de chat completions
+   * @param {number} [options.maxRetries=2] - Reintentos tras el primer intento
+   * @param {number} [options.retryBaseDelayMs=500] - Retardo base del backoff (se duplica en cada intento)
+   * @param {Function} [options.fetchImpl=fetch]
+   * @param {Function} [options.getHeaders] - () => headers extra por petición (p.ej. X-Request-Id)
+   * @param {Function} [options.onResponse] - ({ operation, outcome, seconds }) al terminar cada intento
+   */
+  constructor({
+    baseUrl,
+    apiKey = '',
+    timeoutMs = 30000,
+    uploadTimeoutMs = 120000,
+    chatTimeoutMs = 120000,
+    maxRetries = 2,
+    retryBaseDelayMs = 500,
+    fetchImpl = fetch,
+    getHeaders = null,
+    onResponse = null
+  }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.uploadTimeoutMs = uploadTimeoutMs;
+    this.chatTimeoutMs = chatTimeoutMs;
+    this.maxRetries = Math.max(0, maxRetries);
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.fetchImpl = fetchImpl;
+    this.getHeaders = getHeaders;
+    this.onResponse = onResponse;
+  }
+
+  /**
+   * Copia del cliente con otra API Key (la de la petición)
+   */
+  withApiKey(apiKey) {
+    return Object.assign(Object.create(OpenWebUIClient.prototype), this, { apiKey });
+  }
+
+  // ===== Archivos =====
+
+  /**
+   * Sube un archivo a /api/v1/files/
+   * @returns {Promise<Object>} archivo creado ({ id, filename, ... })
+   */
+  async uploadFile(buffer, { filename, contentType = 'application/octet-stream' }) {
+    const form = new FormData();
+    form.append('file', buffer, { filename, contentType, knownLength: buffer.length });
+
+    // El cuerpo se materializa una vez para poder reenviarlo en los reintentos
+    return this._request('uploadFile', '/api/v1/files/', {
+      method: 'POST',
+      headers: form.getHeaders(),
+      body: form.getBuffer(),
+      timeoutMs: this.uploadTimeoutMs
+    });
+  }
+
+  getFile(fileId) {
+    return this._request('getFile', `/api/v1/files/${encodeURIComponent(fileId)}`);
+  }
+
+  listFiles() {
+    return this._request('listFiles', '/api/v1/files/');
+  }
+
+  deleteFile(fileId) {
+    return this._request('deleteFile', `/api/v1/files/${encodeURIComponent(fileId)}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Espera a que Open WebUI extraiga el contenido del archivo
+   * @returns {Promise<boolean>} true si quedó procesado antes de agotar los intentos
+   */
+  async waitForFileProcessing(fileId, { maxAttempts = 30, intervalMs = 2000 } = {}) {
+    for (let i = 0; i < maxAttempts; i++) {
+      try {
+        const fileData = await this.getFile(fileId);
+        if (fileData.data && fileData.data.content) {
+          logger.info('[OpenWebUI] Archivo procesado correctamente', { fileId });
+          return true;
+        }
+      } catch (error) {
+        if (!(error instanceof OpenWebUIError)) throw error;
+        logger.debug(`[OpenWebUI] Estado del archivo no disponible: ${error.message}`, { fileId });
+      }
+
+      logger.debug(`[OpenWebUI] Esperando procesamiento... (${i + 1}/${maxAttempts})`, { fileId });
+      await sleep(intervalMs);
+    }
+    return false;
+  }
+
+  // ===== Knowledge Bases =====
+
+  listKnowledgeBases() {
+    return this._request('listKnowledgeBases', '/api/v1/knowledge/');
+  }
+
+  getKnowledgeBase(knowledgeId) {
+    return this._request('getKnowledgeBase', `/api/v1/knowledge/${encodeURIComponent(knowledgeId)}`);
+  }
+
+  addFileToKnowledge(knowledgeId, fileId) {
+    return this._request('addFileToKnowledge', `/api/v1/knowledge/${encodeURIComponent(knowledgeId)}/file/add`, {
+      method: 'POST',
+      json: { file_id: fileId }
+    });
+  }
+
+  removeFileFromKnowledge(knowledgeId, fileId) {
+    return this._request('removeFileFromKnowledge', `/api/v1/knowledge/${encodeURIComponent(knowledgeId)}/file/remove`, {
+      method: 'POST',
+      json: { file_id: fileId }
+    });
+  }
+
+  /**
+   * Sube un archivo, espera su procesamiento y lo agrega a la Knowledge Base.
+   * Si el alta en la KB falla el archivo queda subido y knowledgeBase es null.
+   * onStage recibe 'uploading', 'processing' y 'added-to-kb' a medida que avanza.
+   * @returns {Promise<{ file: Object, processed: boolean, knowledgeBase: Object|null }>}
+   */
+  async uploadToKnowledge(buffer, { filename, contentType, knowledgeId, onStage = () => {} }) {
+    onStage('uploading');
+    const file = await this.uploadFile(buffer, { filename, contentType });
+    logger.info('[OpenWebUI] Archivo subido', { fileId: file.id, filename });
+
+    onStage('processing', { fileId: file.id });
+    const processed = await this.waitForFileProcessing(file.id);
+    if (!processed) {
+      logger.warn('[OpenWebUI] El archivo puede no estar completamente procesado', { fileId: file.id });
+    }
+
+    let knowledgeBase = null;
+    if (knowledgeId) {
+      try {
+        knowledgeBase = await this.addFileToKnowledge(knowledgeId, file.id);
+        onStage('added-to-kb', { knowledgeId });
+        logger.info('[OpenWebUI] Archivo agregado a Knowledge Base', { fileId: file.id, knowledgeId });
+      } catch (error) {
+        if (!(error instanceof OpenWebUIError)) throw error;
+        logger.warn(`[OpenWebUI] No se pudo agregar a KB: ${error.message}`, { fileId: file.id, knowledgeId });
+      }
+    }
+
+    return { file, processed, knowledgeBase };
+  }
+
+  // ===== Retrieval y chat =====
+
+  /**
+   * Retrieval vectorial sobre una o varias colecciones
+   */
+  queryCollection({ collectionNames, query, k }) {
+    return this._request('queryCollection', '/api/v1/retrieval/query', {
+      method: 'POST',
+      idempotent: true,
+      json: { collection_names: collectionNames, query, k }
+    });
+  }
+
+  /**
+   * Chat completions (formato OpenAI)
+   * @param {Object} body - { messages, model?, files?, stream? }
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancela la petición (p.ej. cliente desconectado)
+   * @param {boolean} [options.raw] - Devuelve el Response sin leer (para streaming)
+   */
+  chatCompletion(body, { signal, raw = false } = {}) {
+    return this._request('chatCompletion', '/api/chat/completions', {
+      method: 'POST',
+      json: body,
+      timeoutMs: this.chatTimeoutMs,
+      signal,
+      raw
+    });
+  }
+
+  // ===== Infraestructura =====
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.idempotent] - Reintentable como un GET (por defecto según el método)
+   */
+  async _request(operation, path, { method = 'GET', headers = {}, json, body, timeoutMs = this.timeoutMs, signal, raw = false, idempotent = IDEMPOTENT_METHODS.includes(method) } = {}) {
+    const url = `${this.baseUrl}${path}`;
+    const requestHeaders = {
+      ...(this.getHeaders ? this.getHeaders() : {}),
+      ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+      ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    };
+    const requestBody = json !== undefined ? JSON.stringify(json) : body;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      let retryAfterMs = null;
+
+      try {
+        const { response, text } = await this._attempt(operation, url, { method, headers: requestHeaders, body: requestBody, timeoutMs, signal, raw });
+        if (response.ok) {
+          if (raw) return response;
+          try {
+            return text ? JSON.parse(text) : null;
+          } catch (e) {
+            throw new OpenWebUIError(`Open WebUI devolvió una respuesta no JSON en ${operation}`, { operation, status: response.status, body: text.slice(0, MAX_ERROR_BODY) });
+          }
+        }
+
+        retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        error = new OpenWebUIError(`Open WebUI respondió ${response.status} en ${operation}: ${text.slice(0, 200)}`, {
+          operation,
+          status: response.status,
+          body: text.slice(0, MAX_ERROR_BODY)
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      const retryable = error instanceof OpenWebUIError && (idempotent ? error.retryable : error.notSent);
+      if (!retryable || attempt >= this.maxRetries || (signal && signal.aborted)) {
+        throw error;
+      }
+
+      const delayMs = Math.min(retryAfterMs ?? this.retryBaseDelayMs * 2 ** attempt * (0.75 + Math.random() * 0.5), MAX_RETRY_AFTER_MS);
+      logger.warn(`[OpenWebUI] ${operation} falló (${error.status || 'sin respuesta'}), reintento ${attempt + 1}/${this.maxRetries} en ${Math.round(delayMs)}ms`);
+      await sleep(delayMs);
+    }
+  }
+
+  /**
+   * Un intento con timeout (incluye la lectura del cuerpo salvo en modo raw);
+   * convierte errores de red y timeouts en OpenWebUIError
+   * @returns {Promise<{ response: Response, text: string|null }>}
+   */
+  async _attempt(operation, url, { method, headers, body, timeoutMs, signal, raw }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const abortFromCaller = () => controller.abort();
+    if (signal) signal.addEventListener('abort', abortFromCaller, { once: true });
+
+    const startedAt = process.hrtime.bigint();
+    let outcome = 'error';
+    let streaming = false;
+    try {
+      const response = await this.fetchImpl(url, { method, headers, body, signal: controller.signal });
+      outcome = response.ok ? 'success' : 'http_error';
+      // En modo raw el llamador consume el stream; los errores siempre se leen para el mensaje
+      streaming = raw && response.ok;
+      const text = streaming ? null : await response.text();
+      return { response, text };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      const code = error.cause?.code || error.code;
+      outcome = 'error';
+      throw new OpenWebUIError(
+        timedOut ? `Open WebUI no respondió en ${timeoutMs}ms (${operation})` : `Error de conexión con Open WebUI (${operation}): ${error.cause?.message || error.message}`,
+        { operation, timeout: timedOut, code }
+      );
+    } finally {
+      clearTimeout(timeoutId);
+      // Mientras se lee un stream, abortar la señal del llamador sigue cortando la conexión
+      if (signal && !streaming) signal.removeEventListener('abort', abortFromCaller);
+      if (this.onResponse) {
+        this.onResponse({ operation, outcome, seconds: Number(process.hrtime.bigint() - startedAt) / 1e9 });
+      }
+    }
+  }
+}
+
+module.exports = { OpenWebUIClient, OpenWebUIError };
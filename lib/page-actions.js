@@ -0,0 +1,243 @@
+/**
+ * Interacciones declarativas para páginas de Puppeteer (/fetch-js)
+ *
+ * Permite ejecutar una lista de pasos antes de capturar el HTML, por ejemplo:
+ * [
+ *   { "type": "click", "selector": "button.ver-mas" },
+ *   { "type": "scroll", "times": 5 },
+ *   { "type": "waitForSelector", "selector": ".store-item" }
+ * ]
+ *
+ * Tipos soportados:
+ * - waitForSelector: { selector, timeout?, visible? }
+ * - click:           { selector, timeout?, waitForNavigation? }
+ * - scroll:          { times?, delay? } - scroll hasta el final N veces
+ * - type:            { selector, text, clear?, delay? }
+ * - select:          { selector, value | values }
+ * - wait:            { ms }
+ *
+ * Un paso fallido se reporta y la ejecución continúa, salvo que el paso tenga
+ * `required: true`, en cuyo caso los pasos restantes se marcan como omitidos.
+ *
+ * Límites (para no retener un navegador del pool): MAX_TOTAL_MS para toda la lista
+ * (los pasos pendientes al vencer se omiten), MAX_TEXT_LENGTH caracteres por `type`
+ * y MAX_SCROLL_MS entre todas las pausas de un `scroll`.
+ */
+
+const { logger } = require('./logger');
+
+const MAX_ACTIONS = 20;
+const MAX_WAIT_MS = 10000;
+const MAX_SCROLLS = 20;
+const DEFAULT_STEP_TIMEOUT = 10000;
+const MAX_TOTAL_MS = 60000;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_TYPE_MS = 10000;
+const MAX_SCROLL_MS = 30000;
+const SETTLE_TIMEOUT = 5000;
+
+const REQUIRED_FIELDS = {
+  waitForSelector: ['selector'],
+  click: ['selector'],
+  scroll: [],
+  type: ['selector', 'text'],
+  select: ['selector'],
+  wait: ['ms']
+};
+
+class PageActionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PageActionError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Helper: Normaliza y valida el script de acciones.
+ * Acepta un array o un string JSON (cuando llega por query string).
+ */
+function parseActions(input) {
+  if (input === undefined || input === null || input === '') {
+    return [];
+  }
+
+  let actions = input;
+  if (typeof input === 'string') {
+    try {
+      actions = JSON.parse(input);
+    } catch (e) {
+      throw new PageActionError('actions must be a valid JSON array');
+    }
+  }
+
+  if (!Array.isArray(actions)) {
+    throw new PageActionError('actions must be an array');
+  }
+
+  if (actions.length > MAX_ACTIONS) {
+    throw new PageActionError(`Too many actions (max ${MAX_ACTIONS})`);
+  }
+
+  actions.forEach((action, index) => {
+    if (!action || typeof action !== 'object') {
+      throw new PageActionError(`actions[${index}] must be an object`);
+    }
+    const required = REQUIRED_FIELDS[action.type];
+    if (!required) {
+      throw new PageActionError(`actions[${index}]: unknown type "${action.type}" (expected one of ${Object.keys(REQUIRED_FIELDS).join(', ')})`);
+    }
+    for (const field of required) {
+      if (action[field] === undefined || action[field] === null || action[field] === '') {
+        throw new PageActionError(`actions[${index}] (${action.type}): "${field}" is required`);
+      }
+    }
+    if (action.type === 'select' && action.value === undefined && !Array.isArray(action.values)) {
+      throw new PageActionError(`actions[${index}] (select): "value" or "values" is required`);
+    }
+    if (action.type === 'type' && String(action.text).length > MAX_TEXT_LENGTH) {
+      throw new PageActionError(`actions[${index}] (type): "text" is too long (max ${MAX_TEXT_LENGTH} characters)`);
+    }
+  });
+
+  return actions;
+}
+
+/**
+ * Helper: Espera breve a que la red quede inactiva tras una interacción
+ */
+async function settle(page, deadline) {
+  const timeout = Math.min(SETTLE_TIMEOUT, deadline - Date.now());
+  if (timeout <= 0) return;
+  await page.waitForNetworkIdle({ idleTime: 500, timeout }).catch(() => {});
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function runAction(page, action, deadline) {
+  const timeout = Math.max(Math.min(action.timeout || DEFAULT_STEP_TIMEOUT, 30000, deadline - Date.now()), 1);
+
+  switch (action.type) {
+    case 'waitForSelector': {
+      await page.waitForSelector(action.selector, { timeout, visible: !!action.visible });
+      return {};
+    }
+
+    case 'click': {
+      await page.waitForSelector(action.selector, { timeout, visible: true });
+      if (action.waitForNavigation) {
+        await Promise.all([
+          page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+          page.click(action.selector)
+        ]);
+      } else {
+        await page.click(action.selector);
+        await settle(page, deadline);
+      }
+      return {};
+    }
+
+    case 'scroll': {
+      const times = Math.min(Math.max(parseInt(action.times, 10) || 1, 1), MAX_SCROLLS);
+      // times × delay no supera MAX_SCROLL_MS
+      const delay = Math.min(parseInt(action.delay, 10) || 1000, MAX_WAIT_MS, Math.floor(MAX_SCROLL_MS / times));
+      let lastHeight = 0;
+      let performed = 0;
+
+      for (let i = 0; i < times && Date.now() < deadline; i++) {
+        const height = await page.evaluate(() => {
+          window.scrollTo(0, document.body.scrollHeight);
+          return document.body.scrollHeight;
+        });
+        performed++;
+        await sleep(Math.min(delay, Math.max(deadline - Date.now(), 0)));
+        await settle(page, deadline);
+
+        // Si la altura ya no cambia, no hay más contenido que cargar
+        if (height === lastHeight) break;
+        lastHeight = height;
+      }
+      return { scrolls: performed };
+    }
+
+    case 'type': {
+      await page.waitForSelector(action.selector, { timeout, visible: true });
+      if (action.clear) {
+        await page.$eval(action.selector, el => { el.value = ''; });
+      }
+      const text = String(action.text);
+      // Pausa entre teclas acotada para que el tipeo completo no supere MAX_TYPE_MS
+      const delay = Math.min(parseInt(action.delay, 10) || 0, 200, Math.floor(MAX_TYPE_MS / Math.max(text.length, 1)));
+      await page.type(action.selector, text, { delay });
+      return {};
+    }
+
+    case 'select': {
+      await page.waitForSelector(action.selector, { timeout });
+      const values = Array.isArray(action.values) ? action.values.map(String) : [String(action.value)];
+      const selected = await page.select(action.selector, ...values);
+      await settle(page, deadline);
+      return { selected };
+    }
+
+    case 'wait': {
+      const ms = Math.min(Math.max(parseInt(action.ms, 10) || 0, 0), MAX_WAIT_MS, Math.max(deadline - Date.now(), 0));
+      await sleep(ms);
+      return {};
+    }
+
+    default:
+      throw new PageActionError(`Unknown action type: ${action.type}`);
+  }
+}
+
+/**
+ * Helper: Corre un paso cortándolo al vencer el plazo total de la lista
+ */
+function runActionWithDeadline(page, action, deadline) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Se agotó el tiempo total de las acciones (${MAX_TOTAL_MS}ms)`)), Math.max(deadline - Date.now(), 0));
+  });
+  const running = runAction(page, action, deadline);
+  // Si vence el plazo, el paso puede fallar después: su error ya no interesa
+  running.catch(() => {});
+  return Promise.race([running, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Ejecuta las acciones en orden y devuelve un reporte por paso
+ * @returns {Promise<Array<{index, type, status, error?, durationMs}>>}
+ */
+async function runPageActions(page, actions, logTag = '[PageActions]') {
+  const steps = [];
+  const deadline = Date.now() + MAX_TOTAL_MS;
+  let aborted = false;
+
+  for (let index = 0; index < actions.length; index++) {
+    const action = actions[index];
+
+    if (aborted || Date.now() >= deadline) {
+      steps.push({ index, type: action.type, selector: action.selector, status: 'skipped', ...(aborted ? {} : { reason: 'deadline' }) });
+      continue;
+    }
+
+    const start = Date.now();
+    try {
+      const details = await runActionWithDeadline(page, action, deadline);
+      steps.push({ index, type: action.type, selector: action.selector, status: 'ok', durationMs: Date.now() - start, ...details });
+    } catch (error) {
+      logger.warn(`${logTag} Paso ${index} (${action.type}) falló: ${error.message}`);
+      steps.push({ index, type: action.type, selector: action.selector, status: 'error', error: error.message, durationMs: Date.now() - start });
+      if (action.required) {
+        aborted = true;
+      }
+    }
+  }
+
+  return steps;
+}
+
+module.exports = { PageActionError, parseActions, runPageActions };
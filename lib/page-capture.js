@@ -0,0 +1,159 @@
+/**
+ * Captura visual de páginas renderizadas con Puppeteer (/fetch-js)
+ *
+ * - Screenshot PNG/JPEG de la página completa, del viewport o de un elemento (selector CSS)
+ * - Renderizado a PDF (print-to-PDF), opcionalmente limitado a un elemento
+ */
+
+const SCREENSHOT_TYPES = ['png', 'jpeg'];
+const SCREENSHOT_MODES = ['viewport', 'fullPage'];
+// Formatos de papel de page.pdf() en Puppeteer
+const PDF_FORMATS = ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+
+class PageCaptureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PageCaptureError';
+    this.statusCode = 400;
+  }
+}
+
+function isEnabled(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Helper: Normaliza las opciones de captura desde query string o body
+ *
+ * Parámetros:
+ * - screenshot: true | 'viewport' | 'fullPage' (true = fullPage)
+ * - screenshotType: 'png' | 'jpeg' (default: png)
+ * - quality: 1-100 (solo jpeg, default: 80)
+ * - pdf: true
+ * - pdfFormat: 'A4' | 'Letter' | ... (default: A4)
+ * - landscape: true
+ * - captureSelector: selector CSS para limitar screenshot/PDF a un elemento
+ */
+function parseCaptureOptions(params, forced = {}) {
+  const options = {
+    screenshot: null,
+    pdf: null
+  };
+
+  const screenshotParam = forced.screenshot ? (params.screenshot || true) : params.screenshot;
+  if (screenshotParam !== undefined && screenshotParam !== false && screenshotParam !== 'false') {
+    const mode = isEnabled(screenshotParam) ? 'fullPage' : screenshotParam;
+    if (!SCREENSHOT_MODES.includes(mode)) {
+      throw new PageCaptureError(`screenshot must be true, "viewport" or "fullPage"`);
+    }
+
+    const type = (params.screenshotType || 'png').toLowerCase().replace('jpg', 'jpeg');
+    if (!SCREENSHOT_TYPES.includes(type)) {
+      throw new PageCaptureError(`screenshotType must be one of ${SCREENSHOT_TYPES.join(', ')}`);
+    }
+
+    options.screenshot = {
+      type,
+      fullPage: mode === 'fullPage',
+      quality: type === 'jpeg' ? Math.min(Math.max(parseInt(params.quality, 10) || 80, 1), 100) : undefined,
+      selector: params.captureSelector || null
+    };
+  }
+
+  if (forced.pdf || isEnabled(params.pdf)) {
+    const format = PDF_FORMATS.find(f => f.toLowerCase() === String(params.pdfFormat || 'A4').toLowerCase());
+    if (!format) {
+      throw new PageCaptureError(`pdfFormat must be one of ${PDF_FORMATS.join(', ')}`);
+    }
+
+    options.pdf = {
+      format,
+      landscape: isEnabled(params.landscape),
+      selector: params.captureSelector || null
+    };
+  }
+
+  return options;
+}
+
+/**
+ * Toma un screenshot según las opciones
+ * @returns {Promise<{buffer: Buffer, mimeType: string, ...}>}
+ */
+async function captureScreenshot(page, options) {
+  const shotOptions = { type: options.type };
+  if (options.quality) {
+    shotOptions.quality = options.quality;
+  }
+
+  let buffer;
+  if (options.selector) {
+    const element = await page.$(options.selector);
+    if (!element) {
+      throw new PageCaptureError(`captureSelector not found: ${options.selector}`);
+    }
+    buffer = await element.screenshot(shotOptions);
+  } else {
+    buffer = await page.screenshot({ ...shotOptions, fullPage: options.fullPage });
+  }
+
+  return {
+    buffer: Buffer.from(buffer),
+    mimeType: `image/${options.type}`,
+    fullPage: options.selector ? false : options.fullPage,
+    selector: options.selector || undefined
+  };
+}
+
+/**
+ * Renderiza la página a PDF. Si hay selector, se aísla el elemento antes de imprimir
+ * (modifica el DOM, por eso debe llamarse después de capturar el HTML).
+ */
+async function capturePdf(page, options) {
+  if (options.selector) {
+    const found = await page.evaluate((selector) => {
+      const element = document.querySelector(selector);
+      if (!element) return false;
+      document.body.innerHTML = '';
+      document.body.appendChild(element);
+      return true;
+    }, options.selector);
+
+    if (!found) {
+      throw new PageCaptureError(`captureSelector not found: ${options.selector}`);
+    }
+  }
+
+  const buffer = await page.pdf({
+    format: options.format,
+    landscape: options.landscape,
+    printBackground: true
+  });
+
+  return {
+    buffer: Buffer.from(buffer),
+    mimeType: 'application/pdf',
+    selector: options.selector || undefined
+  };
+}
+
+/**
+ * Helper: Serializa una captura para incluirla en una respuesta JSON
+ */
+function toBase64Payload(capture) {
+  const { buffer, ...meta } = capture;
+  return {
+    ...meta,
+    encoding: 'base64',
+    size: buffer.length,
+    data: buffer.toString('base64')
+  };
+}
+
+module.exports = {
+  PageCaptureError,
+  parseCaptureOptions,
+  captureScreenshot,
+  capturePdf,
+  toBase64Payload
+};
@@ -0,0 +1,290 @@
+/**
+ * Rate limiting por cliente y por ruta
+ *
+ * - Token bucket por (ruta, cliente): ráfaga máxima (burst) y recarga continua (limit por windowMs)
+ * - Cuota diaria opcional (UTC) para rutas costosas
+ * - Headers RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy y Retry-After
+ * - Store intercambiable: memoria (una instancia) o Redis (varias réplicas, requiere ioredis)
+ *
+ * Variables de entorno:
+ * - RATE_LIMIT_ENABLED: 'false' desactiva los límites
+ * - RATE_LIMITS: JSON con overrides por ruta, p.ej. {"fetch-js": {"limit": 10, "windowMs": 60000, "burst": 3, "daily": 200}}
+ * - RATE_LIMIT_STORE: 'memory' (por defecto) o 'redis'
+ * - REDIS_URL: conexión para RATE_LIMIT_STORE=redis
+ */
+
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Límites por defecto. daily = 0 significa sin cuota diaria
+const DEFAULT_LIMITS = {
+  'search': { limit: 60, windowMs: 60000, burst: 20, daily: 0 },
+  'fetch': { limit: 30, windowMs: 60000, burst: 10, daily: 0 },
+  'fetch-js': { limit: 6, windowMs: 60000, burst: 3, daily: 500 },
+  'deep-search': { limit: 4, windowMs: 60000, burst: 2, daily: 200 },
+  'rag-read': { limit: 60, windowMs: 60000, burst: 20, daily: 0 },
+  'rag-write': { limit: 20, windowMs: 60000, burst: 5, daily: 1000 }
+};
+
+/**
+ * Store en memoria (una sola instancia)
+ */
+class MemoryRateLimitStore {
+  constructor({ cleanupIntervalMs = 60000 } = {}) {
+    this.buckets = new Map(); // key -> { tokens, updatedAt, fullAt }
+    this.counters = new Map(); // key -> { count, resetAt }
+
+    // Elimina buckets llenos y cuotas vencidas para no crecer indefinidamente
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Consume un token del bucket
+   * @returns {Promise<{ allowed: boolean, tokens: number }>}
+   */
+  async consume(key, capacity, refillPerMs, now = Date.now()) {
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    let tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + (capacity - tokens) / refillPerMs });
+    return { allowed, tokens };
+  }
+
+  /**
+   * Incrementa un contador que vence en resetAt
+   * @returns {Promise<number>} valor tras incrementar
+   */
+  async increment(key, resetAt) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) {
+      this.counters.set(key, { count: 1, resetAt });
+      return 1;
+    }
+    counter.count++;
+    return counter.count;
+  }
+
+  cleanup(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    }
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) this.counters.delete(key);
+    }
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+// Token bucket atómico en Redis. Los tokens se devuelven como string para conservar decimales
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(data[1]) or capacity
+local ts = tonumber(data[2]) or now
+tokens = math.min(capacity, tokens + (now - ts) * refill)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Store en Redis (compartido entre réplicas)
+ * @param {Object} client - cliente ioredis (eval, incr, pexpireat)
+ */
+class RedisRateLimitStore {
+  constructor({ client, prefix = 'searxng-proxy:rl:' }) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async consume(key, capacity, refillPerMs, now = Date.now()) {
+    const [allowed, tokens] = await this.client.eval(TOKEN_BUCKET_SCRIPT, 1, this.prefix + key, capacity, refillPerMs, now);
+    return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+  }
+
+  async increment(key, resetAt) {
+    const fullKey = this.prefix + key;
+    const count = await this.client.incr(fullKey);
+    if (count === 1) {
+      await this.client.pexpireat(fullKey, resetAt);
+    }
+    return count;
+  }
+
+  close() {
+    return this.client.quit().catch(() => {});
+  }
+}
+
+/**
+ * Helper: Combina límites por defecto, overrides de entorno y overrides del cliente
+ */
+function resolveLimits(route, routeOverrides, clientOverrides) {
+  const base = DEFAULT_LIMITS[route] || DEFAULT_LIMITS['search'];
+  return {
+    ...base,
+    ...(routeOverrides[route] || {}),
+    ...((clientOverrides && clientOverrides[route]) || {})
+  };
+}
+
+function nextUtcMidnight(now) {
+  return Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - MemoryRateLimitStore | RedisRateLimitStore
+   * @param {Object} [options.limits] - Overrides por ruta ({ [ruta]: { limit, windowMs, burst, daily } })
+   * @param {boolean} [options.enabled=true]
+   */
+  constructor({ store, limits = {}, enabled = true }) {
+    this.store = store;
+    this.limits = limits;
+    this.enabled = enabled;
+    this.rejected = 0;
+  }
+
+  /**
+   * Identidad del cliente: nombre de la clave si está autenticado, si no la IP
+   */
+  identify(req) {
+    if (req.client && !req.client.anonymous) return `client:${req.client.name}`;
+    return `ip:${req.ip}`;
+  }
+
+  /**
+   * Evalúa bucket y cuota para una petición
+   * @returns {Promise<{ allowed: boolean, headers: Object, retryAfterMs?: number, quota?: boolean }>}
+   */
+  async check(route, identity, clientOverrides, now = Date.now()) {
+    const limits = resolveLimits(route, this.limits, clientOverrides);
+    const capacity = Math.max(1, limits.burst || limits.limit);
+    const refillPerMs = limits.limit / limits.windowMs;
+
+    const { allowed, tokens } = await this.store.consume(`${route}:${identity}`, capacity, refillPerMs, now);
+    const headers = {
+      'RateLimit-Limit': String(capacity),
+      'RateLimit-Remaining': String(Math.floor(tokens)),
+      'RateLimit-Reset': String(Math.ceil((capacity - tokens) / refillPerMs / 1000)),
+      'RateLimit-Policy': `${limits.limit};w=${Math.round(limits.windowMs / 1000)};burst=${capacity}`
+    };
+
+    if (!allowed) {
+      return { allowed: false, headers, retryAfterMs: Math.ceil((1 - tokens) / refillPerMs) };
+    }
+
+    if (limits.daily > 0) {
+      const resetAt = nextUtcMidnight(now);
+      const used = await this.store.increment(`quota:${route}:${identity}:${Math.floor(now / DAY_MS)}`, resetAt);
+      headers['X-Quota-Limit'] = String(limits.daily);
+      headers['X-Quota-Remaining'] = String(Math.max(0, limits.daily - used));
+      if (used > limits.daily) {
+        return { allowed: false, headers, retryAfterMs: resetAt - now, quota: true };
+      }
+    }
+
+    return { allowed: true, headers };
+  }
+
+  /**
+   * Middleware: aplica el límite de la ruta (debe ir después de la autenticación)
+   */
+  limit(route) {
+    return async (req, res, next) => {
+      if (!this.enabled) return next();
+
+      let result;
+      try {
+        result = await this.check(route, this.identify(req), req.client && req.client.rateLimits);
+      } catch (error) {
+        // Si el store falla (p.ej. Redis caído) no se bloquea el servicio
+        logger.warn(`[RateLimit] Store no disponible, se permite la petición: ${error.message}`);
+        return next();
+      }
+
+      res.set(result.headers);
+      if (result.allowed) return next();
+
+      this.rejected++;
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      logger.warn(`[RateLimit] ${result.quota ? 'Cuota diaria agotada' : 'Límite excedido'} en ${route} para ${this.identify(req)}`);
+
+      return res.status(429).json({
+        error: result.quota ? 'Quota exceeded' : 'Too Many Requests',
+        message: result.quota
+          ? `Daily quota for ${route} exhausted, resets at 00:00 UTC`
+          : `Rate limit exceeded for ${route}, retry in ${retryAfter}s`,
+        retryAfter
+      });
+    };
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      store: this.store.constructor.name,
+      rejected: this.rejected
+    };
+  }
+
+  close() {
+    return this.store.close();
+  }
+}
+
+/**
+ * Crea el limitador a partir de las variables de entorno
+ */
+function createRateLimiterFromEnv() {
+  let limits = {};
+  if (process.env.RATE_LIMITS) {
+    try {
+      limits = JSON.parse(process.env.RATE_LIMITS);
+    } catch (error) {
+      logger.warn(`[RateLimit] RATE_LIMITS no es JSON válido, se usan los valores por defecto: ${error.message}`);
+    }
+  }
+
+  let store = null;
+  if (process.env.RATE_LIMIT_STORE === 'redis') {
+    try {
+      const Redis = require('ioredis');
+      store = new RedisRateLimitStore({ client: new Redis(process.env.REDIS_URL || 'redis://localhost:6379') });
+      logger.info('[RateLimit] Usando store Redis');
+    } catch (error) {
+      logger.warn(`[RateLimit] ioredis no disponible, se usa memoria: ${error.message}`);
+    }
+  }
+
+  return new RateLimiter({
+    store: store || new MemoryRateLimitStore(),
+    limits,
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false'
+  });
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  RateLimiter,
+  createRateLimiterFromEnv
+};
@@ -0,0 +1,228 @@
+/**
+ * Cumplimiento de robots.txt (RFC 9309) para las rutas que rastrean páginas
+ *
+ * - Descarga y cachea el robots.txt de cada origen
+ * - Evalúa Allow/Disallow (comodines * y $) para el user agent del bot
+ * - Expone Crawl-delay para que el crawler espacie las peticiones por host
+ *
+ * Según la RFC: 4xx = sin restricciones, 5xx o error de red = todo bloqueado.
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const ERROR_TTL_MS = 5 * 60 * 1000;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+const MAX_CRAWL_DELAY_MS = 30000;
+
+class RobotsBlockedError extends Error {
+  constructor(url) {
+    super(`robots.txt no permite acceder a ${url}`);
+    this.name = 'RobotsBlockedError';
+    this.url = url;
+    this.reason = 'blockedByRobots';
+    this.statusCode = 403;
+  }
+}
+
+/**
+ * Helper: Parsea robots.txt en grupos { agents: [], rules: [{ allow, pattern }], crawlDelay }
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Líneas User-agent consecutivas comparten el mismo grupo
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // "Disallow:" vacío no restringe nada
+      if (value) {
+        current.rules.push({ allow: field === 'allow', pattern: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds * 1000;
+      }
+    }
+  }
+
+  return groups;
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+/**
+ * Helper: Selecciona las reglas aplicables al token del bot (o el grupo '*')
+ */
+function selectRules(groups, productToken) {
+  const specific = groups.filter(g => g.agents.some(agent => agent !== '*' && productToken.includes(agent)));
+  const selected = specific.length > 0 ? specific : groups.filter(g => g.agents.includes('*'));
+
+  const delays = selected.map(g => g.crawlDelay).filter(d => d !== null);
+  return {
+    rules: selected.flatMap(g => g.rules).map(rule => ({ ...rule, regex: patternToRegex(rule.pattern) })),
+    crawlDelayMs: delays.length > 0 ? Math.min(Math.max(...delays), MAX_CRAWL_DELAY_MS) : null
+  };
+}
+
+/**
+ * Helper: La regla más específica (patrón más largo) gana; en empate gana Allow
+ */
+function isPathAllowed(rules, pathWithQuery) {
+  if (pathWithQuery === '/robots.txt') return true;
+
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.regex.test(pathWithQuery)) continue;
+    if (!best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+class RobotsCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.userAgent - User agent completo del bot (p.ej. "SearXNG-Proxy-Bot/1.0 (+https://...)")
+   * @param {Function} options.fetchImpl - implementación de fetch (p.ej. safeFetch)
+   * @param {number} [options.ttlMs] - Tiempo de cache de cada robots.txt
+   * @param {boolean} [options.enabled=true]
+   */
+  constructor({ userAgent, fetchImpl, ttlMs = DEFAULT_TTL_MS, enabled = true }) {
+    this.userAgent = userAgent;
+    this.productToken = userAgent.split('/')[0].trim().toLowerCase();
+    this.fetchImpl = fetchImpl;
+    this.ttlMs = ttlMs;
+    this.enabled = enabled;
+    this.entries = new Map(); // origin -> { policy, expiresAt } | { pending }
+  }
+
+  /**
+   * Evalúa si el bot puede acceder a la URL
+   * @returns {Promise<{ allowed: boolean, crawlDelayMs: number|null, robotsStatus: string }>}
+   */
+  async check(rawUrl) {
+    if (!this.enabled) {
+      return { allowed: true, crawlDelayMs: null, robotsStatus: 'disabled' };
+    }
+
+    const url = new URL(rawUrl);
+    const policy = await this._getPolicy(url.origin);
+
+    return {
+      allowed: policy.allowAll ? true : (policy.disallowAll ? false : isPathAllowed(policy.rules, url.pathname + url.search)),
+      crawlDelayMs: policy.crawlDelayMs,
+      robotsStatus: policy.status
+    };
+  }
+
+  /**
+   * Igual que check(), pero lanza RobotsBlockedError si no está permitido
+   */
+  async assertAllowed(rawUrl) {
+    const result = await this.check(rawUrl);
+    if (!result.allowed) {
+      throw new RobotsBlockedError(rawUrl);
+    }
+    return result;
+  }
+
+  /**
+   * Crawl-delay ya conocido para un host (sin red; null si aún no se descargó)
+   */
+  getCachedCrawlDelay(hostname) {
+    for (const [origin, entry] of this.entries) {
+      if (entry.policy && new URL(origin).hostname === hostname) {
+        return entry.policy.crawlDelayMs;
+      }
+    }
+    return null;
+  }
+
+  async _getPolicy(origin) {
+    const entry = this.entries.get(origin);
+    if (entry && entry.pending) return entry.pending;
+    if (entry && entry.expiresAt > Date.now()) return entry.policy;
+
+    // Una sola descarga concurrente por origen
+    const pending = this._fetchPolicy(origin).then(({ policy, ttlMs }) => {
+      this.entries.set(origin, { policy, expiresAt: Date.now() + ttlMs });
+      if (this.entries.size > 1000) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+      return policy;
+    });
+    this.entries.set(origin, { pending });
+    return pending;
+  }
+
+  async _fetchPolicy(origin) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    try {
+      const response = await this.fetchImpl(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.userAgent, 'Accept': 'text/plain,*/*;q=0.5' },
+        signal: controller.signal
+      });
+
+      if (response.status >= 400 && response.status < 500) {
+        await response.body?.cancel().catch(() => {});
+        return { policy: { allowAll: true, rules: [], crawlDelayMs: null, status: `http-${response.status}` }, ttlMs: this.ttlMs };
+      }
+
+      if (!response.ok) {
+        await response.body?.cancel().catch(() => {});
+        logger.warn(`[Robots] ${origin}/robots.txt respondió ${response.status}, se asume bloqueo total`);
+        return { policy: { disallowAll: true, rules: [], crawlDelayMs: null, status: `http-${response.status}` }, ttlMs: ERROR_TTL_MS };
+      }
+
+      const text = (await response.text()).slice(0, MAX_ROBOTS_BYTES);
+      const { rules, crawlDelayMs } = selectRules(parseRobots(text), this.productToken);
+      return { policy: { rules, crawlDelayMs, status: 'ok' }, ttlMs: this.ttlMs };
+
+    } catch (error) {
+      // Error de red, timeout o URL bloqueada por la política de URLs: se asume bloqueo total
+      logger.warn(`[Robots] No se pudo obtener ${origin}/robots.txt: ${error.message}`);
+      return { policy: { disallowAll: true, rules: [], crawlDelayMs: null, status: 'unreachable' }, ttlMs: ERROR_TTL_MS };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+module.exports = { RobotsCache, RobotsBlockedError, parseRobots, selectRules, isPathAllowed };
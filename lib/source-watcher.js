@@ -0,0 +1,325 @@
+/**
+ * Fuentes vigiladas: re-ingesta periódica de páginas y documentos que cambian
+ *
+ * - Registro de fuentes (URL de página o de documento, Knowledge Base destino, intervalo)
+ * - Planificador interno: revisa cada minuto qué fuentes vencieron y las ejecuta de a una
+ * - La ejecución la provee server.js (runWatch); aquí solo se guarda el estado por documento
+ *   (ETag, Last-Modified, hash, fileId) y el resultado de la última corrida
+ * - Persistencia en un archivo JSON (escritura diferida y atómica)
+ *
+ * Intervalos: '30m', '6h', '1d', '2w' o los alias hourly, daily, weekly, monthly (30 días)
+ *
+ * Variables de entorno:
+ * - WATCHES_ENABLED: 'false' desactiva el planificador (las fuentes se pueden ejecutar a mano)
+ * - WATCHES_FILE: archivo del registro (default: ./.cache/watches.json, '' = solo memoria)
+ * - WATCH_MIN_INTERVAL_MS: intervalo mínimo permitido (default: 15 minutos)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger, runWithContext } = require('./logger');
+
+const INTERVAL_ALIASES = { hourly: '1h', daily: '1d', weekly: '1w', monthly: '30d' };
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const TICK_MS = 60 * 1000;
+const SAVE_DELAY_MS = 1000;
+
+class WatchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WatchError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Convierte '6h', 'daily', ... a milisegundos
+ * @returns {number|null} null si el formato no es válido
+ */
+function parseInterval(value) {
+  const text = String(value || '').trim().toLowerCase();
+  const match = (INTERVAL_ALIASES[text] || text).match(/^(\d+)\s*([mhdw])$/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * INTERVAL_UNITS[match[2]];
+}
+
+class SourceWatcher {
+  /**
+   * @param {Object} options
+   * @param {Function} options.runWatch - async (watch) => { status: 'ok'|'partial'|'failed', summary, error }
+   * @param {string} [options.file] - Archivo JSON de persistencia (null = solo memoria)
+   * @param {number} [options.minIntervalMs=900000]
+   * @param {boolean} [options.enabled=true] - Ejecutar las fuentes vencidas automáticamente
+   */
+  constructor({ runWatch, file = null, minIntervalMs = 15 * 60 * 1000, enabled = true }) {
+    this.runWatch = runWatch;
+    this.file = file;
+    this.minIntervalMs = minIntervalMs;
+    this.enabled = enabled;
+
+    this.watches = new Map(); // id -> watch
+    this.queue = []; // ids pendientes de ejecutar
+    this.running = null;
+    this.saveTimer = null;
+    this.tickTimer = null;
+  }
+
+  /**
+   * Carga el registro y arranca el planificador
+   */
+  start() {
+    this._load();
+    if (!this.enabled) {
+      logger.info('[Watch] Planificador desactivado (WATCHES_ENABLED=false)');
+      return;
+    }
+    this.tickTimer = setInterval(() => this.tick(), TICK_MS);
+    this.tickTimer.unref();
+    this.tick();
+  }
+
+  async stop() {
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this._save();
+    }
+  }
+
+  list(owner) {
+    return [...this.watches.values()].filter(watch => owner === undefined || watch.owner === owner);
+  }
+
+  /**
+   * Fuente visible para su dueño (null si no existe o pertenece a otro cliente)
+   */
+  get(id, owner) {
+    const watch = this.watches.get(id);
+    if (!watch || (owner !== undefined && watch.owner !== owner)) return null;
+    return watch;
+  }
+
+  /**
+   * Registra una fuente
+   * @param {Object} spec - { url, kind, type?, types?, maxFiles?, knowledgeId, interval, name?, enabled?, owner }
+   */
+  create(spec) {
+    const now = new Date().toISOString();
+    const watch = {
+      id: crypto.randomUUID(),
+      name: spec.name || spec.url,
+      url: spec.url,
+      kind: spec.kind,
+      type: spec.type || null,
+      types: spec.types || null,
+      maxFiles: spec.maxFiles || null,
+      knowledgeId: spec.knowledgeId,
+      interval: spec.interval,
+      intervalMs: this._intervalMs(spec.interval),
+      enabled: spec.enabled !== false,
+      owner: spec.owner,
+      createdAt: now,
+      updatedAt: now,
+      // Primera corrida en el próximo tick
+      nextRunAt: now,
+      lastRunAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastSummary: null,
+      documents: {} // url -> { etag, lastModified, contentHash, fileId, filename, updatedAt }
+    };
+
+    this.watches.set(watch.id, watch);
+    this._scheduleSave();
+    logger.info(`[Watch] Fuente registrada: ${watch.url}`, { watchId: watch.id, interval: watch.interval });
+    return watch;
+  }
+
+  /**
+   * Actualiza los campos editables de una fuente (valida todo antes de modificar nada)
+   * Al cambiar de Knowledge Base se olvidan los documentos ingeridos: sus fileId son de la KB
+   * anterior y se vuelven a ingerir en la nueva en la próxima corrida
+   */
+  update(watch, changes) {
+    const intervalMs = changes.interval !== undefined ? this._intervalMs(changes.interval) : null;
+
+    const knowledgeChanged = changes.knowledgeId !== undefined && changes.knowledgeId !== watch.knowledgeId;
+
+    for (const field of ['name', 'knowledgeId', 'types', 'maxFiles', 'enabled']) {
+      if (changes[field] !== undefined) watch[field] = changes[field];
+    }
+    if (intervalMs !== null) {
+      watch.interval = changes.interval;
+      watch.intervalMs = intervalMs;
+      watch.nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+    }
+    if (knowledgeChanged) {
+      logger.info(`[Watch] Cambio de Knowledge Base, se re-ingieren los documentos: ${watch.url}`, { watchId: watch.id, knowledgeId: watch.knowledgeId });
+      watch.documents = {};
+      watch.nextRunAt = new Date().toISOString();
+    }
+    watch.updatedAt = new Date().toISOString();
+    this._scheduleSave();
+    return watch;
+  }
+
+  remove(watch) {
+    this.watches.delete(watch.id);
+    this.queue = this.queue.filter(id => id !== watch.id);
+    this._scheduleSave();
+    logger.info(`[Watch] Fuente eliminada: ${watch.url}`, { watchId: watch.id });
+  }
+
+  /**
+   * Encola una fuente para ejecutarla ya (aunque no haya vencido)
+   * @returns {boolean} false si ya estaba en cola o ejecutándose
+   */
+  trigger(watch) {
+    if (this.running === watch.id || this.queue.includes(watch.id)) return false;
+    this.queue.push(watch.id);
+    this._drain();
+    return true;
+  }
+
+  /**
+   * Encola las fuentes habilitadas cuya próxima corrida ya venció
+   */
+  tick(now = Date.now()) {
+    for (const watch of this.watches.values()) {
+      if (watch.enabled && Date.parse(watch.nextRunAt) <= now) {
+        this.trigger(watch);
+      }
+    }
+  }
+
+  /**
+   * Representación pública (sin dueño); documents como lista
+   */
+  toJSON(watch) {
+    const { owner, documents, ...publicWatch } = watch;
+    return {
+      ...publicWatch,
+      running: this.running === watch.id,
+      queued: this.queue.includes(watch.id),
+      documents: Object.entries(documents).map(([url, state]) => ({ url, ...state }))
+    };
+  }
+
+  stats() {
+    const watches = [...this.watches.values()];
+    return {
+      enabled: this.enabled,
+      watches: watches.length,
+      active: watches.filter(w => w.enabled).length,
+      running: this.running,
+      queued: this.queue.length,
+      failing: watches.filter(w => w.lastStatus === 'failed').length
+    };
+  }
+
+  _intervalMs(interval) {
+    const intervalMs = parseInterval(interval);
+    if (!intervalMs) {
+      throw new WatchError(`Invalid interval "${interval}" (use 30m, 6h, 1d, 1w, hourly, daily, weekly, monthly)`);
+    }
+    if (intervalMs < this.minIntervalMs) {
+      throw new WatchError(`Interval must be at least ${Math.round(this.minIntervalMs / 60000)} minutes`);
+    }
+    return intervalMs;
+  }
+
+  async _drain() {
+    if (this.running || this.queue.length === 0) return;
+
+    const id = this.queue.shift();
+    const watch = this.watches.get(id);
+    if (!watch) return this._drain();
+
+    this.running = id;
+    const startedAt = Date.now();
+
+    // Cada corrida tiene su propio requestId (no el de la petición que la disparó)
+    await runWithContext({ requestId: `watch-${id.slice(0, 8)}-${startedAt}` }, async () => {
+      logger.info(`[Watch] Revisando fuente: ${watch.url}`, { watchId: id });
+      try {
+        const result = await this.runWatch(watch);
+        watch.lastStatus = result.status;
+        watch.lastSummary = result.summary;
+        watch.lastError = result.error || null;
+      } catch (error) {
+        logger.error(`[Watch] Error revisando ${watch.url}: ${error.message}`, { watchId: id });
+        watch.lastStatus = 'failed';
+        watch.lastError = error.message;
+      } finally {
+        watch.lastRunAt = new Date(startedAt).toISOString();
+        watch.lastDurationMs = Date.now() - startedAt;
+        watch.nextRunAt = new Date(startedAt + watch.intervalMs).toISOString();
+        this.running = null;
+        this._scheduleSave();
+      }
+      logger.info(`[Watch] Fuente revisada en ${watch.lastDurationMs}ms: ${watch.lastStatus}`, { watchId: id, summary: watch.lastSummary });
+    });
+
+    this._drain();
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      for (const watch of data.watches || []) {
+        this.watches.set(watch.id, watch);
+      }
+      logger.info(`[Watch] ${this.watches.size} fuentes cargadas`);
+    } catch (error) {
+      logger.warn(`[Watch] No se pudo leer ${this.file}, se empieza vacío: ${error.message}`);
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  async _save() {
+    // Escritura atómica: archivo temporal + rename
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmpFile, JSON.stringify({ version: 1, watches: [...this.watches.values()] }, null, 2));
+      await fs.promises.rename(tmpFile, this.file);
+    } catch (error) {
+      logger.warn(`[Watch] No se pudo guardar el registro: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Crea el planificador a partir de las variables de entorno (sin arrancarlo)
+ */
+function createSourceWatcherFromEnv({ runWatch }) {
+  const file = process.env.WATCHES_FILE !== undefined
+    ? process.env.WATCHES_FILE || null
+    : path.join(process.cwd(), '.cache', 'watches.json');
+
+  return new SourceWatcher({
+    runWatch,
+    file,
+    minIntervalMs: parseInt(process.env.WATCH_MIN_INTERVAL_MS, 10) || 15 * 60 * 1000,
+    enabled: process.env.WATCHES_ENABLED !== 'false'
+  });
+}
+
+module.exports = {
+  WatchError,
+  SourceWatcher,
+  parseInterval,
+  createSourceWatcherFromEnv
+};
@@ -0,0 +1,216 @@
+/**
+ * Recepción de archivos para /upload-file sin pasar por base64
+ *
+ * - multipart/form-data (uno o varios archivos, más campos de texto) con busboy
+ * - Cuerpo binario crudo (application/pdf, application/octet-stream, ...) con el nombre en
+ *   ?filename=, X-Filename o Content-Disposition
+ * - Los archivos se escriben en streaming a un directorio temporal; nunca se acumula
+ *   la petición completa en memoria
+ * - Límites de tamaño por archivo y de cantidad de archivos (413 al superarlos)
+ *
+ * Variables de entorno:
+ * - UPLOAD_MAX_FILE_BYTES: tamaño máximo por archivo (por defecto 50 MB)
+ * - UPLOAD_MAX_FILES: archivos máximos por petición multipart (por defecto 10)
+ * - UPLOAD_TMP_DIR: directorio de los temporales (por defecto el del sistema)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const busboy = require('busboy');
+const { logger } = require('./logger');
+
+const UPLOAD_MAX_FILE_BYTES = parseInt(process.env.UPLOAD_MAX_FILE_BYTES, 10) || 50 * 1024 * 1024;
+const UPLOAD_MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES, 10) || 10;
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || os.tmpdir();
+const MAX_FIELD_BYTES = 64 * 1024;
+
+class UploadError extends Error {
+  /**
+   * @param {number} statusCode - 400 (petición mal formada) o 413 (límite superado)
+   */
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.statusCode = statusCode;
+  }
+}
+
+function tempPath() {
+  return path.join(UPLOAD_TMP_DIR, `searxng-proxy-upload-${crypto.randomUUID()}`);
+}
+
+/**
+ * Helper: Transform que cuenta bytes y corta el stream al superar el máximo
+ */
+function createSizeLimiter(maxBytes, filename) {
+  let size = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        return callback(new UploadError(`File ${filename} exceeds the ${maxBytes} bytes limit`, 413));
+      }
+      callback(null, chunk);
+    }
+  });
+  limiter.getSize = () => size;
+  return limiter;
+}
+
+/**
+ * Elimina los temporales de una subida (errores ignorados)
+ */
+async function cleanupUploads(files) {
+  await Promise.all((files || []).map(file => fs.promises.unlink(file.path).catch(() => {})));
+}
+
+/**
+ * Lee una petición multipart/form-data
+ * @returns {Promise<{ fields: Object, files: Array<{ fieldName, filename, mimeType, path, size }> }>}
+ */
+function parseMultipartUpload(req, { maxFileBytes = UPLOAD_MAX_FILE_BYTES, maxFiles = UPLOAD_MAX_FILES } = {}) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { fileSize: maxFileBytes, files: maxFiles, fieldSize: MAX_FIELD_BYTES },
+        defParamCharset: 'utf8'
+      });
+    } catch (error) {
+      return reject(new UploadError(`Invalid multipart request: ${error.message}`));
+    }
+
+    const fields = {};
+    const files = [];
+    const writes = [];
+    const active = new Set();
+    let failure = null;
+
+    const fail = error => {
+      if (failure) return;
+      failure = error;
+      req.unpipe(parser);
+      req.resume();
+      active.forEach(stream => stream.destroy(error));
+      // Esperar a que terminen las escrituras en curso antes de borrar los temporales
+      Promise.allSettled(writes).then(() => cleanupUploads(files)).then(() => reject(error));
+    };
+
+    parser.on('field', (name, value, info) => {
+      if (info.valueTruncated) return fail(new UploadError(`Field ${name} is too large`, 413));
+      fields[name] = value;
+    });
+
+    parser.on('file', (fieldName, stream, info) => {
+      if (failure) return stream.resume();
+
+      const filename = info.filename || `${fieldName}.bin`;
+      const file = { fieldName, filename, mimeType: info.mimeType, path: tempPath(), size: 0 };
+      files.push(file);
+
+      stream.on('limit', () => fail(new UploadError(`File ${filename} exceeds the ${maxFileBytes} bytes limit`, 413)));
+
+      const output = fs.createWriteStream(file.path);
+      active.add(stream);
+      writes.push(pipeline(stream, output)
+        .then(() => { file.size = output.bytesWritten; })
+        .catch(error => fail(error instanceof UploadError ? error : new UploadError(`Upload interrupted: ${error.message}`)))
+        .finally(() => active.delete(stream)));
+    });
+
+    parser.on('filesLimit', () => fail(new UploadError(`Too many files (max ${maxFiles})`, 413)));
+    parser.on('error', error => fail(new UploadError(`Invalid multipart request: ${error.message}`)));
+
+    parser.on('close', async () => {
+      await Promise.allSettled(writes);
+      if (failure) return;
+      logger.debug(`[Upload] Multipart recibido: ${files.length} archivo(s)`, { files: files.map(f => ({ filename: f.filename, size: f.size })) });
+      resolve({ fields, files });
+    });
+
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Helper: decodeURIComponent que devuelve el valor sin decodificar si está mal formado (p.ej. "100%.pdf")
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Helper: Valor extendido de RFC 5987 (charset'idioma'valor-codificado), p.ej. UTF-8'es'informe%20a%C3%B1o.pdf
+ */
+function decodeExtValue(extValue) {
+  const match = extValue.trim().replace(/^"|"$/g, '').match(/^([^']*)'[^']*'(.*)$/);
+  if (!match) return safeDecode(extValue.trim());
+
+  const [, charset, encoded] = match;
+  if (/^iso-8859-1$/i.test(charset)) {
+    return encoded.replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+  return safeDecode(encoded);
+}
+
+/**
+ * Helper: Nombre del archivo de una subida binaria (?filename=, X-Filename o Content-Disposition)
+ */
+function getRawFilename(req) {
+  if (req.query.filename) return String(req.query.filename);
+
+  const header = req.get('x-filename');
+  if (header) return safeDecode(header);
+
+  const disposition = req.get('content-disposition') || '';
+  const extended = disposition.match(/filename\*=([^;]+)/i);
+  if (extended) return decodeExtValue(extended[1]) || null;
+
+  const match = disposition.match(/filename="?([^";]+)"?/i);
+  return match ? safeDecode(match[1].trim()) : null;
+}
+
+/**
+ * Lee un cuerpo binario crudo a un temporal
+ * @returns {Promise<{ fieldName: null, filename, mimeType, path, size }>}
+ */
+async function receiveRawUpload(req, { maxFileBytes = UPLOAD_MAX_FILE_BYTES } = {}) {
+  const filename = getRawFilename(req);
+  if (!filename) {
+    throw new UploadError('filename is required (?filename=, X-Filename or Content-Disposition header)');
+  }
+
+  const declared = parseInt(req.get('content-length'), 10);
+  if (declared > maxFileBytes) {
+    throw new UploadError(`File ${filename} exceeds the ${maxFileBytes} bytes limit`, 413);
+  }
+
+  const file = { fieldName: null, filename, mimeType: req.get('content-type') || 'application/octet-stream', path: tempPath(), size: 0 };
+  const limiter = createSizeLimiter(maxFileBytes, filename);
+  try {
+    await pipeline(req, limiter, fs.createWriteStream(file.path));
+  } catch (error) {
+    await cleanupUploads([file]);
+    throw error instanceof UploadError ? error : new UploadError(`Upload interrupted: ${error.message}`);
+  }
+  file.size = limiter.getSize();
+  return file;
+}
+
+module.exports = {
+  UPLOAD_MAX_FILE_BYTES,
+  UPLOAD_MAX_FILES,
+  UploadError,
+  parseMultipartUpload,
+  receiveRawUpload,
+  cleanupUploads
+};
@@ -0,0 +1,254 @@
+/**
+ * Política de URLs salientes (protección SSRF)
+ *
+ * Toda URL que el proxy descarga por cuenta de un cliente (/fetch, /fetch-js,
+ * /deep-search, /upload-to-rag) debe pasar por aquí:
+ * - Solo se permiten esquemas http/https
+ * - Se resuelve el DNS y se rechazan rangos privados, loopback y link-local
+ * - Lista de hosts permitidos/bloqueados configurable por variables de entorno
+ * - Las redirecciones se siguen manualmente para validar cada salto
+ * - safeFetch conecta a través de un Agent cuyo lookup repite la validación: la IP
+ *   a la que se conecta es la validada (evita DNS rebinding entre chequeo y conexión)
+ *
+ * Variables de entorno:
+ * - OUTBOUND_ALLOWED_HOSTS: lista separada por comas. Si se define, solo esos hosts
+ *   (y sus subdominios) son accesibles
+ * - OUTBOUND_BLOCKED_HOSTS: lista separada por comas de hosts siempre bloqueados
+ * - OUTBOUND_ALLOW_PRIVATE_IPS: 'true' para permitir IPs privadas (solo desarrollo)
+ */
+
+const dns = require('dns').promises;
+const { lookup: dnsLookup } = require('dns');
+const net = require('net');
+const { Agent, fetch: undiciFetch } = require('undici');
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+const MAX_REDIRECTS = 5;
+const DNS_CACHE_TTL_MS = 60000;
+
+function parseHostList(value) {
+  return (value || '')
+    .split(',')
+    .map(h => h.trim().toLowerCase().replace(/^\*?\./, ''))
+    .filter(Boolean);
+}
+
+const ALLOWED_HOSTS = parseHostList(process.env.OUTBOUND_ALLOWED_HOSTS);
+const BLOCKED_HOSTS = parseHostList(process.env.OUTBOUND_BLOCKED_HOSTS);
+const ALLOW_PRIVATE_IPS = process.env.OUTBOUND_ALLOW_PRIVATE_IPS === 'true';
+
+// Rangos no enrutables públicamente (RFC 6890 y relacionados)
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error lanzado cuando una URL no cumple la política
+ */
+class UrlPolicyError extends Error {
+  constructor(message, { url, reason } = {}) {
+    super(message);
+    this.name = 'UrlPolicyError';
+    this.url = url;
+    this.reason = reason;
+    this.statusCode = 403;
+  }
+}
+
+/**
+ * Helper: Verifica si un host coincide con una entrada de lista (exacto o subdominio)
+ */
+function hostMatches(hostname, list) {
+  return list.some(entry => hostname === entry || hostname.endsWith(`.${entry}`));
+}
+
+/**
+ * Helper: Verifica si una IP pertenece a un rango bloqueado
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return blockedRanges.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    // BlockList aplica las reglas IPv4 a direcciones mapeadas (::ffff:127.0.0.1)
+    return blockedRanges.check(address, 'ipv6');
+  }
+  return true;
+}
+
+// Cache corto de resoluciones DNS (Puppeteer valida cada subrecurso de la página)
+const dnsCache = new Map();
+
+async function resolveHost(hostname) {
+  const cached = dnsCache.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.addresses;
+  }
+
+  const records = await dns.lookup(hostname, { all: true, verbatim: true });
+  const addresses = records.map(r => r.address);
+  dnsCache.set(hostname, { addresses, expiresAt: Date.now() + DNS_CACHE_TTL_MS });
+  if (dnsCache.size > 1000) {
+    dnsCache.delete(dnsCache.keys().next().value);
+  }
+  return addresses;
+}
+
+/**
+ * Valida una URL contra la política. Lanza UrlPolicyError si está bloqueada.
+ * @returns {Promise<URL>} URL parseada
+ */
+async function assertUrlAllowed(rawUrl) {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch (e) {
+    throw new UrlPolicyError(`URL inválida: ${rawUrl}`, { url: rawUrl, reason: 'invalid_url' });
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw new UrlPolicyError(`Esquema no permitido: ${parsed.protocol}`, { url: rawUrl, reason: 'scheme_not_allowed' });
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new UrlPolicyError('URLs con credenciales no permitidas', { url: rawUrl, reason: 'credentials_in_url' });
+  }
+
+  // new URL() deja los IPv6 entre corchetes
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (hostMatches(hostname, BLOCKED_HOSTS)) {
+    throw new UrlPolicyError(`Host bloqueado por configuración: ${hostname}`, { url: rawUrl, reason: 'host_denied' });
+  }
+
+  if (ALLOWED_HOSTS.length > 0 && !hostMatches(hostname, ALLOWED_HOSTS)) {
+    throw new UrlPolicyError(`Host no incluido en la lista permitida: ${hostname}`, { url: rawUrl, reason: 'host_not_allowed' });
+  }
+
+  if (ALLOW_PRIVATE_IPS) {
+    return parsed;
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = await resolveHost(hostname);
+    } catch (error) {
+      throw new UrlPolicyError(`No se pudo resolver el host: ${hostname}`, { url: rawUrl, reason: 'dns_error' });
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    throw new UrlPolicyError(`El host ${hostname} resuelve a una dirección privada o reservada`, { url: rawUrl, reason: 'private_address' });
+  }
+
+  return parsed;
+}
+
+/**
+ * Versión booleana de assertUrlAllowed (para interceptores de Puppeteer)
+ */
+async function isUrlAllowed(rawUrl) {
+  try {
+    await assertUrlAllowed(rawUrl);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Helper: lookup para el Agent de safeFetch. Resuelve el host y rechaza la conexión si
+ * alguna dirección está bloqueada, de modo que la IP usada es siempre una IP validada
+ * (las IPs literales no pasan por aquí: ya las valida assertUrlAllowed)
+ */
+function pinnedLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true, verbatim: true }, (error, records) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!ALLOW_PRIVATE_IPS && (records.length === 0 || records.some(r => isBlockedAddress(r.address)))) {
+      return callback(new UrlPolicyError(`El host ${hostname} resuelve a una dirección privada o reservada`, { url: hostname, reason: 'private_address' }));
+    }
+    if (options.all) {
+      return callback(null, records);
+    }
+    callback(null, records[0].address, records[0].family);
+  });
+}
+
+const pinnedAgent = new Agent({ connect: { lookup: pinnedLookup } });
+
+/**
+ * fetch() que valida la URL inicial y cada salto de redirección
+ * Acepta las mismas opciones que fetch; `redirect` se maneja internamente.
+ */
+async function safeFetch(rawUrl, options = {}, maxRedirects = MAX_REDIRECTS) {
+  let currentUrl = rawUrl;
+  let requestOptions = { ...options, redirect: 'manual' };
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    await assertUrlAllowed(currentUrl);
+
+    let response;
+    try {
+      response = await undiciFetch(currentUrl, { ...requestOptions, dispatcher: pinnedAgent });
+    } catch (error) {
+      // El rechazo del lookup llega envuelto en un TypeError('fetch failed')
+      if (error.cause instanceof UrlPolicyError) {
+        throw new UrlPolicyError(error.cause.message, { url: currentUrl, reason: error.cause.reason });
+      }
+      throw error;
+    }
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    // Liberar el body de la respuesta intermedia
+    await response.body?.cancel().catch(() => {});
+
+    currentUrl = new URL(location, currentUrl).href;
+
+    // 303 (y 301/302 sobre POST) cambian a GET sin body, igual que los navegadores
+    if (response.status === 303 ||
+        ((response.status === 301 || response.status === 302) && requestOptions.method && requestOptions.method !== 'GET')) {
+      const { body, ...rest } = requestOptions;
+      requestOptions = { ...rest, method: 'GET' };
+    }
+  }
+
+  throw new UrlPolicyError(`Demasiadas redirecciones (máx ${maxRedirects})`, { url: rawUrl, reason: 'too_many_redirects' });
+}
+
+/**
+ * Helper: Respuesta 403 estándar para URLs bloqueadas
+ */
+function sendUrlBlocked(res, error) {
+  return res.status(403).json({
+    error: 'URL blocked',
+    message: error.message,
+    reason: error.reason,
+    url: error.url
+  });
+}
+
+module.exports = {
+  UrlPolicyError,
+  assertUrlAllowed,
+  isUrlAllowed,
+  safeFetch,
+  sendUrlBlocked
+};
@@ -1,7 +1,174 @@
 /**
  * SearXNG Proxy Server
- * Version: 1.6.1
- * Last Update: 2026-01-31
+ * Version: 1.31.0
+ * Last Update: 2026-10-19
+ *
+ * Cambios v1.31.0 (RAG Streaming):
+ * - /query-rag con stream: true (o Accept: text/event-stream) reenvía los tokens de Open WebUI por SSE como chunks formato OpenAI (chat.completion.chunk)
+ * - El último chunk trae usage, sources y citations; el stream termina con data: [DONE] (NDJSON también soportado)
+ * - Si el cliente se desconecta se aborta la petición a Open WebUI (el cliente mantiene la señal de abort mientras se lee el stream)
+ * - parseEventStream en lib/event-stream.js para leer streams SSE de otros servicios
+ *
+ * Cambios v1.30.0 (Citations):
+ * - /query-rag devuelve sources: fuentes numeradas con fileId, filename, fragmento, score y página si se conoce (lib/citations.js)
+ * - citations: marcadores [n] / [n, m] del texto de la respuesta asociados a las fuentes (cited en cada fuente)
+ * - sourcesMode openwebui (por defecto, RAG_SOURCES_MODE): fuentes del campo sources/citations de Open WebUI, numeradas por documento
+ * - sourcesMode proxy: retrieve-then-generate con el retrieval de /retrieve-only (mode, topK, minScore, filters; RAG_PROXY_TOP_K) y fragmentos numerados en el prompt
+ * - Retrieval de /retrieve-only extraído a retrieveChunks / parseRetrievalOptions para reutilizarlo
+ *
+ * Cambios v1.29.0 (Multi Knowledge Base):
+ * - /retrieve-only y /query-rag aceptan varias Knowledge Bases: knowledgeId (string o lista), knowledgeIds o group
+ * - Grupos con nombre (lib/knowledge-groups.js): KNOWLEDGE_GROUPS ("nombre:kb1|kb2") y KNOWLEDGE_GROUPS_FILE; RAG_MAX_KNOWLEDGE_BASES limita cada consulta
+ * - /retrieve-only consulta las KBs en paralelo, combina y ordena los fragmentos y etiqueta cada uno con knowledgeId / knowledgeBaseName
+ * - Respuesta con knowledgeBaseIds y el resumen por KB (candidatos y error); el fallo de una KB no corta la consulta
+ * - /query-rag pasa todas las KBs como collections al chat completion (knowledgeBasesUsed); /list-knowledge-bases muestra los grupos
+ *
+ * Cambios v1.28.0 (Hybrid Retrieval):
+ * - /retrieve-only acepta mode: auto (por defecto, comportamiento anterior), vector, lexical o hybrid
+ * - Modo hybrid (lib/hybrid-retrieval.js): combina los resultados vectoriales de Open WebUI con el índice BM25 local mediante Reciprocal Rank Fusion
+ * - score normalizado a relevancia 0..1 (distances, score o distance según el origen; BM25 saturado); rawScore conserva el valor original
+ * - Deduplicación de fragmentos casi idénticos, umbral minScore y filtros por nombre de archivo y fecha de subida (filters)
+ * - Corregida la lectura de la respuesta anidada de /api/v1/retrieval/query (documents/metadatas/distances)
+ *
+ * Cambios v1.27.0 (Local Retrieval):
+ * - Retrieval local (lib/local-retrieval.js) para el fallback de /retrieve-only: reemplaza los cortes fijos de 1500 caracteres
+ * - Chunking por títulos, párrafos y oraciones con solapamiento (LOCAL_CHUNK_SIZE, LOCAL_CHUNK_OVERLAP)
+ * - Índice BM25 sobre el contenido de los archivos de la KB: los fragmentos se ordenan por relevancia y traen score
+ * - Índice en caché por KB y usuario; se reconstruye cuando la KB agrega, quita o modifica archivos (LOCAL_INDEX_MAX_FILES, LOCAL_INDEX_TTL_MS, LOCAL_CACHE_MAX_FILES)
+ * - /retrieve-only devuelve localIndex (archivos, fragmentos, reconstruido) y /health/details el estado de la caché
+ *
+ * Cambios v1.26.0 (Watched Sources):
+ * - Fuentes vigiladas (lib/source-watcher.js): páginas o documentos que se re-ingestan periódicamente en una Knowledge Base
+ * - Detección de cambios por ETag / Last-Modified (descarga condicional) y hash del contenido; solo se re-ingesta lo que cambió
+ * - La versión anterior de un documento se retira de la KB (y se borra de Open WebUI si ninguna otra KB la usa)
+ * - Nuevas rutas GET/POST /watches, GET/PATCH/DELETE /watches/:id y POST /watches/:id/run con el estado de la última corrida
+ * - Variables WATCHES_ENABLED, WATCHES_FILE y WATCH_MIN_INTERVAL_MS; /health/details incluye el estado del planificador
+ *
+ * Cambios v1.25.0 (Dedupe):
+ * - Hash sha256 del documento y del texto extraído antes de subir a Open WebUI (lib/dedupe-index.js)
+ * - Índice local hash → fileId / Knowledge Bases, persistido en DEDUPE_INDEX_FILE
+ * - Campo dedupe en /upload-file, /upload-to-rag e /ingest-links: skip (por defecto, DEDUPE_MODE), replace u off
+ * - Las respuestas incluyen dedupe { action: uploaded | skipped | linked | replaced, matchedBy, existingFileId }
+ * - Métrica dedupe_total
+ *
+ * Cambios v1.24.0 (Ingest Links):
+ * - Nuevo POST /ingest-links: descubre los documentos enlazados en una o varias páginas y los agrega a la Knowledge Base
+ * - Filtro por tipos (pdf, xlsx, xls, csv), maxFiles y descargas en paralelo con CrawlScheduler (INGEST_LINKS_CONCURRENCY)
+ * - Reporte por archivo con uploaded, skipped (type, max-files, robots, no-text, time-budget) y failed
+ * - La detección de enlaces de /fetch y /fetch-js se unifica en lib/download-links.js
+ * - La descarga de /upload-to-rag pasa a downloadDocument (también Excel/CSV) con límite UPLOAD_MAX_FILE_BYTES
+ *
+ * Cambios v1.23.0 (Multipart Uploads):
+ * - /upload-file acepta multipart/form-data (varios archivos por petición) y cuerpos binarios crudos
+ * - Los archivos se escriben en streaming a temporales (lib/uploads.js, dependencia busboy)
+ * - Límites UPLOAD_MAX_FILE_BYTES y UPLOAD_MAX_FILES (413 al superarlos), directorio UPLOAD_TMP_DIR
+ * - Con varios archivos la respuesta es { success, files: [...] } con el resultado de cada uno
+ *
+ * Cambios v1.22.0 (Ingest Jobs):
+ * - /upload-file y /upload-to-rag aceptan async: true y responden 202 con jobId
+ * - Nuevo GET /jobs/:id con estados queued, downloading, extracting, uploading, processing, added-to-kb, completed y failed
+ * - Webhook opcional (callbackUrl) al terminar, firmado con X-Signature-256 si hay WEBHOOK_SECRET
+ * - Cola con concurrencia acotada (INGEST_CONCURRENCY, INGEST_MAX_QUEUE) y expiración (INGEST_JOB_TTL_MS)
+ * - Métricas ingest_jobs_total e ingest_jobs
+ *
+ * Cambios v1.21.0 (Open WebUI Client):
+ * - Nuevo lib/openwebui-client.js: archivos, Knowledge Bases, retrieval y chat en un solo cliente
+ * - Timeouts por operación (OPENWEBUI_TIMEOUT_MS, OPENWEBUI_UPLOAD_TIMEOUT_MS, OPENWEBUI_CHAT_TIMEOUT_MS)
+ * - Reintentos con backoff exponencial en 5xx y errores de red (OPENWEBUI_MAX_RETRIES)
+ * - Errores de Open WebUI devueltos como 502/504 con upstreamStatus y operation
+ * - Las tres subidas multipart duplicadas se unifican en uploadToKnowledge
+ *
+ * Cambios v1.20.0 (Structured Logging):
+ * - Nuevo módulo lib/logger.js: una línea JSON por evento con niveles (LOG_LEVEL) y LOG_FORMAT=pretty para desarrollo
+ * - El prefijo [Tag] de los mensajes pasa al campo component; errores como campo error
+ * - X-Request-Id aceptado del cliente o generado, devuelto en la respuesta y propagado a SearXNG/Open WebUI
+ * - El requestId se agrega a todas las líneas de la petición (AsyncLocalStorage), con una línea final por petición
+ * - Redacción de API keys, tokens, Authorization y contenido de archivos subidos
+ *
+ * Cambios v1.19.0 (Prometheus Metrics):
+ * - Nuevo endpoint GET /metrics (scope metrics) en formato de exposición de Prometheus, sin dependencias (lib/metrics.js)
+ * - Peticiones y latencia por ruta, método y status; llamadas a SearXNG y Open WebUI por resultado y latencia
+ * - Duración de lanzamiento de Chrome y de renderizado, páginas de /deep-search por resultado
+ * - Aciertos del cache, estado del pool de navegadores, rechazos por rate limit y memoria del proceso
+ *
+ * Cambios v1.18.0 (Rate Limiting):
+ * - Nuevo módulo lib/rate-limit.js: token bucket por ruta y cliente (clave autenticada o IP)
+ * - Cuotas diarias para rutas costosas (fetch-js, deep-search, rag-write) con reinicio a las 00:00 UTC
+ * - Headers RateLimit-Limit/Remaining/Reset/Policy, X-Quota-* y Retry-After; 429 { error, message, retryAfter }
+ * - Límites configurables con RATE_LIMITS y por cliente (rateLimits en PROXY_API_KEYS_FILE)
+ * - Store en memoria o Redis compartido entre réplicas (RATE_LIMIT_STORE=redis, requiere ioredis)
+ * - TRUST_PROXY para identificar la IP real detrás de un proxy inverso
+ *
+ * Cambios v1.17.0 (Proxy Authentication):
+ * - Nuevo módulo lib/auth.js: claves por cliente en X-API-Key o Authorization: Bearer (PROXY_API_KEYS / PROXY_API_KEYS_FILE)
+ * - Scopes por grupo de rutas: search, fetch, rag-read, rag-write; robots-override permite ignoreRobots sin X-Robots-Override-Key
+ * - Respuestas 401 { error: 'Unauthorized' } y 403 { error: 'Forbidden', requiredScope }
+ * - CORS limitado a CORS_ALLOWED_ORIGINS en lugar de permitir cualquier origen
+ * - OPENWEBUI_API_KEY ya no se aplica a peticiones anónimas (AUTH_ENABLED=false exige apiKey propia)
+ *
+ * Cambios v1.16.0 (Markdown Output):
+ * - /fetch y /fetch-js aceptan format=markdown (títulos, listas, tablas GFM, código y enlaces absolutos)
+ * - maxTokens limita el Markdown cortando entre bloques (por defecto MARKDOWN_MAX_TOKENS=8000)
+ * - /deep-search construye consolidatedText en Markdown con presupuesto de tokens por página
+ *
+ * Cambios v1.15.0 (Main Content Extraction):
+ * - Nuevo módulo lib/content-extractor.js: extracción del contenido principal estilo Readability
+ * - Puntúa bloques por densidad de texto y de enlaces, elimina banners de cookies, menús y pies de página
+ * - Conserva la estructura (títulos, párrafos, listas, tablas, código); nuevo campo headings en /fetch y /fetch-js
+ * - /fetch, /fetch-js y extractPageContent (deep-search) usan el mismo extractor
+ *
+ * Cambios v1.14.0 (robots.txt Compliance):
+ * - Nuevo módulo lib/robots.js: /fetch, /fetch-js y /deep-search descargan y cachean robots.txt por origen
+ * - Se respetan Disallow/Allow y Crawl-delay para el user agent del bot (BOT_USER_AGENT)
+ * - Las rutas de crawling ya no se presentan con un user agent de Chrome falsificado
+ * - Páginas bloqueadas: 403 { error: 'Blocked by robots.txt', reason: 'blockedByRobots' } o skipped en /deep-search
+ * - ignoreRobots=true solo con header X-Robots-Override-Key válido (ROBOTS_OVERRIDE_KEYS)
+ *
+ * Cambios v1.13.0 (Concurrent Crawling):
+ * - /deep-search usa un planificador de crawling (lib/crawl-scheduler.js) con workers en paralelo
+ * - Límites de concurrencia y retardo por host; maxPagesPerSite ahora se respeta realmente
+ * - Presupuesto global de tiempo (timeBudgetMs): al vencer se devuelven resultados parciales (partial: true)
+ * - maxDepth admite hasta 3 niveles; URLs no visitadas se reportan en skipped con su motivo
+ * - Variables: DEEP_SEARCH_CONCURRENCY, DEEP_SEARCH_PER_HOST_CONCURRENCY, DEEP_SEARCH_PER_HOST_DELAY_MS, DEEP_SEARCH_TIME_BUDGET_MS
+ *
+ * Cambios v1.12.0 (Deep Search Streaming):
+ * - /deep-search soporta streaming de progreso por Server-Sent Events o NDJSON (stream: true | 'sse' | 'ndjson')
+ * - Eventos: search-results, page-fetched, page-failed, link-followed, complete y error
+ * - El crawling se detiene si el cliente se desconecta
+ * - Lógica del crawling extraída a runDeepSearch(); nuevo módulo lib/event-stream.js
+ *
+ * Cambios v1.11.0 (Response Cache):
+ * - Nuevo módulo lib/cache.js: cache de /search, /fetch y extractPageContent (deep-search)
+ * - LRU en memoria por defecto, backend en disco opcional (CACHE_BACKEND=disk, CACHE_DIR)
+ * - TTL por ruta: CACHE_TTL_SEARCH_MS, CACHE_TTL_FETCH_MS, CACHE_TTL_PAGE_MS
+ * - Páginas: respeta Cache-Control/Expires y revalida con ETag/Last-Modified (If-None-Match/If-Modified-Since)
+ * - Metadatos en campo cache y header X-Cache (HIT/MISS/REVALIDATED); nocache=true o purge=true por petición
+ *
+ * Cambios v1.10.0 (Screenshots & PDF):
+ * - /fetch-js puede incluir screenshot (PNG/JPEG, página completa o viewport) y renderizado PDF en base64
+ * - Nuevos endpoints binarios /fetch-js/screenshot y /fetch-js/pdf
+ * - captureSelector limita la captura a un elemento; nuevo módulo lib/page-capture.js
+ * - Render de Puppeteer extraído a renderWithPuppeteer() para compartirlo entre rutas
+ *
+ * Cambios v1.9.0 (Page Interactions):
+ * - /fetch-js acepta un script declarativo de acciones (waitForSelector, click, scroll, type, select, wait)
+ * - Nuevo módulo lib/page-actions.js; las acciones se ejecutan en orden antes de capturar el HTML
+ * - Resultado por paso en el campo actions de la respuesta (ok/error/skipped)
+ * - /fetch-js ahora también acepta POST con body JSON { url, actions }
+ *
+ * Cambios v1.8.0 (Browser Pool):
+ * - Nuevo módulo lib/browser-pool.js: /fetch-js reutiliza navegadores en lugar de lanzar Chromium por petición
+ * - Cada render usa un BrowserContext aislado; se eliminó --single-process
+ * - Concurrencia máxima, cola con timeout y reciclaje tras N páginas o caída del navegador
+ * - Configurable con BROWSER_POOL_SIZE, BROWSER_MAX_CONCURRENCY, BROWSER_MAX_PAGES_PER_BROWSER, BROWSER_QUEUE_TIMEOUT_MS, BROWSER_MAX_QUEUE
+ * - Estadísticas del pool en /health/details (campo browserPool); pool ocupado responde 503 con Retry-After
+ *
+ * Cambios v1.7.0 (SSRF Guard):
+ * - Nuevo módulo lib/url-policy.js: política compartida para todas las URLs salientes
+ * - Solo http/https; se resuelve DNS y se rechazan IPs privadas, loopback y link-local
+ * - Cada salto de redirección (incluido el meta-refresh de /upload-to-rag) se valida de nuevo
+ * - Listas OUTBOUND_ALLOWED_HOSTS / OUTBOUND_BLOCKED_HOSTS configurables
+ * - URLs bloqueadas responden 403 { error: 'URL blocked', message, reason, url }
  *
  * Cambios v1.6.1 (API Call Interception):
  * - /fetch-js ahora captura llamadas API JSON durante la carga de la página
@@ -71,13 +238,48 @@
  * - Integración con Open WebUI RAG
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const cheerio = require('cheerio');
-const FormData = require('form-data');
-
-const VERSION = '1.6.1';
-const BUILD_DATE = '2026-01-31T21:05:00Z';
+const { UrlPolicyError, assertUrlAllowed, isUrlAllowed, safeFetch, sendUrlBlocked } = require('./lib/url-policy');
+const { BrowserPool, BrowserPoolError } = require('./lib/browser-pool');
+const { PageActionError, parseActions, runPageActions } = require('./lib/page-actions');
+const { PageCaptureError, parseCaptureOptions, captureScreenshot, capturePdf, toBase64Payload } = require('./lib/page-capture');
+const { createResponseCache, normalizeParamsKey } = require('./lib/cache');
+const { getStreamFormat, openEventStream, parseEventStream } = require('./lib/event-stream');
+const { CrawlScheduler } = require('./lib/crawl-scheduler');
+const { RobotsCache, RobotsBlockedError } = require('./lib/robots');
+const { extractMainContent } = require('./lib/content-extractor');
+const { blocksToMarkdown, truncateToTokenBudget } = require('./lib/markdown');
+const { createAuthFromEnv, createCorsOptions, hasScope } = require('./lib/auth');
+const { createRateLimiterFromEnv } = require('./lib/rate-limit');
+const { MetricsRegistry } = require('./lib/metrics');
+const { logger, runWithContext, getContext } = require('./lib/logger');
+const { OpenWebUIClient, OpenWebUIError } = require('./lib/openwebui-client');
+const { IngestError, JobQueueFullError, createIngestJobManagerFromEnv } = require('./lib/ingest-jobs');
+const { UPLOAD_MAX_FILE_BYTES, UploadError, parseMultipartUpload, receiveRawUpload, cleanupUploads } = require('./lib/uploads');
+const { DOWNLOAD_TYPES, extractDownloadLinks } = require('./lib/download-links');
+const { DEDUPE_MODES, hashContent, hashText, ownerKey, createDedupeIndexFromEnv } = require('./lib/dedupe-index');
+const { WatchError, createSourceWatcherFromEnv } = require('./lib/source-watcher');
+const { retrievalScope, createLocalRetrieverFromEnv } = require('./lib/local-retrieval');
+const {
+  RETRIEVAL_MODES,
+  RetrievalError,
+  normalizeVectorResults,
+  normalizeLexicalScore,
+  fuseResults,
+  dedupeChunks,
+  parseRetrievalFilters,
+  fileUploadedAt,
+  matchesFilters
+} = require('./lib/hybrid-retrieval');
+const { KnowledgeGroupError, createKnowledgeGroupsFromEnv } = require('./lib/knowledge-groups');
+const { SOURCES_MODES, sourcesFromOpenWebUI, sourceFromChunk, buildCitationPrompt, extractCitations } = require('./lib/citations');
+
+const VERSION = '1.31.0';
+const BUILD_DATE = '2026-10-19T12:00:00Z';
 
 // Document processing libraries (optional, load dynamically)
 let mammoth = null;
@@ -87,9 +289,9 @@ async function getMammoth() {
   if (!mammoth) {
     try {
       mammoth = require('mammoth');
-      console.log('[Mammoth] Loaded successfully');
+      logger.info('[Mammoth] Loaded successfully');
     } catch (error) {
-      console.warn('[Mammoth] Not available:', error.message);
+      logger.warn('[Mammoth] Not available', { error: error.message });
       return null;
     }
   }
@@ -100,9 +302,9 @@ async function getExcelJS() {
   if (!ExcelJS) {
     try {
       ExcelJS = require('exceljs');
-      console.log('[ExcelJS] Loaded successfully');
+      logger.info('[ExcelJS] Loaded successfully');
     } catch (error) {
-      console.warn('[ExcelJS] Not available:', error.message);
+      logger.warn('[ExcelJS] Not available', { error: error.message });
       return null;
     }
   }
@@ -116,9 +318,9 @@ async function getPuppeteer() {
   if (!puppeteer) {
     try {
       puppeteer = require('puppeteer-core');
-      console.log('[Puppeteer] puppeteer-core loaded successfully');
+      logger.info('[Puppeteer] puppeteer-core loaded successfully');
     } catch (error) {
-      console.warn('[Puppeteer] Not available:', error.message);
+      logger.warn('[Puppeteer] Not available', { error: error.message });
       return null;
     }
   }
@@ -143,7 +345,6 @@ function findChromePath() {
     process.env.CHROME_PATH
   ];
 
-  const fs = require('fs');
   for (const p of possiblePaths) {
     if (p && fs.existsSync(p)) {
       return p;
@@ -152,9 +353,175 @@ function findChromePath() {
   return null;
 }
 
+/**
+ * Helper: Lanza una instancia de Chromium para el pool de navegadores
+ */
+async function launchBrowser() {
+  const pup = await getPuppeteer();
+  const chromePath = findChromePath();
+  if (!pup || !chromePath) {
+    throw new Error('Puppeteer/Chrome no disponible');
+  }
+
+  logger.info(`[BrowserPool] Lanzando Chrome: ${chromePath}`);
+
+  // Sin --single-process: el pool comparte el navegador entre varios contextos
+  const endLaunch = browserLaunchDuration.startTimer();
+  return pup.launch({
+    executablePath: chromePath,
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--disable-gpu',
+      '--no-zygote',
+      '--window-size=1920x1080'
+    ]
+  }).then(browser => {
+    endLaunch({ outcome: 'success' });
+    return browser;
+  }, error => {
+    endLaunch({ outcome: 'error' });
+    throw error;
+  });
+}
+
+// Pool compartido de navegadores para /fetch-js
+const browserPool = new BrowserPool({
+  launch: launchBrowser,
+  maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1,
+  maxConcurrency: parseInt(process.env.BROWSER_MAX_CONCURRENCY, 10) || 4,
+  maxPagesPerBrowser: parseInt(process.env.BROWSER_MAX_PAGES_PER_BROWSER, 10) || 50,
+  queueTimeoutMs: parseInt(process.env.BROWSER_QUEUE_TIMEOUT_MS, 10) || 30000,
+  maxQueue: parseInt(process.env.BROWSER_MAX_QUEUE, 10) || 20
+});
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Detrás de un proxy inverso (Easypanel, nginx) req.ip debe salir de X-Forwarded-For
+// TRUST_PROXY: número de saltos de confianza, 'true' o lista de IPs/subredes
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', !isNaN(hops) ? hops : (process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY));
+}
+
+// ===== Métricas Prometheus (GET /metrics) =====
+const metrics = new MetricsRegistry({ prefix: 'searxng_proxy_' });
+
+const httpRequestsTotal = metrics.counter({
+  name: 'http_requests_total',
+  help: 'Peticiones HTTP atendidas por ruta, método y status',
+  labelNames: ['route', 'method', 'status']
+});
+const httpRequestDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duración de las peticiones HTTP por ruta, método y status',
+  labelNames: ['route', 'method', 'status']
+});
+const upstreamRequestsTotal = metrics.counter({
+  name: 'upstream_requests_total',
+  help: 'Llamadas a SearXNG y Open WebUI por resultado (success, http_error, error)',
+  labelNames: ['upstream', 'outcome']
+});
+const upstreamRequestDuration = metrics.histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Latencia de las llamadas a SearXNG y Open WebUI',
+  labelNames: ['upstream']
+});
+const browserLaunchDuration = metrics.histogram({
+  name: 'browser_launch_duration_seconds',
+  help: 'Duración del lanzamiento de Chrome',
+  labelNames: ['outcome']
+});
+const browserRenderDuration = metrics.histogram({
+  name: 'browser_render_duration_seconds',
+  help: 'Duración del renderizado de una página con Puppeteer (sin espera en cola)',
+  labelNames: ['outcome']
+});
+const deepSearchPagesTotal = metrics.counter({
+  name: 'deep_search_pages_total',
+  help: 'Páginas procesadas por /deep-search (fetched, failed o motivo de omisión)',
+  labelNames: ['outcome']
+});
+const cacheRequestsTotal = metrics.counter({
+  name: 'cache_requests_total',
+  help: 'Consultas al cache de respuestas por resultado',
+  labelNames: ['result']
+});
+const cacheEntries = metrics.gauge({ name: 'cache_entries', help: 'Entradas en el cache de respuestas' });
+const browserPoolGauge = metrics.gauge({
+  name: 'browser_pool',
+  help: 'Estado del pool de navegadores (browsers, activePages, queued)',
+  labelNames: ['state']
+});
+const rateLimitRejectedTotal = metrics.counter({ name: 'rate_limit_rejected_total', help: 'Peticiones rechazadas con 429' });
+const ingestJobsTotal = metrics.counter({
+  name: 'ingest_jobs_total',
+  help: 'Trabajos de ingesta terminados',
+  labelNames: ['type', 'status']
+});
+const dedupeTotal = metrics.counter({
+  name: 'dedupe_total',
+  help: 'Subidas resueltas por la deduplicación',
+  labelNames: ['action']
+});
+const ingestJobsGauge = metrics.gauge({
+  name: 'ingest_jobs',
+  help: 'Trabajos de ingesta en memoria por estado',
+  labelNames: ['state']
+});
+const processMemory = metrics.gauge({
+  name: 'process_memory_bytes',
+  help: 'Memoria del proceso (rss, heapTotal, heapUsed, external)',
+  labelNames: ['type']
+});
+const processUptime = metrics.gauge({ name: 'process_uptime_seconds', help: 'Tiempo desde el arranque del proceso' });
+
+// Valores leídos en cada scrape
+metrics.collect(async () => {
+  const memory = process.memoryUsage();
+  ['rss', 'heapTotal', 'heapUsed', 'external'].forEach(type => processMemory.set({ type }, memory[type]));
+  processUptime.set({}, Math.round(process.uptime()));
+
+  const pool = browserPool.stats();
+  ['browsers', 'activePages', 'queued'].forEach(state => browserPoolGauge.set({ state }, pool[state]));
+
+  const cache = await responseCache.stats();
+  cacheEntries.set({}, cache.entries || 0);
+  cacheRequestsTotal.set({ result: 'hit' }, cache.hits || 0);
+  cacheRequestsTotal.set({ result: 'miss' }, cache.misses || 0);
+  cacheRequestsTotal.set({ result: 'revalidated' }, cache.revalidated || 0);
+
+  rateLimitRejectedTotal.set({}, rateLimiter.stats().rejected);
+
+  Object.entries(ingestJobs.stats().byStatus).forEach(([state, count]) => ingestJobsGauge.set({ state }, count));
+});
+
+/**
+ * Helper: fetch a SearXNG / Open WebUI registrando latencia y errores
+ */
+async function upstreamFetch(upstream, url, options = {}) {
+  const endTimer = upstreamRequestDuration.startTimer({ upstream });
+  // Propagar el ID de correlación a SearXNG / Open WebUI
+  const { requestId } = getContext();
+  if (requestId) {
+    options = { ...options, headers: { ...options.headers, 'X-Request-Id': requestId } };
+  }
+  try {
+    const response = await fetch(url, options);
+    upstreamRequestsTotal.inc({ upstream, outcome: response.ok ? 'success' : 'http_error' });
+    return response;
+  } catch (error) {
+    upstreamRequestsTotal.inc({ upstream, outcome: 'error' });
+    throw error;
+  } finally {
+    endTimer();
+  }
+}
+
 // URL de SearXNG (puede configurarse via variable de entorno)
 const SEARXNG_URL = process.env.SEARXNG_URL || 'https://automatizacion-searxng.0hidyn.easypanel.host';
 
@@ -163,30 +530,260 @@ const OPENWEBUI_URL = process.env.OPENWEBUI_URL || 'https://sigai.planautomotor.
 const OPENWEBUI_API_KEY = process.env.OPENWEBUI_API_KEY || ''; // Clave API de Open WebUI
 const OPENWEBUI_KNOWLEDGE_ID = process.env.OPENWEBUI_KNOWLEDGE_ID || ''; // ID de la Knowledge Base "EvoX_DocProxy"
 const OPENWEBUI_MODEL = process.env.OPENWEBUI_MODEL || ''; // Modelo a usar (vacío = usar modelo por defecto del servidor)
+const RAG_SOURCES_MODE = process.env.RAG_SOURCES_MODE || 'openwebui'; // Origen de las fuentes de /query-rag: openwebui | proxy
+const RAG_PROXY_TOP_K = parseInt(process.env.RAG_PROXY_TOP_K, 10) || 6; // Fragmentos enviados al modelo en modo proxy
+const OPENWEBUI_MAX_RETRIES = parseInt(process.env.OPENWEBUI_MAX_RETRIES, 10);
+
+// Cliente de Open WebUI: timeouts por operación y reintentos en 5xx / errores de red
+const openWebUI = new OpenWebUIClient({
+  baseUrl: OPENWEBUI_URL,
+  timeoutMs: parseInt(process.env.OPENWEBUI_TIMEOUT_MS, 10) || 30000,
+  uploadTimeoutMs: parseInt(process.env.OPENWEBUI_UPLOAD_TIMEOUT_MS, 10) || 120000,
+  chatTimeoutMs: parseInt(process.env.OPENWEBUI_CHAT_TIMEOUT_MS, 10) || 120000,
+  maxRetries: isNaN(OPENWEBUI_MAX_RETRIES) ? 2 : OPENWEBUI_MAX_RETRIES,
+  getHeaders: () => {
+    const { requestId } = getContext();
+    return requestId ? { 'X-Request-Id': requestId } : {};
+  },
+  onResponse: ({ outcome, seconds }) => {
+    upstreamRequestsTotal.inc({ upstream: 'openwebui', outcome });
+    upstreamRequestDuration.observe({ upstream: 'openwebui' }, seconds);
+  }
+});
+
+// Cache de respuestas - TTL por ruta (ms), usado cuando el servidor de origen no indica Cache-Control
+const CACHE_TTL_SEARCH_MS = parseInt(process.env.CACHE_TTL_SEARCH_MS, 10) || 5 * 60 * 1000;
+const CACHE_TTL_FETCH_MS = parseInt(process.env.CACHE_TTL_FETCH_MS, 10) || 10 * 60 * 1000;
+const CACHE_TTL_PAGE_MS = parseInt(process.env.CACHE_TTL_PAGE_MS, 10) || 30 * 60 * 1000;
+const responseCache = createResponseCache();
+
+// Parámetros de control de cache que no forman parte de la clave
+const CACHE_CONTROL_PARAMS = ['nocache', 'purge'];
+
+/**
+ * Helper: Opciones de cache de la petición
+ * - nocache=true (o header Cache-Control: no-cache): ignora la entrada existente
+ * - purge=true: elimina la entrada antes de volver a descargar
+ */
+function getCacheOptions(req) {
+  const params = { ...req.query, ...(req.body || {}) };
+  const isTrue = value => value === true || value === 'true' || value === '1';
+  return {
+    bypass: isTrue(params.nocache) || isTrue(params.noCache) || /no-cache/i.test(req.get('cache-control') || ''),
+    purge: isTrue(params.purge)
+  };
+}
+
+// User agent con el que se identifica el proxy al rastrear páginas (robots.txt se evalúa para este bot)
+const BOT_USER_AGENT = process.env.BOT_USER_AGENT || `SearXNG-Proxy-Bot/${VERSION}`;
+
+// robots.txt: cache por origen; ROBOTS_ENABLED=false lo desactiva globalmente
+const robotsCache = new RobotsCache({
+  userAgent: BOT_USER_AGENT,
+  fetchImpl: safeFetch,
+  ttlMs: parseInt(process.env.ROBOTS_CACHE_TTL_MS, 10) || 60 * 60 * 1000,
+  enabled: process.env.ROBOTS_ENABLED !== 'false'
+});
+
+// Autenticación de clientes del proxy (PROXY_API_KEYS / PROXY_API_KEYS_FILE, ver lib/auth.js)
+const auth = createAuthFromEnv();
+const { requireScope } = auth;
+if (auth.enabled && auth.store.size === 0) {
+  logger.warn('[Auth] No hay claves configuradas (PROXY_API_KEYS): todas las rutas protegidas responderán 401');
+} else if (!auth.enabled) {
+  logger.warn('[Auth] Autenticación DESACTIVADA (AUTH_ENABLED=false): usar solo en desarrollo');
+}
+
+// Rate limiting por ruta y cliente (RATE_LIMITS / RATE_LIMIT_STORE, ver lib/rate-limit.js)
+const rateLimiter = createRateLimiterFromEnv();
+const rateLimit = route => rateLimiter.limit(route);
+
+// Deduplicación por hash antes de subir a Open WebUI (DEDUPE_MODE / DEDUPE_INDEX_FILE, ver lib/dedupe-index.js)
+const DEDUPE_DEFAULT_MODE = DEDUPE_MODES.includes(process.env.DEDUPE_MODE) ? process.env.DEDUPE_MODE : 'skip';
+const dedupeIndex = createDedupeIndexFromEnv();
+
+// Fuentes vigiladas con re-ingesta periódica (WATCHES_FILE / WATCHES_ENABLED, ver lib/source-watcher.js)
+const sourceWatcher = createSourceWatcherFromEnv({ runWatch });
+
+// Retrieval local (BM25) para el fallback de /retrieve-only (LOCAL_CHUNK_SIZE, ..., ver lib/local-retrieval.js)
+const localRetriever = createLocalRetrieverFromEnv();
+
+// Grupos con nombre de Knowledge Bases (KNOWLEDGE_GROUPS / KNOWLEDGE_GROUPS_FILE)
+const knowledgeGroups = createKnowledgeGroupsFromEnv();
+
+// Ingesta en segundo plano con async: true (INGEST_CONCURRENCY / WEBHOOK_SECRET, ver lib/ingest-jobs.js)
+const INGEST_ERROR_TITLES = {
+  'upload-file': 'Error procesando archivo',
+  'upload-to-rag': 'Error subiendo PDF a RAG',
+  'ingest-links': 'Error procesando enlaces de descarga'
+};
+const ingestJobs = createIngestJobManagerFromEnv({
+  describeError: (error, job) => describeRagError(error, INGEST_ERROR_TITLES[job.type] || 'Error de ingesta'),
+  onFinish: job => ingestJobsTotal.inc({ type: job.type, status: job.status }),
+  userAgent: BOT_USER_AGENT
+});
+
+// Claves que permiten ignorar robots.txt por petición (header X-Robots-Override-Key)
+// Los clientes con scope robots-override no necesitan el header
+const ROBOTS_OVERRIDE_KEYS = (process.env.ROBOTS_OVERRIDE_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+
+class RobotsOverrideError extends Error {
+  constructor() {
+    super('ignoreRobots requires the robots-override scope or a valid X-Robots-Override-Key header');
+    this.name = 'RobotsOverrideError';
+    this.statusCode = 403;
+  }
+}
+
+/**
+ * Helper: Determina si la petición puede ignorar robots.txt
+ * Solo se acepta ignoreRobots=true para clientes con scope robots-override
+ * o junto con una clave de ROBOTS_OVERRIDE_KEYS
+ */
+function getRobotsOverride(req) {
+  const params = { ...req.query, ...(req.body || {}) };
+  const requested = params.ignoreRobots === true || params.ignoreRobots === 'true';
+  if (!requested) return false;
+
+  // Con autenticación desactivada el cliente anónimo no cuenta como autorizado
+  const clientAllowed = req.client && !req.client.anonymous && hasScope(req.client, 'robots-override');
+  const key = req.get('x-robots-override-key');
+  if (!clientAllowed && (!key || !ROBOTS_OVERRIDE_KEYS.includes(key))) {
+    throw new RobotsOverrideError();
+  }
+
+  logger.info(`[Robots] Override autorizado para ${req.path}`);
+  return true;
+}
+
+/**
+ * Helper: Respuesta 403 para páginas bloqueadas por robots.txt o override no autorizado
+ */
+function sendRobotsError(res, error) {
+  if (error instanceof RobotsOverrideError) {
+    return res.status(403).json({ error: 'Robots override not allowed', message: error.message });
+  }
+  return res.status(403).json({
+    error: 'Blocked by robots.txt',
+    message: error.message,
+    reason: error.reason,
+    url: error.url
+  });
+}
+
+/**
+ * Helper: Header X-Cache para que el cliente distinga respuestas cacheadas
+ */
+function setCacheHeader(res, cacheInfo) {
+  if (!cacheInfo) return;
+  res.set('X-Cache', cacheInfo.hit ? (cacheInfo.revalidated ? 'REVALIDATED' : 'HIT') : 'MISS');
+}
+
+// Métricas por ruta (la ruta es el patrón de Express, no la URL, para acotar las etiquetas)
+app.use((req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const labels = {
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+      method: req.method,
+      status: res.statusCode
+    };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+  next();
+});
 
-// Habilitar CORS para todas las peticiones
-app.use(cors());
+// CORS solo para los orígenes de CORS_ALLOWED_ORIGINS
+app.use(cors(createCorsOptions(process.env.CORS_ALLOWED_ORIGINS)));
 // Aumentar límite de JSON para soportar archivos base64 (50MB)
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
+// ID de correlación: se acepta X-Request-Id del cliente o se genera uno, y se devuelve en la respuesta.
+// Va después de los body parsers para que el contexto de logging no se pierda en sus callbacks
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    runWithContext({ requestId }, () => {
+      // Health checks y scrapes de Prometheus solo en debug para no inundar los logs
+      const quiet = req.path === '/health' || req.path === '/health/details' || req.path === '/metrics';
+      const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : (quiet ? 'debug' : 'info'));
+      logger[level]('[HTTP] Petición completada', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+        client: req.client ? req.client.name : undefined
+      });
+    });
+  });
+
+  runWithContext({ requestId }, next);
+});
+
 // Health check
+// Público: solo estado y versión (sin configuración ni estadísticas internas)
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', version: VERSION, timestamp: new Date().toISOString() });
+});
+
+// Estado interno de los componentes (scope metrics)
+app.get('/health/details', requireScope('metrics'), async (req, res) => {
+  res.json({
+    status: 'ok',
+    version: VERSION,
+    timestamp: new Date().toISOString(),
+    auth: { enabled: auth.enabled, clients: auth.store.size },
+    rateLimit: rateLimiter.stats(),
+    ingestJobs: ingestJobs.stats(),
+    dedupe: { defaultMode: DEDUPE_DEFAULT_MODE, ...dedupeIndex.stats() },
+    watches: sourceWatcher.stats(),
+    localRetrieval: localRetriever.stats(),
+    browserPool: browserPool.stats(),
+    cache: await responseCache.stats().catch(() => null)
+  });
+});
+
+// Métricas Prometheus (scope metrics)
+app.get('/metrics', requireScope('metrics'), async (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(await metrics.render());
 });
 
 // NOTA: Endpoints de debug (/info, /debug-rag, /rag-config) fueron eliminados por seguridad
 // Para debugging, usar los logs de consola del servidor
 
 // Proxy de búsqueda
-app.get('/search', async (req, res) => {
+app.get('/search', requireScope('search'), rateLimit('search'), async (req, res) => {
   try {
-    const queryString = new URLSearchParams(req.query).toString();
+    const searchParams = { ...req.query };
+    CACHE_CONTROL_PARAMS.forEach(param => delete searchParams[param]);
+
+    const queryString = new URLSearchParams(searchParams).toString();
     const url = `${SEARXNG_URL}/search?${queryString}`;
 
-    console.log(`[Proxy] Buscando: ${req.query.q}`);
+    // Servir desde cache si la misma consulta se hizo recientemente
+    const cacheKey = normalizeParamsKey(searchParams);
+    const { bypass, purge } = getCacheOptions(req);
+    if (purge) {
+      await responseCache.purge('search', cacheKey);
+    }
+    const cached = bypass || purge ? null : await responseCache.getJson('search', cacheKey, CACHE_TTL_SEARCH_MS);
+    if (cached) {
+      logger.info(`[Proxy] Cache HIT: ${req.query.q}`);
+      setCacheHeader(res, cached.cache);
+      return res.json({ ...cached.value, cache: cached.cache });
+    }
+
+    logger.info(`[Proxy] Buscando: ${req.query.q}`);
 
-    const response = await fetch(url, {
+    const response = await upstreamFetch('searxng', url, {
       method: 'GET',
       headers: {
         'Accept': 'application/json',
@@ -199,11 +796,14 @@ app.get('/search', async (req, res) => {
     }
 
     const data = await response.json();
-    console.log(`[Proxy] ${data.results?.length || 0} resultados`);
+    logger.info(`[Proxy] ${data.results?.length || 0} resultados`);
 
-    res.json(data);
+    await responseCache.setJson('search', cacheKey, data);
+
+    setCacheHeader(res, { hit: false });
+    res.json({ ...data, cache: { hit: false } });
   } catch (error) {
-    console.error('[Proxy] Error:', error.message);
+    logger.error('[Proxy] Error', { error: error.message });
     res.status(500).json({
       error: 'Error en búsqueda',
       message: error.message
@@ -212,9 +812,9 @@ app.get('/search', async (req, res) => {
 });
 
 // Proxy genérico para otros endpoints de SearXNG
-app.get('/config', async (req, res) => {
+app.get('/config', requireScope('search'), rateLimit('search'), async (req, res) => {
   try {
-    const response = await fetch(`${SEARXNG_URL}/config`);
+    const response = await upstreamFetch('searxng', `${SEARXNG_URL}/config`);
     const data = await response.json();
     res.json(data);
   } catch (error) {
@@ -329,7 +929,7 @@ function extractEmbeddedJsonData(html) {
     });
 
   } catch (error) {
-    console.error('[ExtractJSON] Error:', error.message);
+    logger.error('[ExtractJSON] Error', { error: error.message });
   }
 
   // Consolidar resultados únicos
@@ -345,8 +945,37 @@ function extractEmbeddedJsonData(html) {
   };
 }
 
+// Presupuesto de tokens por defecto para format=markdown
+const MARKDOWN_MAX_TOKENS = parseInt(process.env.MARKDOWN_MAX_TOKENS, 10) || 8000;
+
+/**
+ * Helper: Campos de contenido de /fetch y /fetch-js según el formato pedido
+ * - format=text (default): textContent, headings y tables
+ * - format=markdown: documento Markdown truncado a maxTokens
+ */
+function formatExtractedContent(extracted, { format, maxTokens, url }) {
+  if (format === 'markdown') {
+    const markdown = blocksToMarkdown(extracted.blocks, { baseUrl: url, title: extracted.title });
+    const budget = Math.min(parseInt(maxTokens, 10) || MARKDOWN_MAX_TOKENS, 100000);
+    const result = truncateToTokenBudget(markdown, budget);
+    return {
+      format: 'markdown',
+      markdown: result.markdown,
+      truncated: result.truncated,
+      estimatedTokens: result.estimatedTokens
+    };
+  }
+
+  return {
+    textContent: extracted.textContent.slice(0, 50), // Limitar a 50 párrafos
+    headings: extracted.headings.slice(0, 50), // Estructura de títulos del contenido principal
+    tables: extracted.tables.slice(0, 10) // Limitar a 10 tablas
+  };
+}
+
 // Fetch y parseo de contenido web
-app.get('/fetch', async (req, res) => {
+// GET /fetch?url=...&format=text|markdown&maxTokens=N
+app.get('/fetch', requireScope('fetch'), rateLimit('fetch'), async (req, res) => {
   try {
     const { url } = req.query;
 
@@ -354,16 +983,25 @@ app.get('/fetch', async (req, res) => {
       return res.status(400).json({ error: 'URL parameter required' });
     }
 
-    console.log(`[Fetch] Obteniendo: ${url}`);
+    const ignoreRobots = getRobotsOverride(req);
+
+    await assertUrlAllowed(url);
+    if (!ignoreRobots) {
+      await robotsCache.assertAllowed(url);
+    }
+
+    logger.info(`[Fetch] Obteniendo: ${url}`);
 
-    const response = await fetch(url, {
+    const response = await responseCache.fetchPage(url, {
       method: 'GET',
       headers: {
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'User-Agent': BOT_USER_AGENT,
         'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8'
       }
-    });
+    }, { fetchImpl: safeFetch, ttlMs: CACHE_TTL_FETCH_MS, ...getCacheOptions(req) });
+
+    setCacheHeader(res, response.cacheInfo);
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -374,7 +1012,7 @@ app.get('/fetch', async (req, res) => {
     // Si es JSON, devolverlo directamente
     if (contentType.includes('application/json')) {
       const data = await response.json();
-      return res.json({ type: 'json', data, url });
+      return res.json({ type: 'json', data, url, cache: response.cacheInfo });
     }
 
     const html = await response.text();
@@ -382,7 +1020,7 @@ app.get('/fetch', async (req, res) => {
     // Extraer datos JSON embebidos ANTES de remover scripts
     const embeddedData = extractEmbeddedJsonData(html);
     if (embeddedData.found) {
-      console.log(`[Fetch] Datos embebidos encontrados: ${embeddedData.totalItems} items, ${embeddedData.apiUrls.length} APIs`);
+      logger.info(`[Fetch] Datos embebidos encontrados: ${embeddedData.totalItems} items, ${embeddedData.apiUrls.length} APIs`);
     }
 
     const $ = cheerio.load(html);
@@ -390,129 +1028,34 @@ app.get('/fetch', async (req, res) => {
     // Remover scripts, styles y elementos no deseados
     $('script, style, nav, footer, header, aside, iframe, noscript').remove();
 
-    // Extraer título
-    const title = $('title').text().trim() || $('h1').first().text().trim();
-
-    // Extraer texto principal (párrafos, listas, headings)
-    const textContent = [];
-    $('p, li, h1, h2, h3, h4, h5, h6, td, th').each((i, el) => {
-      const text = $(el).text().trim();
-      if (text && text.length > 10) {
-        textContent.push(text);
-      }
-    });
-
-    // Extraer tablas
-    const tables = [];
-    $('table').each((tableIndex, table) => {
-      const tableData = {
-        headers: [],
-        rows: []
-      };
-
-      // Headers
-      $(table).find('thead tr th, thead tr td, tr:first-child th').each((i, th) => {
-        tableData.headers.push($(th).text().trim());
-      });
-
-      // Si no hay thead, usar primera fila como headers
-      if (tableData.headers.length === 0) {
-        $(table).find('tr:first-child td').each((i, td) => {
-          tableData.headers.push($(td).text().trim());
-        });
-      }
-
-      // Rows
-      $(table).find('tbody tr, tr').each((rowIndex, tr) => {
-        // Skip header row if we already extracted it
-        if (rowIndex === 0 && tableData.headers.length > 0) {
-          const firstRowCells = $(tr).find('th, td');
-          if (firstRowCells.length === tableData.headers.length) {
-            let isHeader = true;
-            firstRowCells.each((i, cell) => {
-              if ($(cell).text().trim() !== tableData.headers[i]) {
-                isHeader = false;
-              }
-            });
-            if (isHeader) return;
-          }
-        }
-
-        const row = [];
-        $(tr).find('td, th').each((i, td) => {
-          row.push($(td).text().trim());
-        });
-        if (row.length > 0 && row.some(cell => cell.length > 0)) {
-          tableData.rows.push(row);
-        }
-      });
-
-      if (tableData.rows.length > 0 || tableData.headers.length > 0) {
-        tables.push(tableData);
-      }
-    });
+    // Contenido principal (puntuación por densidad de texto/enlaces, sin boilerplate)
+    const extracted = extractMainContent(html);
+    const { title } = extracted;
 
     // Extraer enlaces relevantes (PDFs, Excel, etc)
-    const downloadLinks = [];
-    const seenUrls = new Set(); // Evitar duplicados
-
-    $('a[href]').each((i, a) => {
-      const href = $(a).attr('href');
-      const text = $(a).text().trim().toLowerCase();
-      const hrefLower = (href || '').toLowerCase();
+    const downloadLinks = extractDownloadLinks($, url);
 
-      if (!href) return;
-
-      let type = null;
-
-      // Detección por extensión de archivo
-      if (hrefLower.endsWith('.pdf')) type = 'pdf';
-      else if (hrefLower.endsWith('.xlsx')) type = 'xlsx';
-      else if (hrefLower.endsWith('.xls')) type = 'xls';
-      else if (hrefLower.endsWith('.csv')) type = 'csv';
-      // Detección por patrones de descarga en la URL
-      else if (hrefLower.includes('download') && (text.includes('pdf') || hrefLower.includes('pdf'))) type = 'pdf';
-      else if (hrefLower.includes('sdm_process_download')) type = 'pdf'; // WordPress Download Manager
-      else if (hrefLower.includes('/descargar') || hrefLower.includes('/download')) {
-        // Inferir tipo del texto del enlace
-        if (text.includes('pdf')) type = 'pdf';
-        else if (text.includes('excel') || text.includes('xlsx')) type = 'xlsx';
-        else type = 'pdf'; // Default a PDF para enlaces de descarga
-      }
-      // Detección por texto del enlace que indica descarga
-      else if ((text.includes('descargar') || text.includes('download')) &&
-               (text.includes('pdf') || text.includes('boletín') || text.includes('informe') || text.includes('reporte'))) {
-        type = 'pdf';
-      }
-
-      if (type) {
-        const fullUrl = href.startsWith('http') ? href : new URL(href, url).href;
-        if (!seenUrls.has(fullUrl)) {
-          seenUrls.add(fullUrl);
-          downloadLinks.push({
-            text: $(a).text().trim() || href,
-            url: fullUrl,
-            type
-          });
-        }
-      }
-    });
-
-    console.log(`[Fetch] Extraído: ${textContent.length} textos, ${tables.length} tablas, ${downloadLinks.length} archivos`);
+    logger.info(`[Fetch] Extraído: ${extracted.textContent.length} textos, ${extracted.tables.length} tablas, ${downloadLinks.length} archivos`);
 
     res.json({
       type: 'html',
       url,
       title,
-      textContent: textContent.slice(0, 50), // Limitar a 50 párrafos
-      tables: tables.slice(0, 10), // Limitar a 10 tablas
+      ...formatExtractedContent(extracted, { format: req.query.format, maxTokens: req.query.maxTokens, url }),
       downloadLinks: downloadLinks.slice(0, 20), // Limitar a 20 enlaces
       embeddedData: embeddedData.found ? embeddedData : undefined, // Datos JSON extraídos de scripts
-      fetchedAt: new Date().toISOString()
+      fetchedAt: new Date().toISOString(),
+      cache: response.cacheInfo
     });
 
   } catch (error) {
-    console.error('[Fetch] Error:', error.message);
+    logger.error('[Fetch] Error', { error: error.message });
+    if (error instanceof UrlPolicyError) {
+      return sendUrlBlocked(res, error);
+    }
+    if (error instanceof RobotsBlockedError || error instanceof RobotsOverrideError) {
+      return sendRobotsError(res, error);
+    }
     res.status(500).json({
       error: 'Error fetching URL',
       message: error.message
@@ -520,67 +1063,59 @@ app.get('/fetch', async (req, res) => {
   }
 });
 
-// Fetch con Puppeteer para sitios JavaScript-heavy
-app.get('/fetch-js', async (req, res) => {
-  let browser = null;
-
-  try {
-    const { url } = req.query;
-
-    if (!url) {
-      return res.status(400).json({ error: 'URL parameter required' });
-    }
-
-    // Cargar Puppeteer dinámicamente
-    const pup = await getPuppeteer();
-    if (!pup) {
-      return res.status(503).json({
-        error: 'Puppeteer not available',
-        message: 'JavaScript rendering is not available on this server. Use /fetch instead.',
-        suggestion: 'Try using the static fetch endpoint: /fetch'
-      });
-    }
-
-    console.log(`[FetchJS] Obteniendo con Puppeteer: ${url}`);
-
-    // Buscar Chrome en el sistema
-    const chromePath = findChromePath();
-    if (!chromePath) {
-      return res.status(503).json({
-        error: 'Chrome not found',
-        message: 'No se encontró Chrome/Chromium instalado en el sistema. Use /fetch para contenido estático.',
-        suggestion: 'Instale Google Chrome o configure CHROME_PATH variable de entorno'
-      });
-    }
+/**
+ * Helper: Verifica que Puppeteer y Chrome estén disponibles
+ * Devuelve el cuerpo del error 503 o null si se puede renderizar
+ */
+async function getRenderUnavailableError() {
+  // Cargar Puppeteer dinámicamente
+  const pup = await getPuppeteer();
+  if (!pup) {
+    return {
+      error: 'Puppeteer not available',
+      message: 'JavaScript rendering is not available on this server. Use /fetch instead.',
+      suggestion: 'Try using the static fetch endpoint: /fetch'
+    };
+  }
 
-    console.log(`[FetchJS] Usando Chrome: ${chromePath}`);
-
-    // Iniciar browser con configuración para Docker/Windows
-    const launchOptions = {
-      executablePath: chromePath,
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--single-process',
-        '--no-zygote',
-        '--window-size=1920x1080'
-      ]
+  // Buscar Chrome en el sistema
+  const chromePath = findChromePath();
+  if (!chromePath) {
+    return {
+      error: 'Chrome not found',
+      message: 'No se encontró Chrome/Chromium instalado en el sistema. Use /fetch para contenido estático.',
+      suggestion: 'Instale Google Chrome o configure CHROME_PATH variable de entorno'
     };
+  }
 
-    browser = await pup.launch(launchOptions);
+  return null;
+}
 
-    const page = await browser.newPage();
+/**
+ * Helper: Renderiza una URL en un contexto aislado del pool de navegadores
+ * @returns {Promise<{html, apiCalls, actionSteps, screenshot, pdf}>}
+ */
+async function renderWithPuppeteer(url, { actions = [], capture = {} } = {}) {
+  // Capturar llamadas API/JSON que hace la página
+  const apiCalls = [];
+  let endRender = null;
 
-    // Capturar llamadas API/JSON que hace la página
-    const apiCalls = [];
+  return browserPool.run(async (page) => {
+    endRender = browserRenderDuration.startTimer();
     await page.setRequestInterception(true);
 
-    page.on('request', request => {
-      request.continue();
+    // Validar cada petición del navegador (navegación, redirecciones y subrecursos)
+    page.on('request', async request => {
+      try {
+        if (request.url().startsWith('data:') || await isUrlAllowed(request.url())) {
+          await request.continue();
+        } else {
+          logger.warn(`[FetchJS] Petición bloqueada por política de URLs: ${request.url()}`);
+          await request.abort('blockedbyclient');
+        }
+      } catch (e) {
+        // La petición ya fue resuelta
+      }
     });
 
     page.on('response', async response => {
@@ -606,7 +1141,7 @@ app.get('/fetch-js', async (req, res) => {
               isArray: Array.isArray(responseData),
               itemCount: Array.isArray(responseData) ? responseData.length : null
             });
-            console.log(`[FetchJS] API call captured: ${reqUrl}`);
+            logger.debug(`[FetchJS] API call captured: ${reqUrl}`);
           }
         }
       } catch (e) {
@@ -615,7 +1150,7 @@ app.get('/fetch-js', async (req, res) => {
     });
 
     // Configurar user agent
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    await page.setUserAgent(BOT_USER_AGENT);
 
     // Configurar viewport
     await page.setViewport({ width: 1920, height: 1080 });
@@ -629,16 +1164,109 @@ app.get('/fetch-js', async (req, res) => {
     // Esperar un poco más para que el JS se ejecute
     await new Promise(resolve => setTimeout(resolve, 2000));
 
+    let actionSteps = null;
+
+    // Ejecutar interacciones declarativas (clicks, scroll, formularios...)
+    if (actions.length > 0) {
+      logger.info(`[FetchJS] Ejecutando ${actions.length} acciones`);
+      actionSteps = await runPageActions(page, actions, '[FetchJS]');
+    }
+
     // Obtener el HTML renderizado
     const html = await page.content();
 
-    await browser.close();
-    browser = null;
+    // Capturas visuales (el PDF con selector modifica el DOM, por eso va al final)
+    const screenshot = capture.screenshot ? await captureScreenshot(page, capture.screenshot) : null;
+    const pdf = capture.pdf ? await capturePdf(page, capture.pdf) : null;
+
+    endRender({ outcome: 'success' });
+    return { html, apiCalls, actionSteps, screenshot, pdf };
+  }).catch(error => {
+    // Solo cuenta como render fallido si llegó a obtener una página del pool
+    if (endRender) endRender({ outcome: 'error' });
+    throw error;
+  });
+}
+
+/**
+ * Helper: Respuesta de error común para las rutas que renderizan con Puppeteer
+ */
+function sendRenderError(res, error) {
+  if (error instanceof UrlPolicyError) {
+    return sendUrlBlocked(res, error);
+  }
+  if (error instanceof RobotsBlockedError || error instanceof RobotsOverrideError) {
+    return sendRobotsError(res, error);
+  }
+  if (error instanceof PageActionError) {
+    return res.status(400).json({ error: 'Invalid actions', message: error.message });
+  }
+  if (error instanceof PageCaptureError) {
+    return res.status(400).json({ error: 'Invalid capture options', message: error.message });
+  }
+  if (error instanceof BrowserPoolError) {
+    res.set('Retry-After', '5');
+    return res.status(503).json({
+      error: 'Browser pool busy',
+      message: error.message,
+      code: error.code
+    });
+  }
+  res.status(500).json({
+    error: 'Error fetching URL with Puppeteer',
+    message: error.message
+  });
+}
+
+/**
+ * Fetch con Puppeteer para sitios JavaScript-heavy
+ * GET /fetch-js?url=...&actions=[...] (actions como JSON)
+ * POST /fetch-js
+ * Body: {
+ *   url: string,
+ *   format?: string,             // 'text' (default) | 'markdown'
+ *   maxTokens?: number,          // Presupuesto de tokens para format=markdown
+ *   actions?: Array,             // Interacciones antes de capturar el HTML (ver lib/page-actions.js)
+ *   screenshot?: boolean|string, // true | 'viewport' | 'fullPage' - incluye PNG/JPEG en base64
+ *   screenshotType?: string,     // 'png' (default) | 'jpeg'
+ *   quality?: number,            // Calidad JPEG (1-100)
+ *   pdf?: boolean,               // Incluye renderizado PDF en base64
+ *   pdfFormat?: string,          // 'A4' (default), 'Letter', ...
+ *   landscape?: boolean,
+ *   captureSelector?: string     // Limitar screenshot/PDF a un elemento
+ * }
+ */
+async function handleFetchJs(req, res) {
+  try {
+    const params = req.method === 'POST' ? (req.body || {}) : req.query;
+    const { url } = params;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL parameter required' });
+    }
+
+    const actions = parseActions(params.actions);
+    const capture = parseCaptureOptions(params);
+    const ignoreRobots = getRobotsOverride(req);
+
+    const unavailable = await getRenderUnavailableError();
+    if (unavailable) {
+      return res.status(503).json(unavailable);
+    }
+
+    await assertUrlAllowed(url);
+    if (!ignoreRobots) {
+      await robotsCache.assertAllowed(url);
+    }
+
+    logger.info(`[FetchJS] Obteniendo con Puppeteer: ${url}`);
+
+    const { html, apiCalls, actionSteps, screenshot, pdf } = await renderWithPuppeteer(url, { actions, capture });
 
     // Extraer datos JSON embebidos ANTES de remover scripts
     const embeddedData = extractEmbeddedJsonData(html);
     if (embeddedData.found) {
-      console.log(`[FetchJS] Datos embebidos encontrados: ${embeddedData.totalItems} items, ${embeddedData.apiUrls.length} APIs`);
+      logger.info(`[FetchJS] Datos embebidos encontrados: ${embeddedData.totalItems} items, ${embeddedData.apiUrls.length} APIs`);
     }
 
     // Parsear con cheerio
@@ -647,156 +1275,140 @@ app.get('/fetch-js', async (req, res) => {
     // Remover scripts, styles y elementos no deseados
     $('script, style, nav, footer, header, aside, iframe, noscript').remove();
 
-    // Extraer título
-    const title = $('title').text().trim() || $('h1').first().text().trim();
+    // Contenido principal (mismo extractor que /fetch y /deep-search)
+    const extracted = extractMainContent(html);
+    const { title } = extracted;
 
-    // Extraer texto principal
-    const textContent = [];
-    $('p, li, h1, h2, h3, h4, h5, h6, td, th, span, div').each((i, el) => {
-      const text = $(el).clone().children().remove().end().text().trim();
-      if (text && text.length > 10 && !textContent.includes(text)) {
-        textContent.push(text);
-      }
+    // Extraer enlaces de descarga (mejorado para detectar enlaces dinámicos)
+    const downloadLinks = extractDownloadLinks($, url);
+
+    logger.info(`[FetchJS] Extraído: ${extracted.textContent.length} textos, ${extracted.tables.length} tablas, ${downloadLinks.length} archivos, ${apiCalls.length} API calls`);
+
+    res.json({
+      type: 'html',
+      url,
+      title,
+      ...formatExtractedContent(extracted, { format: params.format, maxTokens: params.maxTokens, url }),
+      downloadLinks: downloadLinks.slice(0, 20),
+      embeddedData: embeddedData.found ? embeddedData : undefined, // Datos JSON extraídos de scripts
+      apiCalls: apiCalls.length > 0 ? apiCalls : undefined, // Llamadas API JSON capturadas durante la carga
+      actions: actionSteps || undefined, // Resultado de cada interacción ejecutada
+      screenshot: screenshot ? toBase64Payload(screenshot) : undefined,
+      pdf: pdf ? toBase64Payload(pdf) : undefined,
+      fetchedAt: new Date().toISOString(),
+      renderedWith: 'puppeteer'
     });
 
-    // Extraer tablas
-    const tables = [];
-    $('table').each((tableIndex, table) => {
-      const tableData = {
-        headers: [],
-        rows: []
-      };
+  } catch (error) {
+    logger.error('[FetchJS] Error', { error: error.message });
+    sendRenderError(res, error);
+  }
+}
 
-      $(table).find('thead tr th, thead tr td, tr:first-child th').each((i, th) => {
-        tableData.headers.push($(th).text().trim());
-      });
+/**
+ * Captura binaria (sin extracción de contenido)
+ * GET|POST /fetch-js/screenshot - devuelve image/png o image/jpeg
+ * GET|POST /fetch-js/pdf        - devuelve application/pdf
+ * Acepta los mismos parámetros que /fetch-js (url, actions, screenshotType, captureSelector...)
+ */
+function createCaptureHandler(kind) {
+  return async (req, res) => {
+    try {
+      const params = req.method === 'POST' ? (req.body || {}) : req.query;
+      const { url } = params;
 
-      if (tableData.headers.length === 0) {
-        $(table).find('tr:first-child td').each((i, td) => {
-          tableData.headers.push($(td).text().trim());
-        });
+      if (!url) {
+        return res.status(400).json({ error: 'URL parameter required' });
       }
 
-      $(table).find('tbody tr, tr').each((rowIndex, tr) => {
-        if (rowIndex === 0 && tableData.headers.length > 0) {
-          const firstRowCells = $(tr).find('th, td');
-          if (firstRowCells.length === tableData.headers.length) {
-            let isHeader = true;
-            firstRowCells.each((i, cell) => {
-              if ($(cell).text().trim() !== tableData.headers[i]) {
-                isHeader = false;
-              }
-            });
-            if (isHeader) return;
-          }
-        }
-
-        const row = [];
-        $(tr).find('td, th').each((i, td) => {
-          row.push($(td).text().trim());
-        });
-        if (row.length > 0 && row.some(cell => cell.length > 0)) {
-          tableData.rows.push(row);
-        }
-      });
+      const actions = parseActions(params.actions);
+      const capture = parseCaptureOptions(params, { [kind]: true });
+      // Solo se genera el formato pedido
+      if (kind === 'pdf') capture.screenshot = null;
+      if (kind === 'screenshot') capture.pdf = null;
+      const ignoreRobots = getRobotsOverride(req);
 
-      if (tableData.rows.length > 0 || tableData.headers.length > 0) {
-        tables.push(tableData);
+      const unavailable = await getRenderUnavailableError();
+      if (unavailable) {
+        return res.status(503).json(unavailable);
       }
-    });
-
-    // Extraer enlaces de descarga (mejorado para detectar enlaces dinámicos)
-    const downloadLinks = [];
-    const seenUrls = new Set();
 
-    $('a[href]').each((i, a) => {
-      const href = $(a).attr('href');
-      const text = $(a).text().trim().toLowerCase();
-      const hrefLower = (href || '').toLowerCase();
+      await assertUrlAllowed(url);
+      if (!ignoreRobots) {
+        await robotsCache.assertAllowed(url);
+      }
 
-      if (!href) return;
+      logger.info(`[FetchJS] Capturando ${kind}: ${url}`);
 
-      let type = null;
-
-      // Detección por extensión
-      if (hrefLower.endsWith('.pdf')) type = 'pdf';
-      else if (hrefLower.endsWith('.xlsx')) type = 'xlsx';
-      else if (hrefLower.endsWith('.xls')) type = 'xls';
-      else if (hrefLower.endsWith('.csv')) type = 'csv';
-      // Detección por patrones de descarga
-      else if (hrefLower.includes('download') && (text.includes('pdf') || hrefLower.includes('pdf'))) type = 'pdf';
-      else if (hrefLower.includes('sdm_process_download')) type = 'pdf';
-      else if (hrefLower.includes('/descargar') || hrefLower.includes('/download')) {
-        if (text.includes('pdf')) type = 'pdf';
-        else if (text.includes('excel') || text.includes('xlsx')) type = 'xlsx';
-        else type = 'pdf';
-      }
-      else if ((text.includes('descargar') || text.includes('download')) &&
-               (text.includes('pdf') || text.includes('boletín') || text.includes('informe') || text.includes('reporte'))) {
-        type = 'pdf';
-      }
+      const rendered = await renderWithPuppeteer(url, { actions, capture });
+      const result = rendered[kind];
 
-      if (type) {
-        const fullUrl = href.startsWith('http') ? href : new URL(href, url).href;
-        if (!seenUrls.has(fullUrl)) {
-          seenUrls.add(fullUrl);
-          downloadLinks.push({
-            text: $(a).text().trim() || href,
-            url: fullUrl,
-            type
-          });
-        }
+      if (rendered.actionSteps) {
+        // Resumen de acciones en header (el body es binario)
+        const failed = rendered.actionSteps.filter(step => step.status !== 'ok').length;
+        res.set('X-Actions-Failed', String(failed));
       }
-    });
 
-    console.log(`[FetchJS] Extraído: ${textContent.length} textos, ${tables.length} tablas, ${downloadLinks.length} archivos, ${apiCalls.length} API calls`);
-
-    res.json({
-      type: 'html',
-      url,
-      title,
-      textContent: textContent.slice(0, 50),
-      tables: tables.slice(0, 10),
-      downloadLinks: downloadLinks.slice(0, 20),
-      embeddedData: embeddedData.found ? embeddedData : undefined, // Datos JSON extraídos de scripts
-      apiCalls: apiCalls.length > 0 ? apiCalls : undefined, // Llamadas API JSON capturadas durante la carga
-      fetchedAt: new Date().toISOString(),
-      renderedWith: 'puppeteer'
-    });
+      res.set('Content-Type', result.mimeType);
+      res.set('Content-Length', String(result.buffer.length));
+      res.send(result.buffer);
 
-  } catch (error) {
-    console.error('[FetchJS] Error:', error.message);
-    if (browser) {
-      await browser.close();
+    } catch (error) {
+      logger.error('[FetchJS] Capture error', { error: error.message });
+      sendRenderError(res, error);
     }
-    res.status(500).json({
-      error: 'Error fetching URL with Puppeteer',
-      message: error.message
-    });
-  }
-});
+  };
+}
+
+app.get('/fetch-js', requireScope('fetch'), rateLimit('fetch-js'), handleFetchJs);
+app.post('/fetch-js', requireScope('fetch'), rateLimit('fetch-js'), handleFetchJs);
+app.get('/fetch-js/screenshot', requireScope('fetch'), rateLimit('fetch-js'), createCaptureHandler('screenshot'));
+app.post('/fetch-js/screenshot', requireScope('fetch'), rateLimit('fetch-js'), createCaptureHandler('screenshot'));
+app.get('/fetch-js/pdf', requireScope('fetch'), rateLimit('fetch-js'), createCaptureHandler('pdf'));
+app.post('/fetch-js/pdf', requireScope('fetch'), rateLimit('fetch-js'), createCaptureHandler('pdf'));
 
 // ===== Deep Search - Búsqueda profunda con crawling =====
 
+// Límites del crawler (configurables por variables de entorno)
+const DEEP_SEARCH_CONCURRENCY = parseInt(process.env.DEEP_SEARCH_CONCURRENCY, 10) || 4;
+const DEEP_SEARCH_PER_HOST_CONCURRENCY = parseInt(process.env.DEEP_SEARCH_PER_HOST_CONCURRENCY, 10) || 2;
+const DEEP_SEARCH_PER_HOST_DELAY_MS = parseInt(process.env.DEEP_SEARCH_PER_HOST_DELAY_MS, 10) || 500;
+const DEEP_SEARCH_TIME_BUDGET_MS = parseInt(process.env.DEEP_SEARCH_TIME_BUDGET_MS, 10) || 60000;
+const DEEP_SEARCH_MAX_TIME_BUDGET_MS = 180000;
+const DEEP_SEARCH_MAX_DEPTH = 3;
+const DEEP_SEARCH_MAX_RESULTS = 20;
+const DEEP_SEARCH_MAX_PAGES = 50;
+
 /**
  * Helper: Extrae contenido de una URL de forma simplificada
+ * options: {
+ *   timeout?: number,       // ms (default: 15000)
+ *   cacheOptions?: Object,  // { bypass?, purge? } (ver getCacheOptions)
+ *   ignoreRobots?: boolean  // Solo con override autorizado (ver getRobotsOverride)
+ * }
  */
-async function extractPageContent(url, timeout = 15000) {
+async function extractPageContent(url, { timeout = 15000, cacheOptions = {}, ignoreRobots = false } = {}) {
   try {
+    await assertUrlAllowed(url);
+    if (!ignoreRobots) {
+      const robots = await robotsCache.check(url);
+      if (!robots.allowed) {
+        return { success: false, url, error: 'Blocked by robots.txt', blockedByRobots: true };
+      }
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-    const response = await fetch(url, {
+    const response = await responseCache.fetchPage(url, {
       method: 'GET',
       headers: {
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'User-Agent': BOT_USER_AGENT,
         'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8'
       },
       signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
+    }, { fetchImpl: safeFetch, ttlMs: CACHE_TTL_PAGE_MS, ...cacheOptions }).finally(() => clearTimeout(timeoutId));
 
     if (!response.ok) {
       return { success: false, error: `HTTP ${response.status}` };
@@ -808,41 +1420,19 @@ async function extractPageContent(url, timeout = 15000) {
     }
 
     const html = await response.text();
-    const $ = cheerio.load(html);
-
-    // Remover elementos no deseados
-    $('script, style, nav, footer, header, aside, iframe, noscript, .advertisement, .ad, .sidebar, .menu, .navigation').remove();
-
-    // Extraer título
-    const title = $('title').text().trim() || $('h1').first().text().trim();
 
-    // Extraer contenido principal - priorizar article, main, o contenido principal
-    let mainContent = '';
-    const mainSelectors = ['article', 'main', '.content', '.post-content', '.entry-content', '#content', '.article-body'];
+    // Contenido principal con el extractor compartido (conserva títulos, sin boilerplate)
+    const extracted = extractMainContent(html);
+    const { title } = extracted;
+    const mainContent = extracted.text;
 
-    for (const selector of mainSelectors) {
-      const content = $(selector).text().trim();
-      if (content && content.length > mainContent.length) {
-        mainContent = content;
-      }
-    }
-
-    // Si no encontró contenido principal, usar body
-    if (!mainContent || mainContent.length < 200) {
-      mainContent = $('body').text().trim();
-    }
+    // Párrafos relevantes
+    const paragraphs = extracted.paragraphs.filter(text => text.length > 50 && text.length < 2000);
 
-    // Limpiar espacios múltiples y líneas vacías
-    mainContent = mainContent.replace(/\s+/g, ' ').trim();
+    const $ = cheerio.load(html);
 
-    // Extraer párrafos relevantes
-    const paragraphs = [];
-    $('p').each((_, el) => {
-      const text = $(el).text().trim();
-      if (text && text.length > 50 && text.length < 2000) {
-        paragraphs.push(text);
-      }
-    });
+    // Remover elementos no deseados (solo afecta a los enlaces a seguir)
+    $('script, style, nav, footer, header, aside, iframe, noscript, .advertisement, .ad, .sidebar, .menu, .navigation').remove();
 
     // Extraer enlaces internos relevantes (para seguir crawleando)
     const internalLinks = [];
@@ -880,171 +1470,278 @@ async function extractPageContent(url, timeout = 15000) {
       content: mainContent.substring(0, 8000), // Limitar contenido
       paragraphs: paragraphs.slice(0, 10),
       internalLinks: internalLinks.slice(0, 10),
-      contentLength: mainContent.length
+      contentLength: mainContent.length,
+      // Markdown con títulos desplazados 3 niveles para anidarlo bajo "### N. título" en consolidatedText
+      markdown: blocksToMarkdown(extracted.blocks, { baseUrl: url, headingOffset: 3 }),
+      cache: response.cacheInfo
     };
 
   } catch (error) {
     return {
       success: false,
       url,
-      error: error.name === 'AbortError' ? 'Timeout' : error.message
+      error: error.name === 'AbortError' ? 'Timeout' : error.message,
+      blocked: error instanceof UrlPolicyError ? error.reason : undefined
     };
   }
 }
 
 /**
- * Deep Search - Búsqueda profunda con crawling de múltiples páginas
- * POST /deep-search
- * Body: {
- *   query: string,           // Consulta de búsqueda
- *   maxResults?: number,     // Máximo resultados de búsqueda a visitar (default: 5)
- *   maxDepth?: number,       // Profundidad de crawling (0=solo resultados, 1=seguir 1 nivel de links)
- *   maxPagesPerSite?: number,// Máximo páginas por sitio (default: 3)
- *   language?: string        // Idioma de búsqueda (default: 'es')
- * }
+ * Helper: Ejecuta la búsqueda profunda
+ * @param {Object} options - { query, maxResults, maxDepth, maxPagesPerSite, language, cacheOptions }
+ * @param {Function} emit - emit(evento, datos) para reportar progreso (no-op si no hay streaming)
+ * @param {Function} isCancelled - () => boolean, detiene el crawling si el cliente se desconectó
+ * @returns {Promise<Object>} Resultado consolidado (mismo formato que la respuesta JSON)
  */
-app.post('/deep-search', async (req, res) => {
-  try {
-    const {
-      query,
-      maxResults = 5,
-      maxDepth = 1,
-      maxPagesPerSite = 3,
-      language = 'es'
-    } = req.body;
-
-    if (!query) {
-      return res.status(400).json({ error: 'query is required' });
+async function runDeepSearch(options, emit = () => {}, isCancelled = () => false) {
+  const {
+    query,
+    maxResults = 5,
+    maxDepth = 1,
+    maxPagesPerSite = 3,
+    language = 'es',
+    concurrency,
+    timeBudgetMs,
+    cacheOptions = {},
+    ignoreRobots = false
+  } = options;
+
+  logger.info(`[DeepSearch] Iniciando búsqueda profunda: "${query}"`);
+  logger.debug(`[DeepSearch] Config: maxResults=${maxResults}, maxDepth=${maxDepth}, maxPagesPerSite=${maxPagesPerSite}`);
+
+  const startTime = Date.now();
+
+  // 1. Realizar búsqueda en SearXNG
+  const searchParams = new URLSearchParams({
+    q: query,
+    format: 'json',
+    language: language,
+    safesearch: '1',
+    categories: 'general'
+  });
+
+  const searchResponse = await upstreamFetch('searxng', `${SEARXNG_URL}/search?${searchParams.toString()}`, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': 'SearXNG-Proxy/1.0'
     }
+  });
+
+  if (!searchResponse.ok) {
+    throw new Error(`Error en búsqueda SearXNG: ${searchResponse.status}`);
+  }
 
-    console.log(`[DeepSearch] Iniciando búsqueda profunda: "${query}"`);
-    console.log(`[DeepSearch] Config: maxResults=${maxResults}, maxDepth=${maxDepth}, maxPagesPerSite=${maxPagesPerSite}`);
+  const searchData = await searchResponse.json();
+  const searchResults = (searchData.results || []).slice(0, maxResults);
+
+  logger.info(`[DeepSearch] ${searchResults.length} resultados de búsqueda encontrados`);
+  emit('search-results', {
+    query,
+    results: searchResults.map(r => ({ url: r.url, title: r.title, snippet: r.content, engine: r.engine })),
+    suggestions: searchData.suggestions || []
+  });
+
+  // 2. Visitar resultados y enlaces internos en paralelo (con límites por host)
+  const allContent = [];
+  const errors = [];
+  const robotsSkipped = [];
+  const queryWords = query.toLowerCase().split(/\s+/).filter(word => word.length > 3);
+
+  const scheduler = new CrawlScheduler({
+    concurrency: Math.min(parseInt(concurrency, 10) || DEEP_SEARCH_CONCURRENCY, 10),
+    perHostConcurrency: DEEP_SEARCH_PER_HOST_CONCURRENCY,
+    perHostDelayMs: DEEP_SEARCH_PER_HOST_DELAY_MS,
+    maxPagesPerSite,
+    maxDepth: Math.min(maxDepth, DEEP_SEARCH_MAX_DEPTH),
+    maxPages: DEEP_SEARCH_MAX_PAGES,
+    timeBudgetMs: Math.min(parseInt(timeBudgetMs, 10) || DEEP_SEARCH_TIME_BUDGET_MS, DEEP_SEARCH_MAX_TIME_BUDGET_MS),
+    isCancelled,
+    // Respetar Crawl-delay de robots.txt (si ya se conoce para el host)
+    getHostDelayMs: host => (ignoreRobots ? null : robotsCache.getCachedCrawlDelay(host)),
+    worker: async (item) => {
+      if (item.depth === 0) {
+        logger.info(`[DeepSearch] Visitando: ${item.url}`);
+      } else {
+        logger.info(`[DeepSearch] Siguiendo enlace (nivel ${item.depth}): ${item.url}`);
+        emit('link-followed', { url: item.url, linkText: item.linkText, parentUrl: item.parentUrl, depth: item.depth });
+      }
 
-    const startTime = Date.now();
+      const pageContent = await extractPageContent(item.url, { cacheOptions, ignoreRobots });
 
-    // 1. Realizar búsqueda en SearXNG
-    const searchParams = new URLSearchParams({
-      q: query,
-      format: 'json',
-      language: language,
-      safesearch: '1',
-      categories: 'general'
-    });
+      // El presupuesto de tiempo venció mientras se descargaba
+      if (scheduler.finished) return [];
 
-    const searchResponse = await fetch(`${SEARXNG_URL}/search?${searchParams.toString()}`, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'SearXNG-Proxy/1.0'
+      if (pageContent.blockedByRobots) {
+        const skip = { url: item.url, reason: 'blockedByRobots', depth: item.depth };
+        robotsSkipped.push(skip);
+        deepSearchPagesTotal.inc({ outcome: 'blockedByRobots' });
+        emit('page-skipped', skip);
+        return [];
       }
-    });
 
-    if (!searchResponse.ok) {
-      throw new Error(`Error en búsqueda SearXNG: ${searchResponse.status}`);
-    }
+      if (!pageContent.success) {
+        const failure = {
+          url: item.url,
+          error: pageContent.error,
+          blocked: pageContent.blocked,
+          depth: item.depth
+        };
+        errors.push(failure);
+        deepSearchPagesTotal.inc({ outcome: 'failed' });
+        emit('page-failed', failure);
+        return [];
+      }
 
-    const searchData = await searchResponse.json();
-    const searchResults = (searchData.results || []).slice(0, maxResults);
+      const page = item.depth === 0
+        ? {
+          url: item.url,
+          title: pageContent.title || item.result.title,
+          snippet: item.result.content,
+          fullContent: pageContent.content,
+          paragraphs: pageContent.paragraphs,
+          source: item.result.engine,
+          depth: 0,
+          cached: !!pageContent.cache?.hit
+        }
+        : {
+          url: item.url,
+          title: pageContent.title,
+          linkText: item.linkText,
+          fullContent: pageContent.content,
+          paragraphs: pageContent.paragraphs,
+          parentUrl: item.parentUrl,
+          depth: item.depth,
+          cached: !!pageContent.cache?.hit
+        };
+      allContent.push({ order: item.order, page, markdown: pageContent.markdown });
+      deepSearchPagesTotal.inc({ outcome: 'fetched' });
+      emit('page-fetched', { page });
+
+      // 3. Seguir solo enlaces internos cuyo texto parezca relevante a la query
+      return (pageContent.internalLinks || [])
+        .filter(link => {
+          const linkTextLower = link.text.toLowerCase();
+          return queryWords.some(word => linkTextLower.includes(word));
+        })
+        .map(link => ({ url: link.url, linkText: link.text }));
+    }
+  });
 
-    console.log(`[DeepSearch] ${searchResults.length} resultados de búsqueda encontrados`);
+  for (const result of searchResults) {
+    scheduler.enqueue({ url: result.url, depth: 0, result });
+  }
 
-    // 2. Visitar cada resultado y extraer contenido
-    const visitedUrls = new Set();
-    const allContent = [];
-    const errors = [];
+  const crawl = await scheduler.run();
+  crawl.skipped.forEach(skip => deepSearchPagesTotal.inc({ outcome: skip.reason }));
 
-    for (const result of searchResults) {
-      if (visitedUrls.has(result.url)) continue;
-      visitedUrls.add(result.url);
+  if (crawl.timedOut) {
+    logger.warn(`[DeepSearch] Presupuesto de tiempo agotado, devolviendo resultados parciales`);
+  }
 
-      console.log(`[DeepSearch] Visitando: ${result.url}`);
+  // Orden estable: resultados de búsqueda primero, luego enlaces en orden de descubrimiento
+  const sorted = allContent.sort((a, b) => a.order - b.order);
+  const pages = sorted.map(entry => entry.page);
 
-      const pageContent = await extractPageContent(result.url);
+  const elapsedTime = Date.now() - startTime;
+  logger.info(`[DeepSearch] Completado: ${pages.length} páginas extraídas en ${elapsedTime}ms`);
 
-      if (pageContent.success) {
-        allContent.push({
-          url: result.url,
-          title: pageContent.title || result.title,
-          snippet: result.content,
-          fullContent: pageContent.content,
-          paragraphs: pageContent.paragraphs,
-          source: result.engine,
-          depth: 0
-        });
+  // 4. Consolidar información para el AI (Markdown, ~500 tokens por página)
+  let consolidatedText = `## Resultados de búsqueda profunda para: "${query}"\n\n`;
+  consolidatedText += `Fuentes consultadas: ${pages.length} páginas\n\n`;
 
-        // 3. Si maxDepth > 0, seguir enlaces internos relevantes
-        if (maxDepth > 0 && pageContent.internalLinks) {
-          const sitePagesVisited = 1;
-
-          for (const link of pageContent.internalLinks) {
-            if (sitePagesVisited >= maxPagesPerSite) break;
-            if (visitedUrls.has(link.url)) continue;
-
-            // Solo seguir si el texto del enlace parece relevante a la query
-            const queryWords = query.toLowerCase().split(/\s+/);
-            const linkTextLower = link.text.toLowerCase();
-            const isRelevant = queryWords.some(word =>
-              word.length > 3 && linkTextLower.includes(word)
-            );
-
-            if (isRelevant) {
-              visitedUrls.add(link.url);
-              console.log(`[DeepSearch] Siguiendo enlace: ${link.url}`);
-
-              const subPageContent = await extractPageContent(link.url);
-
-              if (subPageContent.success) {
-                allContent.push({
-                  url: link.url,
-                  title: subPageContent.title,
-                  linkText: link.text,
-                  fullContent: subPageContent.content,
-                  paragraphs: subPageContent.paragraphs,
-                  parentUrl: result.url,
-                  depth: 1
-                });
-              }
-            }
-          }
-        }
-      } else {
-        errors.push({
-          url: result.url,
-          error: pageContent.error
-        });
-      }
+  sorted.forEach(({ page, markdown }, index) => {
+    consolidatedText += `### ${index + 1}. ${page.title}\n`;
+    consolidatedText += `**URL:** ${page.url}\n`;
+    if (page.source) {
+      consolidatedText += `**Fuente:** ${page.source}\n`;
     }
+    consolidatedText += `\n${truncateToTokenBudget(markdown, 500).markdown}\n\n`;
+  });
+
+  return {
+    success: true,
+    query,
+    totalPagesVisited: pages.length + errors.length,
+    totalContentExtracted: pages.length,
+    elapsedTimeMs: elapsedTime,
+    partial: crawl.timedOut || crawl.cancelled,
+    pages,
+    consolidatedText: truncateToTokenBudget(consolidatedText, 7500).markdown, // Limitar para no exceder contexto
+    errors: errors.length > 0 ? errors : undefined,
+    skipped: robotsSkipped.length + crawl.skipped.length > 0 ? [...robotsSkipped, ...crawl.skipped].slice(0, 50) : undefined,
+    searchSuggestions: searchData.suggestions || []
+  };
+}
+
+/**
+ * Deep Search - Búsqueda profunda con crawling de múltiples páginas
+ * POST /deep-search
+ * Body: {
+ *   query: string,           // Consulta de búsqueda
+ *   maxResults?: number,     // Máximo resultados de búsqueda a visitar (default: 5, máx 20)
+ *   maxDepth?: number,       // Profundidad de crawling (0=solo resultados, N=seguir N niveles de links, máx 3)
+ *   maxPagesPerSite?: number,// Máximo páginas por sitio (default: 3, máx 50)
+ *   concurrency?: number,    // Páginas descargándose en paralelo (default: 4, máx 10)
+ *   timeBudgetMs?: number,   // Tiempo máximo; al vencer se devuelven resultados parciales (default: 60000)
+ *   language?: string,       // Idioma de búsqueda (default: 'es')
+ *   noCache?: boolean,       // Ignorar páginas cacheadas (default: false)
+ *   purge?: boolean,         // Eliminar del cache las páginas visitadas antes de descargarlas
+ *   stream?: boolean|string, // true/'sse' = Server-Sent Events, 'ndjson' = JSON por línea
+ *   ignoreRobots?: boolean   // Ignorar robots.txt (requiere header X-Robots-Override-Key)
+ * }
+ *
+ * En modo streaming se emiten los eventos: search-results, page-fetched, page-failed,
+ * page-skipped (robots.txt), link-followed, complete (resultado final con consolidatedText) y error.
+ * También se activa con el header Accept: text/event-stream o application/x-ndjson.
+ */
+app.post('/deep-search', requireScope('search'), rateLimit('deep-search'), async (req, res) => {
+  const { query } = req.body;
 
-    const elapsedTime = Date.now() - startTime;
-    console.log(`[DeepSearch] Completado: ${allContent.length} páginas extraídas en ${elapsedTime}ms`);
+  if (!query) {
+    return res.status(400).json({ error: 'query is required' });
+  }
 
-    // 4. Consolidar información para el AI
-    let consolidatedText = `## Resultados de búsqueda profunda para: "${query}"\n\n`;
-    consolidatedText += `Fuentes consultadas: ${allContent.length} páginas\n\n`;
+  let ignoreRobots;
+  try {
+    ignoreRobots = getRobotsOverride(req);
+  } catch (error) {
+    return sendRobotsError(res, error);
+  }
 
-    allContent.forEach((page, index) => {
-      consolidatedText += `### ${index + 1}. ${page.title}\n`;
-      consolidatedText += `**URL:** ${page.url}\n`;
-      if (page.source) {
-        consolidatedText += `**Fuente:** ${page.source}\n`;
-      }
-      consolidatedText += `\n${page.fullContent.substring(0, 2000)}${page.fullContent.length > 2000 ? '...' : ''}\n\n`;
-    });
+  const limits = {
+    maxResults: parseIntegerOption(req.body.maxResults, { defaultValue: 5, min: 1, max: DEEP_SEARCH_MAX_RESULTS }),
+    maxDepth: parseIntegerOption(req.body.maxDepth, { defaultValue: 1, min: 0, max: DEEP_SEARCH_MAX_DEPTH }),
+    maxPagesPerSite: parseIntegerOption(req.body.maxPagesPerSite, { defaultValue: 3, min: 1, max: DEEP_SEARCH_MAX_PAGES })
+  };
+  const invalid = Object.keys(limits).find(key => limits[key] === null);
+  if (invalid) {
+    return res.status(400).json({ error: `${invalid} must be an integer`, message: `Valor inválido para ${invalid}: ${JSON.stringify(req.body[invalid])}` });
+  }
 
-    res.json({
-      success: true,
-      query,
-      totalPagesVisited: visitedUrls.size,
-      totalContentExtracted: allContent.length,
-      elapsedTimeMs: elapsedTime,
-      pages: allContent,
-      consolidatedText: consolidatedText.substring(0, 30000), // Limitar para no exceder contexto
-      errors: errors.length > 0 ? errors : undefined,
-      searchSuggestions: searchData.suggestions || []
-    });
+  const options = { ...req.body, ...limits, cacheOptions: getCacheOptions(req), ignoreRobots };
+  const streamFormat = getStreamFormat(req);
+
+  if (streamFormat) {
+    const stream = openEventStream(res, streamFormat);
+    stream.onClose(() => logger.info('[DeepSearch] Cliente desconectado, deteniendo crawling'));
+
+    try {
+      const result = await runDeepSearch(options, stream.send, () => stream.closed);
+      stream.send('complete', result);
+    } catch (error) {
+      logger.error('[DeepSearch] Error', { error: error.message });
+      stream.send('error', { error: 'Error en búsqueda profunda', message: error.message });
+    }
+    stream.close();
+    return;
+  }
 
+  try {
+    const result = await runDeepSearch(options);
+    res.json(result);
   } catch (error) {
-    console.error('[DeepSearch] Error:', error.message);
+    logger.error('[DeepSearch] Error', { error: error.message });
     res.status(500).json({
       error: 'Error en búsqueda profunda',
       message: error.message
@@ -1055,10 +1752,49 @@ app.post('/deep-search', async (req, res) => {
 // ===== Open WebUI RAG Integration =====
 
 /**
- * Helper: Obtiene el API Key (de variable de entorno o del request)
+ * Helper: Obtiene el API Key de Open WebUI
+ * La clave del servidor solo se usa para clientes autenticados; los anónimos
+ * (AUTH_ENABLED=false) deben enviar su propia apiKey
+ */
+function getApiKey(req, reqApiKey) {
+  if (req.client && !req.client.anonymous) {
+    return OPENWEBUI_API_KEY || reqApiKey;
+  }
+  return reqApiKey;
+}
+
+/**
+ * Helper: Status y cuerpo de error de las rutas RAG (respuesta síncrona o campo error de un trabajo)
+ * Los fallos de Open WebUI responden 502 (o 504 por timeout) con el status de origen
  */
-function getApiKey(reqApiKey) {
-  return OPENWEBUI_API_KEY || reqApiKey;
+function describeRagError(error, title, extra = {}) {
+  if (error instanceof OpenWebUIError) {
+    return {
+      statusCode: error.statusCode,
+      body: { ...extra, error: title, message: error.message, upstreamStatus: error.status, operation: error.operation }
+    };
+  }
+  if (error instanceof UrlPolicyError) {
+    return {
+      statusCode: 403,
+      body: { ...extra, error: 'URL blocked', message: error.message, reason: error.reason, url: error.url }
+    };
+  }
+  if (error instanceof IngestError) {
+    return { statusCode: error.statusCode, body: { ...extra, ...error.details, error: error.message } };
+  }
+  if (error instanceof UploadError) {
+    return { statusCode: error.statusCode, body: { ...extra, error: error.message } };
+  }
+  if (error instanceof JobQueueFullError) {
+    return { statusCode: error.statusCode, body: { ...extra, error: 'Ingest queue full', message: error.message } };
+  }
+  return { statusCode: 500, body: { ...extra, error: title, message: error.message } };
+}
+
+function sendRagError(res, error, title, extra = {}) {
+  const { statusCode, body } = describeRagError(error, title, extra);
+  return res.status(statusCode).json(body);
 }
 
 /**
@@ -1080,7 +1816,7 @@ async function extractTextFromFile(buffer, filename, mimeType) {
       };
     } catch (error) {
       // Si pdf-parse no está disponible, devolver buffer para subir a Open WebUI
-      console.log('[Extract] pdf-parse no disponible, se subirá directamente a Open WebUI');
+      logger.info('[Extract] pdf-parse no disponible, se subirá directamente a Open WebUI');
       return {
         success: true,
         text: null,
@@ -1194,287 +1930,789 @@ async function extractTextFromFile(buffer, filename, mimeType) {
 }
 
 /**
- * Endpoint para subir archivos y extraer texto
- * POST /upload-file
- * Body: {
- *   file: string (base64),
- *   filename: string,
- *   mimeType?: string,
- *   uploadToRag?: boolean,
- *   knowledgeId?: string
- * }
- *
- * Soporta: PDF, DOCX, XLSX, XLS, CSV, TXT, MD, JSON, XML
+ * Helper: Modo de deduplicación de la petición (skip | replace | off)
+ */
+function parseDedupeMode(value) {
+  if (value === undefined || value === null || value === '') return DEDUPE_DEFAULT_MODE;
+  if (value === false || value === 'false') return 'off';
+  const mode = String(value).toLowerCase();
+  if (!DEDUPE_MODES.includes(mode)) {
+    throw new IngestError(`Invalid dedupe mode "${value}" (${DEDUPE_MODES.join(', ')})`, { statusCode: 400 });
+  }
+  return mode;
+}
+
+/**
+ * Helper: Indica si un archivo del índice sigue existiendo (y es accesible) en Open WebUI
+ * 403 y 404 cuentan como inexistente: el documento se vuelve a subir
  */
-app.post('/upload-file', async (req, res) => {
+async function fileStillExists(client, fileId) {
   try {
-    const { file, filename, mimeType, uploadToRag, knowledgeId } = req.body;
-    const apiKey = getApiKey(req.body.apiKey);
-    const kbId = knowledgeId || OPENWEBUI_KNOWLEDGE_ID;
+    await client.getFile(fileId);
+    return true;
+  } catch (error) {
+    if (error instanceof OpenWebUIError && (error.status === 403 || error.status === 404)) return false;
+    throw error;
+  }
+}
 
-    if (!file) {
-      return res.status(400).json({ error: 'file (base64) is required' });
-    }
+/**
+ * Helper: Reemplaza un archivo del índice por su versión nueva, ya subida.
+ * La nueva se agrega a todas las KB del anterior y solo entonces se quita el anterior de cada una;
+ * el anterior se borra de Open WebUI únicamente si quedó fuera de todas.
+ * @returns {Promise<string[]>} Knowledge Bases donde quedó la versión nueva
+ */
+async function retireReplacedFile(client, entry, fileId, linkedIds) {
+  const knowledgeIds = [...linkedIds];
 
-    if (!filename) {
-      return res.status(400).json({ error: 'filename is required' });
+  for (const kbId of entry.knowledgeIds) {
+    try {
+      if (!knowledgeIds.includes(kbId)) {
+        await client.addFileToKnowledge(kbId, fileId);
+        knowledgeIds.push(kbId);
+      }
+      await client.removeFileFromKnowledge(kbId, entry.fileId);
+      dedupeIndex.removeKnowledge(entry.fileId, kbId);
+      localRetriever.invalidateFile(entry.fileId);
+    } catch (error) {
+      logger.warn(`[Dedupe] No se pudo reemplazar el archivo anterior en la KB: ${error.message}`, { fileId: entry.fileId, knowledgeId: kbId });
     }
+  }
 
-    console.log(`[Upload] Procesando archivo: ${filename}`);
-
-    // Decodificar base64
-    const buffer = Buffer.from(file, 'base64');
-    console.log(`[Upload] Tamaño: ${buffer.length} bytes`);
+  if (dedupeIndex.get(entry.fileId)?.knowledgeIds.length > 0) {
+    logger.warn('[Dedupe] El archivo anterior se conserva: sigue en alguna Knowledge Base', { fileId: entry.fileId });
+  } else {
+    await client.deleteFile(entry.fileId).catch(error => {
+      logger.warn(`[Dedupe] No se pudo borrar el archivo anterior: ${error.message}`, { fileId: entry.fileId });
+    });
+    dedupeIndex.remove(entry.fileId);
+  }
+  return knowledgeIds;
+}
 
-    // Extraer texto del archivo
-    const extraction = await extractTextFromFile(buffer, filename, mimeType);
+/**
+ * Helper: uploadToKnowledge con deduplicación por hash del documento y del texto extraído
+ * El índice se consulta por API Key: solo se reutilizan archivos subidos con la misma
+ * - skip: si ya existe se devuelve el archivo anterior (agregándolo a la KB si no estaba)
+ * - replace: se sube la versión nueva, se agrega a las KB del anterior y luego se retira el anterior
+ * - off: se sube siempre
+ * @returns {Promise<{ file: Object, knowledgeBase: Object|null, dedupe: Object }>}
+ */
+async function uploadToKnowledgeDeduped(client, buffer, { filename, contentType, knowledgeId, onStage, contentHash, textHash = null, mode }) {
+  const dedupe = { mode, action: 'uploaded', deduplicated: false, contentHash, textHash };
+  const owner = ownerKey(client.apiKey);
+
+  let replaced = null;
+  const match = mode === 'off' ? null : dedupeIndex.find({ owner, contentHash, textHash });
+  if (match && !(await fileStillExists(client, match.entry.fileId))) {
+    // El archivo fue borrado en Open WebUI: la entrada ya no sirve
+    logger.info('[Dedupe] Entrada obsoleta, el archivo ya no existe en Open WebUI', { fileId: match.entry.fileId });
+    dedupeIndex.remove(match.entry.fileId);
+  } else if (match) {
+    const { entry, matchedBy } = match;
+    Object.assign(dedupe, { deduplicated: true, matchedBy, existingFileId: entry.fileId });
+
+    if (mode === 'skip') {
+      const file = { id: entry.fileId, filename: entry.filename };
+      if (!knowledgeId || entry.knowledgeIds.includes(knowledgeId)) {
+        dedupe.action = 'skipped';
+        dedupeTotal.inc({ action: 'skipped' });
+        logger.info(`[Dedupe] Documento ya subido (por ${matchedBy}), se omite`, { fileId: entry.fileId, filename });
+        return { file, knowledgeBase: null, dedupe };
+      }
 
-    if (!extraction.success) {
-      return res.status(400).json({
-        success: false,
-        error: extraction.error,
-        filename: filename
-      });
+      // Ya está en Open WebUI pero no en esta KB: se agrega sin volver a subirlo
+      const knowledgeBase = await client.addFileToKnowledge(knowledgeId, entry.fileId);
+      dedupeIndex.addKnowledge(entry.fileId, knowledgeId);
+      onStage('added-to-kb', { knowledgeId });
+      dedupe.action = 'linked';
+      dedupeTotal.inc({ action: 'linked' });
+      logger.info('[Dedupe] Documento existente agregado a la Knowledge Base', { fileId: entry.fileId, knowledgeId });
+      return { file, knowledgeBase, dedupe };
     }
 
-    // Si es PDF y necesita subirse a Open WebUI para procesamiento
-    if (extraction.uploadToOpenWebUI && uploadToRag && apiKey) {
-      console.log(`[Upload] Subiendo PDF a Open WebUI para procesamiento...`);
+    // replace: el anterior se retira después de subir la versión nueva
+    replaced = entry;
+  }
 
-      // Usar el flujo existente de upload a Open WebUI
-      const uploadResult = await new Promise((resolve, reject) => {
-        const formData = new FormData();
-        formData.append('file', buffer, {
-          filename: filename,
-          contentType: 'application/pdf',
-          knownLength: buffer.length
-        });
+  const { file, knowledgeBase } = await client.uploadToKnowledge(buffer, { filename, contentType, knowledgeId, onStage });
+  let knowledgeIds = knowledgeId && knowledgeBase ? [knowledgeId] : [];
 
-        const uploadUrl = new URL(`${OPENWEBUI_URL}/api/v1/files/`);
-        const options = {
-          protocol: uploadUrl.protocol,
-          host: uploadUrl.hostname,
-          port: uploadUrl.port || (uploadUrl.protocol === 'https:' ? 443 : 80),
-          path: uploadUrl.pathname,
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            ...formData.getHeaders()
-          }
-        };
+  if (replaced) {
+    knowledgeIds = await retireReplacedFile(client, replaced, file.id, knowledgeIds);
+    dedupe.action = 'replaced';
+    dedupeTotal.inc({ action: 'replaced' });
+    logger.info('[Dedupe] Versión nueva subida, archivo anterior retirado', { fileId: file.id, previousFileId: replaced.fileId, knowledgeIds });
+  }
 
-        const httpModule = uploadUrl.protocol === 'https:' ? require('https') : require('http');
-
-        const req = httpModule.request(options, (response) => {
-          let data = '';
-          response.on('data', chunk => data += chunk);
-          response.on('end', () => {
-            if (response.statusCode >= 200 && response.statusCode < 300) {
-              try {
-                resolve(JSON.parse(data));
-              } catch (e) {
-                reject(new Error(`Error parseando respuesta: ${data}`));
-              }
-            } else {
-              reject(new Error(`Error subiendo: ${response.statusCode} - ${data}`));
-            }
-          });
-        });
+  dedupeIndex.record({
+    fileId: file.id,
+    owner,
+    filename,
+    contentHash,
+    textHash,
+    knowledgeIds
+  });
+  return { file, knowledgeBase, dedupe };
+}
 
-        req.on('error', (error) => {
-          reject(new Error(`Error de conexión: ${error.message}`));
-        });
+/**
+ * Helper: Extrae el texto de un archivo subido y, si se pide, lo sube a la Knowledge Base
+ * setState informa el avance cuando corre como trabajo en segundo plano
+ * signal (opcional) cancela antes de empezar la subida; una subida ya iniciada termina
+ * @returns {Promise<Object>} cuerpo de la respuesta de /upload-file
+ */
+async function ingestUploadedFile({ buffer, filename, mimeType, uploadToRag, apiKey, kbId, dedupeMode = DEDUPE_DEFAULT_MODE, signal }, setState = () => {}) {
+  logger.debug(`[Upload] Tamaño: ${buffer.length} bytes`);
+  const contentHash = hashContent(buffer);
 
-        formData.pipe(req);
-      });
+  // Extraer texto del archivo
+  setState('extracting');
+  const extraction = await extractTextFromFile(buffer, filename, mimeType);
 
-      // Esperar a que el archivo sea procesado antes de agregar a KB
-      console.log(`[Upload] Esperando procesamiento del archivo...`);
-      const isProcessed = await waitForFileProcessing(uploadResult.id, apiKey);
+  if (!extraction.success) {
+    throw new IngestError(extraction.error, { statusCode: 400, details: { success: false, filename } });
+  }
 
-      if (!isProcessed) {
-        console.warn(`[Upload] El archivo puede no estar completamente procesado`);
-      }
+  // Si es PDF y necesita subirse a Open WebUI para procesamiento
+  if (extraction.uploadToOpenWebUI && uploadToRag && apiKey) {
+    signal?.throwIfAborted();
+    logger.info(`[Upload] Subiendo PDF a Open WebUI para procesamiento...`);
+
+    const { file: uploaded, knowledgeBase, dedupe } = await uploadToKnowledgeDeduped(openWebUI.withApiKey(apiKey), buffer, {
+      filename,
+      contentType: 'application/pdf',
+      knowledgeId: kbId,
+      onStage: setState,
+      contentHash,
+      mode: dedupeMode
+    });
 
-      // Agregar a Knowledge Base si se especificó
-      let knowledgeResult = null;
-      if (kbId) {
-        const addToKbResponse = await fetch(`${OPENWEBUI_URL}/api/v1/knowledge/${kbId}/file/add`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ file_id: uploadResult.id })
-        });
+    return {
+      success: true,
+      filename: filename,
+      type: extraction.type,
+      text: null,
+      message: dedupe.action === 'skipped' ? 'PDF ya existente en Open WebUI (deduplicado)' : 'PDF subido a Open WebUI para procesamiento',
+      uploadedToRag: true,
+      fileId: uploaded.id,
+      knowledgeBase,
+      dedupe
+    };
+  }
 
-        if (addToKbResponse.ok) {
-          knowledgeResult = await addToKbResponse.json();
-        } else {
-          const kbError = await addToKbResponse.text();
-          console.warn(`[Upload] No se pudo agregar a KB: ${kbError}`);
-        }
-      }
+  // Subir a RAG si se solicita y hay texto extraído
+  let ragResult = null;
+  if (uploadToRag && apiKey && extraction.text) {
+    signal?.throwIfAborted();
+    logger.info(`[Upload] Subiendo texto extraído a RAG...`);
+
+    // Crear archivo de texto con el contenido extraído
+    const textBuffer = Buffer.from(extraction.text, 'utf-8');
+    const textFilename = filename.replace(/\.[^.]+$/, '.txt');
+
+    const { file: uploaded, knowledgeBase, dedupe } = await uploadToKnowledgeDeduped(openWebUI.withApiKey(apiKey), textBuffer, {
+      filename: textFilename,
+      contentType: 'text/plain',
+      knowledgeId: kbId,
+      onStage: setState,
+      contentHash,
+      textHash: hashText(extraction.text),
+      mode: dedupeMode
+    });
 
-      return res.json({
-        success: true,
-        filename: filename,
-        type: extraction.type,
-        text: null,
-        message: 'PDF subido a Open WebUI para procesamiento',
-        uploadedToRag: true,
-        fileId: uploadResult.id,
-        knowledgeBase: knowledgeResult
-      });
+    ragResult = { fileId: uploaded.id, filename: textFilename, dedupe };
+    if (knowledgeBase) {
+      ragResult.knowledgeBase = knowledgeBase;
     }
+  }
 
-    // Subir a RAG si se solicita y hay texto extraído
-    let ragResult = null;
-    if (uploadToRag && apiKey && extraction.text) {
-      console.log(`[Upload] Subiendo texto extraído a RAG...`);
+  logger.info(`[Upload] Procesamiento exitoso: ${extraction.type}, ${extraction.text?.length || 0} caracteres`);
 
-      // Crear archivo de texto con el contenido extraído
-      const textBuffer = Buffer.from(extraction.text, 'utf-8');
-      const textFilename = filename.replace(/\.[^.]+$/, '.txt');
+  return {
+    success: true,
+    filename: filename,
+    type: extraction.type,
+    text: extraction.text,
+    textLength: extraction.text?.length || 0,
+    sheets: extraction.sheets || null,
+    sheetNames: extraction.sheetNames || null,
+    uploadedToRag: !!ragResult,
+    ragResult: ragResult
+  };
+}
 
-      const uploadResult = await new Promise((resolve, reject) => {
-        const formData = new FormData();
-        formData.append('file', textBuffer, {
-          filename: textFilename,
-          contentType: 'text/plain',
-          knownLength: textBuffer.length
-        });
+// Accept por tipo de documento para las descargas
+const DOCUMENT_ACCEPT = {
+  pdf: 'application/pdf,*/*',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,*/*',
+  xls: 'application/vnd.ms-excel,*/*',
+  csv: 'text/csv,*/*'
+};
 
-        const uploadUrl = new URL(`${OPENWEBUI_URL}/api/v1/files/`);
-        const options = {
-          protocol: uploadUrl.protocol,
-          host: uploadUrl.hostname,
-          port: uploadUrl.port || (uploadUrl.protocol === 'https:' ? 443 : 80),
-          path: uploadUrl.pathname,
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            ...formData.getHeaders()
-          }
-        };
+/**
+ * Helper: Lee el cuerpo de una respuesta de a trozos y corta la descarga al superar maxBytes
+ * (sin Content-Length, arrayBuffer() cargaría en memoria cualquier tamaño)
+ */
+async function readBodyLimited(response, maxBytes = UPLOAD_MAX_FILE_BYTES) {
+  const chunks = [];
+  let received = 0;
+  if (!response.body) return Buffer.alloc(0);
+
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.length;
+    if (received > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw new IngestError(`El archivo supera el límite de ${maxBytes} bytes`, { statusCode: 413 });
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, received);
+}
 
-        const httpModule = uploadUrl.protocol === 'https:' ? require('https') : require('http');
-
-        const req = httpModule.request(options, (response) => {
-          let data = '';
-          response.on('data', chunk => data += chunk);
-          response.on('end', () => {
-            if (response.statusCode >= 200 && response.statusCode < 300) {
-              try {
-                resolve(JSON.parse(data));
-              } catch (e) {
-                reject(new Error(`Error parseando respuesta: ${data}`));
-              }
-            } else {
-              reject(new Error(`Error subiendo: ${response.statusCode} - ${data}`));
-            }
-          });
-        });
+/**
+ * Helper: Descarga un documento, resolviendo páginas HTML intermedias de descarga
+ * @param {string} docUrl
+ * @param {Object} [options]
+ * @param {string} [options.type='pdf'] - pdf | xlsx | xls | csv
+ * @param {string} [options.filename] - Nombre a usar (si no, Content-Disposition o la URL)
+ * @param {string} [options.etag] - Descarga condicional (If-None-Match)
+ * @param {string} [options.lastModified] - Descarga condicional (If-Modified-Since)
+ * @param {AbortSignal} [options.signal] - Cancela la descarga
+ * @returns {Promise<{ buffer: Buffer, filename: string, contentType: string, etag: string|null, lastModified: string|null }
+ *   | { notModified: true }>}
+ */
+async function downloadDocument(docUrl, { type = 'pdf', filename, etag, lastModified, signal } = {}) {
+  const label = type.toUpperCase();
+  const headers = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    'Accept': DOCUMENT_ACCEPT[type] || '*/*'
+  };
 
-        req.on('error', (error) => {
-          reject(new Error(`Error de conexión: ${error.message}`));
-        });
+  // 1. Descargar el documento (siguiendo redirecciones, validando cada salto)
+  let response = await safeFetch(docUrl, {
+    headers: {
+      ...headers,
+      ...(etag ? { 'If-None-Match': etag } : {}),
+      ...(lastModified ? { 'If-Modified-Since': lastModified } : {})
+    },
+    signal
+  });
+
+  if (response.status === 304) {
+    return { notModified: true };
+  }
 
-        formData.pipe(req);
-      });
+  if (!response.ok) {
+    throw new Error(`Error descargando ${label}: ${response.status}`);
+  }
 
-      ragResult = { fileId: uploadResult.id, filename: textFilename };
+  // Verificar el Content-Type
+  let contentType = response.headers.get('content-type') || '';
+  logger.debug(`[RAG] Content-Type recibido: ${contentType}`);
 
-      // Esperar a que el archivo sea procesado antes de agregar a KB
-      console.log(`[Upload] Esperando procesamiento del texto extraído...`);
-      const isProcessed = await waitForFileProcessing(uploadResult.id, apiKey);
+  // Si es HTML, puede ser una página de descarga - intentar extraer el link real
+  if (contentType.includes('text/html')) {
+    const htmlContent = (await readBodyLimited(response)).toString('utf-8');
 
-      if (!isProcessed) {
-        console.warn(`[Upload] El archivo de texto puede no estar completamente procesado`);
-      }
+    // Buscar meta refresh o link directo al documento
+    const metaRefreshMatch = htmlContent.match(new RegExp(`url=([^"'\\s>]+\\.${type}[^"'\\s>]*)`, 'i'));
+    const directLinkMatch = htmlContent.match(new RegExp(`href=["']([^"']+\\.${type}[^"']*)["']`, 'i'));
 
-      // Agregar a Knowledge Base si se especificó
-      if (kbId) {
-        const addToKbResponse = await fetch(`${OPENWEBUI_URL}/api/v1/knowledge/${kbId}/file/add`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ file_id: uploadResult.id })
-        });
+    let realUrl = null;
+    if (metaRefreshMatch) {
+      realUrl = metaRefreshMatch[1];
+    } else if (directLinkMatch) {
+      realUrl = directLinkMatch[1];
+    }
 
-        if (addToKbResponse.ok) {
-          ragResult.knowledgeBase = await addToKbResponse.json();
-        } else {
-          const kbError = await addToKbResponse.text();
-          console.warn(`[Upload] No se pudo agregar texto a KB: ${kbError}`);
-        }
+    if (realUrl) {
+      // Construir URL completa si es relativa (respecto a la URL final tras redirecciones)
+      realUrl = new URL(realUrl, response.url || docUrl).href;
+
+      // El enlace extraído del HTML pasa por la misma política que la URL original
+      logger.info(`[RAG] Redirigiendo a ${label} real: ${realUrl}`);
+      response = await safeFetch(realUrl, { headers, signal });
+
+      if (!response.ok) {
+        throw new Error(`Error descargando ${label} real: ${response.status}`);
       }
+      contentType = response.headers.get('content-type') || '';
+    } else {
+      throw new Error(`El enlace no apunta a un ${label} válido. Recibido: HTML sin link a ${label}`);
     }
+  }
 
-    console.log(`[Upload] Procesamiento exitoso: ${extraction.type}, ${extraction.text?.length || 0} caracteres`);
+  if (parseInt(response.headers.get('content-length'), 10) > UPLOAD_MAX_FILE_BYTES) {
+    await response.body?.cancel().catch(() => {});
+    throw new IngestError(`El archivo supera el límite de ${UPLOAD_MAX_FILE_BYTES} bytes`, { statusCode: 413 });
+  }
 
-    res.json({
-      success: true,
-      filename: filename,
-      type: extraction.type,
-      text: extraction.text,
-      textLength: extraction.text?.length || 0,
-      sheets: extraction.sheets || null,
-      sheetNames: extraction.sheetNames || null,
-      uploadedToRag: !!ragResult,
-      ragResult: ragResult
-    });
+  const buffer = await readBodyLimited(response);
 
-  } catch (error) {
-    console.error('[Upload] Error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Error procesando archivo',
-      message: error.message
-    });
+  // Verificar que sea un PDF válido (los PDFs empiezan con %PDF)
+  if (type === 'pdf') {
+    const pdfHeader = buffer.slice(0, 5).toString();
+    if (!pdfHeader.startsWith('%PDF')) {
+      logger.warn(`[RAG] Advertencia: El archivo no parece ser un PDF válido. Header: ${pdfHeader}`);
+    }
   }
-});
+
+  // Obtener nombre del archivo
+  let documentFilename = filename;
+  if (!documentFilename) {
+    // Intentar obtener de Content-Disposition
+    const contentDisposition = response.headers.get('content-disposition');
+    if (contentDisposition) {
+      const filenameMatch = contentDisposition.match(/filename[*]?=["']?(?:UTF-8'')?([^"';\n]+)/i);
+      if (filenameMatch) {
+        documentFilename = decodeURIComponent(filenameMatch[1]);
+      }
+    }
+  }
+  if (!documentFilename) {
+    documentFilename = decodeURIComponent(docUrl.split('/').pop().split('?')[0]) || `document.${type}`;
+  }
+  // Asegurar la extensión del tipo
+  if (!documentFilename.toLowerCase().endsWith(`.${type}`)) {
+    documentFilename += `.${type}`;
+  }
+
+  return {
+    buffer,
+    filename: documentFilename,
+    contentType,
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified')
+  };
+}
 
 /**
- * Helper: Espera a que el archivo esté procesado
+ * Helper: Descarga un PDF y lo sube a la Knowledge Base
+ * @returns {Promise<Object>} cuerpo de la respuesta de /upload-to-rag
  */
-async function waitForFileProcessing(fileId, apiKey, maxAttempts = 30) {
-  for (let i = 0; i < maxAttempts; i++) {
-    const statusResponse = await fetch(`${OPENWEBUI_URL}/api/v1/files/${fileId}`, {
-      headers: { 'Authorization': `Bearer ${apiKey}` }
-    });
+async function ingestPdfFromUrl({ pdfUrl, filename, apiKey, kbId, dedupeMode = DEDUPE_DEFAULT_MODE }, setState = () => {}) {
+  logger.info(`[RAG] Descargando PDF: ${pdfUrl}`);
+  setState('downloading');
+
+  const { buffer: pdfBuffer, filename: pdfFilename } = await downloadDocument(pdfUrl, { type: 'pdf', filename });
+
+  logger.info(`[RAG] PDF descargado: ${pdfFilename} (${pdfBuffer.length} bytes)`);
+
+  // 2. Subir a Open WebUI, esperar el procesamiento y agregar a la Knowledge Base
+  logger.info(`[RAG] Subiendo a Open WebUI: ${OPENWEBUI_URL} (${pdfBuffer.length} bytes)`);
+  const { file: uploadResult, knowledgeBase: knowledgeResult, dedupe } = await uploadToKnowledgeDeduped(openWebUI.withApiKey(apiKey), pdfBuffer, {
+    filename: pdfFilename,
+    contentType: 'application/pdf',
+    knowledgeId: kbId,
+    onStage: setState,
+    contentHash: hashContent(pdfBuffer),
+    mode: dedupeMode
+  });
+
+  let message = kbId ? 'PDF subido a Knowledge Base' : 'PDF subido a Open WebUI';
+  if (dedupe.action === 'skipped') message = 'PDF ya existente, no se volvió a subir (deduplicado)';
+  if (dedupe.action === 'linked') message = 'PDF ya existente en Open WebUI, agregado a la Knowledge Base (deduplicado)';
+
+  return {
+    success: true,
+    message,
+    file: uploadResult,
+    knowledgeBase: knowledgeResult,
+    originalUrl: pdfUrl,
+    dedupe
+  };
+}
+
+// Configuración de /ingest-links
+const INGEST_LINKS_MAX_PAGES = 10;
+const INGEST_LINKS_MAX_FILES = 50;
+const INGEST_LINKS_CONCURRENCY = parseInt(process.env.INGEST_LINKS_CONCURRENCY, 10) || 3;
+const INGEST_LINKS_TIME_BUDGET_MS = parseInt(process.env.INGEST_LINKS_TIME_BUDGET_MS, 10) || 10 * 60 * 1000;
+
+/**
+ * Helper: Descarga las páginas indicadas y reúne sus enlaces de descarga sin duplicados
+ * @returns {Promise<{ pages: Array<{ url, linksFound, error? }>, links: Array<{ text, url, type, pageUrl }> }>}
+ */
+async function discoverDownloadLinks(pageUrls, { ignoreRobots = false } = {}) {
+  const pages = [];
+  const links = [];
+  const seen = new Set();
 
-    if (statusResponse.ok) {
-      const fileData = await statusResponse.json();
-      // Verificar si el archivo tiene contenido procesado
-      if (fileData.data && fileData.data.content) {
-        console.log(`[RAG] Archivo procesado correctamente`);
-        return true;
+  for (const pageUrl of pageUrls) {
+    try {
+      await assertUrlAllowed(pageUrl);
+      if (!ignoreRobots) {
+        await robotsCache.assertAllowed(pageUrl);
+      }
+
+      const response = await responseCache.fetchPage(pageUrl, {
+        method: 'GET',
+        headers: {
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'User-Agent': BOT_USER_AGENT,
+          'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8'
+        }
+      }, { fetchImpl: safeFetch, ttlMs: CACHE_TTL_FETCH_MS });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const found = extractDownloadLinks(cheerio.load(await response.text()), pageUrl);
+      for (const link of found) {
+        if (seen.has(link.url)) continue;
+        seen.add(link.url);
+        links.push({ ...link, pageUrl });
       }
+
+      logger.info(`[IngestLinks] ${found.length} enlaces de descarga en ${pageUrl}`);
+      pages.push({ url: pageUrl, linksFound: found.length });
+    } catch (error) {
+      logger.warn(`[IngestLinks] No se pudo leer la página ${pageUrl}: ${error.message}`);
+      pages.push({ url: pageUrl, linksFound: 0, error: error.message });
     }
+  }
 
-    console.log(`[RAG] Esperando procesamiento... (${i + 1}/${maxAttempts})`);
-    await new Promise(resolve => setTimeout(resolve, 2000)); // Esperar 2 segundos
+  return { pages, links };
+}
+
+/**
+ * Helper: Descubre los documentos de las páginas, los descarga en paralelo y los
+ * agrega a la Knowledge Base (PDF directo o texto extraído de Excel/CSV)
+ * @returns {Promise<Object>} reporte por archivo: uploaded | skipped | failed
+ */
+async function ingestDownloadLinks({ urls, types, maxFiles, apiKey, kbId, ignoreRobots, dedupeMode }, setState = () => {}) {
+  setState('downloading', { pages: urls.length });
+  const { pages, links } = await discoverDownloadLinks(urls, { ignoreRobots });
+
+  // Una entrada del reporte por enlace, en el orden en que aparecen en las páginas
+  const files = links.map(link => ({ url: link.url, type: link.type, text: link.text, pageUrl: link.pageUrl, status: 'pending' }));
+  const selected = [];
+  for (const entry of files) {
+    if (!types.includes(entry.type)) {
+      Object.assign(entry, { status: 'skipped', reason: 'type' });
+    } else if (selected.length >= maxFiles) {
+      Object.assign(entry, { status: 'skipped', reason: 'max-files' });
+    } else {
+      selected.push(entry);
+    }
   }
 
-  return false;
+  setState('processing', { total: selected.length });
+  let completed = 0;
+
+  // Al vencer el presupuesto de tiempo se cancelan las descargas en curso; las subidas ya
+  // iniciadas terminan y el reporte se arma cuando todos los workers terminaron
+  const deadline = new AbortController();
+  const inFlight = new Set();
+
+  async function processLink(entry) {
+    try {
+      deadline.signal.throwIfAborted();
+      if (!ignoreRobots) {
+        await robotsCache.assertAllowed(entry.url);
+      }
+
+      const document = await downloadDocument(entry.url, { type: entry.type, signal: deadline.signal });
+      logger.info(`[IngestLinks] Descargado: ${document.filename} (${document.buffer.length} bytes)`);
+
+      const result = await ingestUploadedFile({
+        buffer: document.buffer,
+        filename: document.filename,
+        mimeType: document.contentType,
+        uploadToRag: true,
+        apiKey,
+        kbId,
+        dedupeMode,
+        signal: deadline.signal
+      });
+
+      const dedupe = result.dedupe || result.ragResult?.dedupe || null;
+      let status = 'uploaded';
+      let reason;
+      if (!result.uploadedToRag) {
+        status = 'skipped';
+        reason = 'no-text';
+      } else if (dedupe && dedupe.action === 'skipped') {
+        status = 'skipped';
+        reason = 'duplicate';
+      }
+
+      Object.assign(entry, {
+        status,
+        ...(reason ? { reason } : {}),
+        filename: document.filename,
+        size: document.buffer.length,
+        fileId: result.fileId || result.ragResult?.fileId || null,
+        textLength: result.textLength || null,
+        dedupe
+      });
+    } catch (error) {
+      if (deadline.signal.aborted && error.name === 'AbortError') {
+        // Cancelado por el presupuesto de tiempo antes de subir nada
+        Object.assign(entry, { status: 'skipped', reason: 'time-budget' });
+      } else if (error instanceof RobotsBlockedError) {
+        Object.assign(entry, { status: 'skipped', reason: 'robots' });
+      } else {
+        logger.warn(`[IngestLinks] Error con ${entry.url}: ${error.message}`);
+        const { statusCode, body } = describeRagError(error, 'Error procesando documento');
+        Object.assign(entry, { status: 'failed', error: body.message || body.error, statusCode });
+      }
+    }
+
+    completed++;
+    setState('processing', { completed, total: selected.length });
+    return [];
+  }
+
+  const scheduler = new CrawlScheduler({
+    concurrency: INGEST_LINKS_CONCURRENCY,
+    perHostConcurrency: DEEP_SEARCH_PER_HOST_CONCURRENCY,
+    perHostDelayMs: DEEP_SEARCH_PER_HOST_DELAY_MS,
+    maxPagesPerSite: maxFiles,
+    maxDepth: 0,
+    maxPages: maxFiles,
+    timeBudgetMs: INGEST_LINKS_TIME_BUDGET_MS,
+    // Respetar Crawl-delay de robots.txt (si ya se conoce para el host)
+    getHostDelayMs: host => (ignoreRobots ? null : robotsCache.getCachedCrawlDelay(host)),
+    worker: ({ entry }) => {
+      const task = processLink(entry).finally(() => inFlight.delete(task));
+      inFlight.add(task);
+      return task;
+    }
+  });
+
+  selected.forEach(entry => scheduler.enqueue({ url: entry.url, entry }));
+  const { timedOut } = await scheduler.run();
+
+  if (inFlight.size > 0) {
+    deadline.abort();
+    logger.info(`[IngestLinks] Presupuesto de tiempo agotado, esperando ${inFlight.size} documentos en curso`);
+    await Promise.allSettled([...inFlight]);
+  }
+
+  // Lo que no llegó a procesarse antes del presupuesto de tiempo
+  for (const entry of selected) {
+    if (entry.status === 'pending') {
+      Object.assign(entry, { status: 'skipped', reason: 'time-budget' });
+    }
+  }
+
+  const summary = {
+    found: files.length,
+    uploaded: files.filter(f => f.status === 'uploaded').length,
+    skipped: files.filter(f => f.status === 'skipped').length,
+    failed: files.filter(f => f.status === 'failed').length
+  };
+  logger.info(`[IngestLinks] Terminado: ${summary.uploaded} subidos, ${summary.skipped} omitidos, ${summary.failed} fallidos`);
+
+  return {
+    success: summary.failed === 0,
+    knowledgeId: kbId || null,
+    timedOut,
+    summary,
+    pages,
+    files
+  };
 }
 
+/**
+ * Helper: Valida el callbackUrl de un trabajo contra la política de URLs salientes
+ * @returns {Promise<string|null>}
+ */
+async function resolveCallbackUrl(callbackUrl) {
+  if (!callbackUrl) return null;
+  await assertUrlAllowed(callbackUrl);
+  return callbackUrl;
+}
+
+/**
+ * Helper: Encola una ingesta y responde 202 con el jobId
+ */
+function sendJobAccepted(res, job) {
+  const statusUrl = `/jobs/${job.id}`;
+  res.set('Location', statusUrl);
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl
+  });
+}
+
+/**
+ * Helper: Interpreta una opción booleana que puede llegar como string (multipart / query)
+ */
+function parseBooleanOption(value) {
+  if (typeof value === 'string') return ['true', '1', 'yes'].includes(value.toLowerCase());
+  return Boolean(value);
+}
+
+/**
+ * Helper: Interpreta una opción entera (número o string numérico) y la acota a [min, max]
+ * @returns {number|null} El valor acotado, defaultValue si no se envió, o null si no es un entero válido
+ */
+function parseIntegerOption(value, { defaultValue, min, max }) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const parsed = typeof value === 'number' ? value : (/^\s*-?\d+\s*$/.test(String(value)) ? parseInt(value, 10) : NaN);
+  if (!Number.isInteger(parsed)) return null;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+/**
+ * Helper: Archivos y opciones de /upload-file según el Content-Type
+ * - multipart/form-data: archivos en streaming a temporales, opciones en los campos
+ * - JSON / urlencoded: un archivo en base64 (formato original)
+ * - cualquier otro: cuerpo binario crudo, opciones en la query string
+ * @returns {Promise<{ options: Object, files: Array<{ filename, mimeType, buffer?, path?, size }> }>}
+ */
+async function receiveUploadFiles(req) {
+  if (req.is('multipart/form-data')) {
+    const { fields, files } = await parseMultipartUpload(req);
+    return { options: fields, files };
+  }
+
+  if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+    const { file, filename, mimeType } = req.body;
+    if (!file) {
+      throw new UploadError('file (base64) is required');
+    }
+    if (!filename) {
+      throw new UploadError('filename is required');
+    }
+    // Decodificar base64
+    const buffer = Buffer.from(file, 'base64');
+    return { options: req.body, files: [{ filename, mimeType, buffer, size: buffer.length }] };
+  }
+
+  const file = await receiveRawUpload(req);
+  return { options: req.query, files: [file] };
+}
+
+/**
+ * Helper: Procesa los archivos recibidos uno por uno (solo uno en memoria a la vez)
+ * Con un archivo devuelve la respuesta de siempre; con varios, { success, files: [...] }
+ * donde cada elemento es el resultado o el error de ese archivo
+ */
+async function ingestUploads(files, { mimeType, uploadToRag, apiKey, kbId, dedupeMode }, setState = () => {}) {
+  const ingest = async (file, onState) => {
+    const buffer = file.buffer || await fs.promises.readFile(file.path);
+    return ingestUploadedFile({
+      buffer,
+      filename: file.filename,
+      mimeType: mimeType || file.mimeType,
+      uploadToRag,
+      apiKey,
+      kbId,
+      dedupeMode
+    }, onState);
+  };
+
+  if (files.length === 1) {
+    return ingest(files[0], setState);
+  }
+
+  const results = [];
+  for (const file of files) {
+    logger.info(`[Upload] Procesando archivo: ${file.filename}`);
+    try {
+      results.push(await ingest(file, (state, details) => setState(state, { ...details, filename: file.filename })));
+    } catch (error) {
+      logger.warn(`[Upload] Error en ${file.filename}: ${error.message}`);
+      results.push(describeRagError(error, 'Error procesando archivo', { success: false, filename: file.filename }).body);
+    }
+  }
+
+  return {
+    success: results.some(result => result.success),
+    files: results
+  };
+}
+
+/**
+ * Endpoint para subir archivos y extraer texto
+ * POST /upload-file
+ *
+ * JSON: {
+ *   file: string (base64),
+ *   filename: string,
+ *   mimeType?: string,
+ *   uploadToRag?: boolean,
+ *   knowledgeId?: string,
+ *   dedupe?: string,       // skip (por defecto) | replace | off
+ *   async?: boolean,       // true = responde 202 con jobId y procesa en segundo plano
+ *   callbackUrl?: string   // webhook a notificar al terminar (solo con async)
+ * }
+ * multipart/form-data: uno o varios archivos + las mismas opciones como campos
+ * Binario crudo: el archivo como cuerpo, ?filename=... y las opciones en la query string
+ *
+ * Soporta: PDF, DOCX, XLSX, XLS, CSV, TXT, MD, JSON, XML
+ */
+app.post('/upload-file', requireScope('rag-write'), rateLimit('rag-write'), async (req, res) => {
+  let files = [];
+  // Los temporales pasan a ser del trabajo cuando la ingesta corre en segundo plano
+  let ownsFiles = true;
+
+  try {
+    const received = await receiveUploadFiles(req);
+    files = received.files;
+    const { mimeType, knowledgeId, callbackUrl } = received.options;
+    const uploadToRag = parseBooleanOption(received.options.uploadToRag);
+    const apiKey = getApiKey(req, received.options.apiKey);
+    const kbId = knowledgeId || OPENWEBUI_KNOWLEDGE_ID;
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'file is required' });
+    }
+
+    logger.info(`[Upload] Procesando ${files.length === 1 ? `archivo: ${files[0].filename}` : `${files.length} archivos`}`);
+
+    const options = { mimeType, uploadToRag, apiKey, kbId, dedupeMode: parseDedupeMode(received.options.dedupe) };
+
+    if (parseBooleanOption(received.options.async)) {
+      const job = ingestJobs.submit({
+        type: 'upload-file',
+        owner: req.client.name,
+        callbackUrl: await resolveCallbackUrl(callbackUrl),
+        input: {
+          files: files.map(file => ({ filename: file.filename, size: file.size })),
+          uploadToRag,
+          knowledgeId: kbId || null
+        }
+      }, setState => ingestUploads(files, options, setState).finally(() => cleanupUploads(files.filter(file => file.path))));
+      ownsFiles = false;
+      return sendJobAccepted(res, job);
+    }
+
+    res.json(await ingestUploads(files, options));
+
+  } catch (error) {
+    logger.error('[Upload] Error', { error: error.message });
+    sendRagError(res, error, 'Error procesando archivo', { success: false });
+  } finally {
+    if (ownsFiles) {
+      await cleanupUploads(files.filter(file => file.path));
+    }
+  }
+});
+
 /**
  * Descarga un PDF y lo sube a Open WebUI Knowledge Base
  * POST /upload-to-rag
- * Body: { pdfUrl: string, filename?: string, knowledgeId?: string }
+ * Body: { pdfUrl: string, filename?: string, knowledgeId?: string, dedupe?: 'skip'|'replace'|'off', async?: boolean, callbackUrl?: string }
  *
  * Usa variables de entorno:
  * - OPENWEBUI_API_KEY: API Key de Open WebUI
  * - OPENWEBUI_KNOWLEDGE_ID: ID de la Knowledge Base
  */
-app.post('/upload-to-rag', async (req, res) => {
+app.post('/upload-to-rag', requireScope('rag-write'), rateLimit('rag-write'), async (req, res) => {
   try {
-    const { pdfUrl, filename, knowledgeId } = req.body;
-    const apiKey = getApiKey(req.body.apiKey);
+    const { pdfUrl, filename, knowledgeId, callbackUrl } = req.body;
+    const apiKey = getApiKey(req, req.body.apiKey);
     const kbId = knowledgeId || OPENWEBUI_KNOWLEDGE_ID;
 
     if (!pdfUrl) {
@@ -1488,202 +2726,556 @@ app.post('/upload-to-rag', async (req, res) => {
       });
     }
 
-    console.log(`[RAG] Descargando PDF: ${pdfUrl}`);
+    const input = { pdfUrl, filename, apiKey, kbId, dedupeMode: parseDedupeMode(req.body.dedupe) };
+
+    if (parseBooleanOption(req.body.async)) {
+      // La URL se valida antes de aceptar el trabajo para rechazar con 403 de inmediato
+      await assertUrlAllowed(pdfUrl);
+      const job = ingestJobs.submit({
+        type: 'upload-to-rag',
+        owner: req.client.name,
+        callbackUrl: await resolveCallbackUrl(callbackUrl),
+        input: { pdfUrl, filename: filename || null, knowledgeId: kbId || null }
+      }, setState => ingestPdfFromUrl(input, setState));
+      return sendJobAccepted(res, job);
+    }
 
-    // 1. Descargar el PDF (siguiendo redirecciones)
-    let pdfResponse = await fetch(pdfUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/pdf,*/*'
-      },
-      redirect: 'follow'
-    });
+    res.json(await ingestPdfFromUrl(input));
+
+  } catch (error) {
+    logger.error('[RAG] Error', { error: error.message });
+    sendRagError(res, error, 'Error subiendo PDF a RAG');
+  }
+});
+
+/**
+ * Descarga todos los documentos enlazados en una o varias páginas y los agrega a la Knowledge Base
+ * POST /ingest-links
+ * Body: {
+ *   url?: string, urls?: string[],       // páginas a revisar (máx 10)
+ *   types?: string[],                    // pdf | xlsx | xls | csv (por defecto todos)
+ *   maxFiles?: number,                   // documentos máximos (por defecto 20, máx 50)
+ *   knowledgeId?: string,
+ *   dedupe?: string,                     // skip (por defecto) | replace | off
+ *   async?: boolean, callbackUrl?: string
+ * }
+ * Respuesta: reporte por archivo con status uploaded | skipped (reason) | failed (error)
+ */
+app.post('/ingest-links', requireScope('rag-write'), rateLimit('rag-write'), async (req, res) => {
+  try {
+    const { url, urls, knowledgeId, callbackUrl } = req.body;
+    const apiKey = getApiKey(req, req.body.apiKey);
+    const kbId = knowledgeId || OPENWEBUI_KNOWLEDGE_ID;
 
-    if (!pdfResponse.ok) {
-      throw new Error(`Error descargando PDF: ${pdfResponse.status}`);
+    const pageUrls = [...new Set([...(url ? [url] : []), ...(Array.isArray(urls) ? urls : [])])];
+    if (pageUrls.length === 0) {
+      return res.status(400).json({ error: 'url or urls is required' });
+    }
+    if (pageUrls.length > INGEST_LINKS_MAX_PAGES) {
+      return res.status(400).json({ error: `Too many pages (max ${INGEST_LINKS_MAX_PAGES})` });
     }
 
-    // Verificar el Content-Type
-    const contentType = pdfResponse.headers.get('content-type') || '';
-    console.log(`[RAG] Content-Type recibido: ${contentType}`);
+    const types = req.body.types ? [].concat(req.body.types).map(t => String(t).toLowerCase()) : DOWNLOAD_TYPES;
+    const invalidTypes = types.filter(t => !DOWNLOAD_TYPES.includes(t));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({ error: `Unsupported types: ${invalidTypes.join(', ')}`, supportedTypes: DOWNLOAD_TYPES });
+    }
 
-    // Si es HTML, puede ser una página de descarga - intentar extraer el link real
-    if (contentType.includes('text/html')) {
-      const htmlContent = await pdfResponse.text();
+    if (!apiKey) {
+      return res.status(400).json({
+        error: 'API Key not configured',
+        hint: 'Set OPENWEBUI_API_KEY environment variable or pass apiKey in request body'
+      });
+    }
 
-      // Buscar meta refresh o link directo al PDF
-      const metaRefreshMatch = htmlContent.match(/url=([^"'\s>]+\.pdf[^"'\s>]*)/i);
-      const directLinkMatch = htmlContent.match(/href=["']([^"']+\.pdf[^"']*)["']/i);
+    // Las URLs se validan antes de empezar para rechazar con 403 de inmediato
+    for (const pageUrl of pageUrls) {
+      await assertUrlAllowed(pageUrl);
+    }
 
-      let realPdfUrl = null;
-      if (metaRefreshMatch) {
-        realPdfUrl = metaRefreshMatch[1];
-      } else if (directLinkMatch) {
-        realPdfUrl = directLinkMatch[1];
-      }
+    const input = {
+      urls: pageUrls,
+      types,
+      maxFiles: Math.min(Math.max(parseInt(req.body.maxFiles, 10) || 20, 1), INGEST_LINKS_MAX_FILES),
+      apiKey,
+      kbId,
+      ignoreRobots: getRobotsOverride(req),
+      dedupeMode: parseDedupeMode(req.body.dedupe)
+    };
 
-      if (realPdfUrl) {
-        // Construir URL completa si es relativa
-        if (!realPdfUrl.startsWith('http')) {
-          const baseUrl = new URL(pdfUrl);
-          realPdfUrl = new URL(realPdfUrl, baseUrl.origin).href;
-        }
+    logger.info(`[IngestLinks] Revisando ${pageUrls.length} página(s), tipos: ${types.join(', ')}`);
 
-        console.log(`[RAG] Redirigiendo a PDF real: ${realPdfUrl}`);
-        pdfResponse = await fetch(realPdfUrl, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Accept': 'application/pdf,*/*'
-          },
-          redirect: 'follow'
-        });
+    if (parseBooleanOption(req.body.async)) {
+      const job = ingestJobs.submit({
+        type: 'ingest-links',
+        owner: req.client.name,
+        callbackUrl: await resolveCallbackUrl(callbackUrl),
+        input: { urls: pageUrls, types, maxFiles: input.maxFiles, knowledgeId: kbId || null }
+      }, setState => ingestDownloadLinks(input, setState));
+      return sendJobAccepted(res, job);
+    }
 
-        if (!pdfResponse.ok) {
-          throw new Error(`Error descargando PDF real: ${pdfResponse.status}`);
-        }
-      } else {
-        throw new Error('El enlace no apunta a un PDF válido. Recibido: HTML sin link a PDF');
-      }
+    res.json(await ingestDownloadLinks(input));
+
+  } catch (error) {
+    logger.error('[IngestLinks] Error', { error: error.message });
+    if (error instanceof RobotsOverrideError) {
+      return sendRobotsError(res, error);
     }
+    sendRagError(res, error, 'Error procesando enlaces de descarga');
+  }
+});
 
-    const pdfBuffer = Buffer.from(await pdfResponse.arrayBuffer());
+/**
+ * Estado de un trabajo de ingesta
+ * GET /jobs/:id
+ * Solo el cliente que creó el trabajo puede consultarlo
+ */
+app.get('/jobs/:id', requireScope('rag-write'), rateLimit('rag-read'), (req, res) => {
+  const job = ingestJobs.get(req.params.id, req.client.name);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: `No job ${req.params.id} (jobs expire ${Math.round(ingestJobs.ttlMs / 60000)} min after finishing)` });
+  }
+  res.json(ingestJobs.toJSON(job));
+});
 
-    // Verificar que sea un PDF válido (los PDFs empiezan con %PDF)
-    const pdfHeader = pdfBuffer.slice(0, 5).toString();
-    if (!pdfHeader.startsWith('%PDF')) {
-      console.warn(`[RAG] Advertencia: El archivo no parece ser un PDF válido. Header: ${pdfHeader}`);
-    }
-
-    // Obtener nombre del archivo
-    let pdfFilename = filename;
-    if (!pdfFilename) {
-      // Intentar obtener de Content-Disposition
-      const contentDisposition = pdfResponse.headers.get('content-disposition');
-      if (contentDisposition) {
-        const filenameMatch = contentDisposition.match(/filename[*]?=["']?(?:UTF-8'')?([^"';\n]+)/i);
-        if (filenameMatch) {
-          pdfFilename = decodeURIComponent(filenameMatch[1]);
-        }
-      }
+// ============================================
+// FUENTES VIGILADAS (re-ingesta periódica)
+// ============================================
+
+const WATCH_MAX_FILES = 20;
+
+/**
+ * Helper: Quita de la KB la versión anterior de un documento vigilado.
+ * El archivo solo se borra de Open WebUI si el índice de deduplicación lo conoce y ya no
+ * figura en ninguna Knowledge Base; sin entrada (índice en memoria, reiniciado o de otra
+ * API Key) no se sabe quién más lo usa y solo se quita de la KB de la fuente.
+ */
+async function removeSupersededFile(client, knowledgeId, fileId) {
+  try {
+    await client.removeFileFromKnowledge(knowledgeId, fileId);
+    dedupeIndex.removeKnowledge(fileId, knowledgeId);
+    localRetriever.invalidateFile(fileId);
+
+    const entry = dedupeIndex.get(fileId);
+    if (entry && entry.knowledgeIds.length === 0) {
+      await client.deleteFile(fileId);
+      dedupeIndex.remove(fileId);
     }
-    if (!pdfFilename) {
-      pdfFilename = decodeURIComponent(pdfUrl.split('/').pop().split('?')[0]) || 'document.pdf';
+    logger.info('[Watch] Versión anterior retirada de la Knowledge Base', { fileId, knowledgeId });
+  } catch (error) {
+    logger.warn(`[Watch] No se pudo retirar la versión anterior: ${error.message}`, { fileId, knowledgeId });
+  }
+}
+
+/**
+ * Helper: Revisa un documento de una fuente vigilada y lo re-ingesta si cambió
+ * (ETag / Last-Modified primero, luego hash del contenido)
+ * @returns {Promise<'added'|'updated'|'unchanged'>}
+ */
+async function refreshWatchedDocument(watch, { url, type }, client) {
+  const previous = watch.documents[url] || null;
+  const checkedAt = new Date().toISOString();
+
+  await robotsCache.assertAllowed(url);
+  const document = await downloadDocument(url, {
+    type,
+    etag: previous?.etag,
+    lastModified: previous?.lastModified
+  });
+
+  if (document.notModified) {
+    Object.assign(previous, { checkedAt, lastError: null });
+    return 'unchanged';
+  }
+
+  const contentHash = hashContent(document.buffer);
+  if (previous && previous.contentHash === contentHash) {
+    Object.assign(previous, { etag: document.etag, lastModified: document.lastModified, checkedAt, lastError: null });
+    return 'unchanged';
+  }
+
+  logger.info(`[Watch] ${previous ? 'Documento modificado' : 'Documento nuevo'}: ${document.filename}`, { watchId: watch.id, url });
+  const result = await ingestUploadedFile({
+    buffer: document.buffer,
+    filename: document.filename,
+    mimeType: document.contentType,
+    uploadToRag: true,
+    apiKey: OPENWEBUI_API_KEY,
+    kbId: watch.knowledgeId,
+    dedupeMode: 'skip'
+  });
+
+  const fileId = result.fileId || result.ragResult?.fileId;
+  if (!result.uploadedToRag || !fileId) {
+    throw new Error('El documento no tiene texto para ingerir');
+  }
+
+  // La versión anterior se retira después de subir la nueva para no dejar huecos en la KB
+  if (previous && previous.fileId && previous.fileId !== fileId) {
+    await removeSupersededFile(client, watch.knowledgeId, previous.fileId);
+  }
+
+  watch.documents[url] = {
+    type,
+    filename: document.filename,
+    etag: document.etag,
+    lastModified: document.lastModified,
+    contentHash,
+    fileId,
+    checkedAt,
+    updatedAt: checkedAt,
+    lastError: null
+  };
+  return previous ? 'updated' : 'added';
+}
+
+/**
+ * Ejecución de una fuente vigilada (la llama el planificador de lib/source-watcher.js)
+ * Los documentos se revisan de a uno para no cargar la fuente
+ */
+async function runWatch(watch) {
+  if (!OPENWEBUI_API_KEY) {
+    throw new Error('OPENWEBUI_API_KEY no configurada');
+  }
+  const client = openWebUI.withApiKey(OPENWEBUI_API_KEY);
+
+  let targets;
+  if (watch.kind === 'document') {
+    targets = [{ url: watch.url, type: watch.type }];
+  } else {
+    const { pages, links } = await discoverDownloadLinks([watch.url]);
+    if (pages[0].error) {
+      throw new Error(pages[0].error);
     }
-    // Asegurar extensión .pdf
-    if (!pdfFilename.toLowerCase().endsWith('.pdf')) {
-      pdfFilename += '.pdf';
+    const types = watch.types || DOWNLOAD_TYPES;
+    targets = links.filter(link => types.includes(link.type)).slice(0, watch.maxFiles || WATCH_MAX_FILES);
+  }
+
+  const summary = { checked: 0, added: 0, updated: 0, unchanged: 0, failed: 0 };
+  const errors = [];
+
+  for (const target of targets) {
+    summary.checked++;
+    try {
+      summary[await refreshWatchedDocument(watch, target, client)]++;
+    } catch (error) {
+      summary.failed++;
+      errors.push(`${target.url}: ${error.message}`);
+      logger.warn(`[Watch] Error con ${target.url}: ${error.message}`, { watchId: watch.id });
+      if (watch.documents[target.url]) {
+        watch.documents[target.url].lastError = error.message;
+      }
     }
+  }
 
-    console.log(`[RAG] PDF descargado: ${pdfFilename} (${pdfBuffer.length} bytes)`);
+  let status = 'ok';
+  if (summary.failed > 0) {
+    status = summary.failed === summary.checked ? 'failed' : 'partial';
+  }
 
-    // 2. Subir a Open WebUI Files API usando form-data submit (más confiable que fetch)
-    console.log(`[RAG] Subiendo a Open WebUI: ${OPENWEBUI_URL} (${pdfBuffer.length} bytes)`);
+  return { status, summary, error: errors.length > 0 ? errors.slice(0, 5).join('; ') : null };
+}
 
-    const uploadResult = await new Promise((resolve, reject) => {
-      const formData = new FormData();
-      formData.append('file', pdfBuffer, {
-        filename: pdfFilename,
-        contentType: 'application/pdf',
-        knownLength: pdfBuffer.length
-      });
+/**
+ * Helper: Valida los tipos de documento de una fuente de tipo página
+ */
+function parseWatchTypes(value) {
+  if (value === undefined || value === null) return null;
+  const types = [].concat(value).map(t => String(t).toLowerCase());
+  const invalid = types.filter(t => !DOWNLOAD_TYPES.includes(t));
+  if (invalid.length > 0) {
+    throw new WatchError(`Unsupported types: ${invalid.join(', ')} (${DOWNLOAD_TYPES.join(', ')})`);
+  }
+  return types;
+}
 
-      const uploadUrl = new URL(`${OPENWEBUI_URL}/api/v1/files/`);
-      const options = {
-        protocol: uploadUrl.protocol,
-        host: uploadUrl.hostname,
-        port: uploadUrl.port || (uploadUrl.protocol === 'https:' ? 443 : 80),
-        path: uploadUrl.pathname,
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          ...formData.getHeaders()
-        }
-      };
+/**
+ * Helper: Respuesta de error de las rutas /watches
+ */
+function sendWatchError(res, error) {
+  if (error instanceof WatchError) {
+    return res.status(error.statusCode).json({ error: 'Invalid watch', message: error.message });
+  }
+  if (error instanceof UrlPolicyError) {
+    return sendUrlBlocked(res, error);
+  }
+  logger.error('[Watch] Error', { error: error.message });
+  res.status(500).json({ error: 'Error gestionando fuentes vigiladas', message: error.message });
+}
 
-      const httpModule = uploadUrl.protocol === 'https:' ? require('https') : require('http');
-
-      const req = httpModule.request(options, (response) => {
-        let data = '';
-        response.on('data', chunk => data += chunk);
-        response.on('end', () => {
-          if (response.statusCode >= 200 && response.statusCode < 300) {
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              reject(new Error(`Error parseando respuesta: ${data}`));
-            }
-          } else {
-            reject(new Error(`Error subiendo a Open WebUI: ${response.statusCode} - ${data}`));
-          }
-        });
-      });
+/**
+ * Lista las fuentes vigiladas del cliente
+ * GET /watches
+ */
+app.get('/watches', requireScope('rag-read'), rateLimit('rag-read'), (req, res) => {
+  const watches = sourceWatcher.list(req.client.name).map(watch => sourceWatcher.toJSON(watch));
+  res.json({ success: true, count: watches.length, scheduler: sourceWatcher.stats(), watches });
+});
+
+/**
+ * Registra una fuente vigilada
+ * POST /watches
+ * Body: {
+ *   url: string,                 // página con enlaces de descarga o documento directo
+ *   kind?: 'page' | 'document',  // por defecto según la extensión de la URL
+ *   type?: string,               // tipo del documento (kind=document): pdf | xlsx | xls | csv
+ *   types?: string[],            // tipos a ingerir de la página (kind=page)
+ *   maxFiles?: number,           // documentos máximos por corrida (kind=page, máx 50)
+ *   knowledgeId?: string,        // por defecto OPENWEBUI_KNOWLEDGE_ID
+ *   interval?: string,           // 30m, 6h, 1d, 1w, hourly, daily (por defecto), weekly, monthly
+ *   name?: string,
+ *   enabled?: boolean,
+ *   runNow?: boolean             // ejecutar en cuanto se registra
+ * }
+ * Las fuentes usan OPENWEBUI_API_KEY: las corridas no tienen una petición de la que tomar la clave
+ */
+app.post('/watches', requireScope('rag-write'), rateLimit('rag-write'), async (req, res) => {
+  try {
+    const { url, name, enabled, runNow } = req.body;
+    const knowledgeId = req.body.knowledgeId || OPENWEBUI_KNOWLEDGE_ID;
 
-      req.on('error', (error) => {
-        reject(new Error(`Error de conexión: ${error.message}`));
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+    if (!knowledgeId) {
+      return res.status(400).json({ error: 'knowledgeId is required (or set OPENWEBUI_KNOWLEDGE_ID)' });
+    }
+    if (!OPENWEBUI_API_KEY) {
+      return res.status(400).json({
+        error: 'API Key not configured',
+        hint: 'Watched sources run without a request: set OPENWEBUI_API_KEY'
       });
+    }
 
-      formData.pipe(req);
-    });
-    console.log(`[RAG] Archivo subido con ID:`, uploadResult.id);
+    await assertUrlAllowed(url);
 
-    // 4. Esperar a que el archivo sea procesado
-    console.log(`[RAG] Esperando procesamiento del archivo...`);
-    const isProcessed = await waitForFileProcessing(uploadResult.id, apiKey);
+    const extension = new URL(url).pathname.toLowerCase().split('.').pop();
+    const kind = req.body.kind || (DOWNLOAD_TYPES.includes(extension) ? 'document' : 'page');
+    if (!['page', 'document'].includes(kind)) {
+      throw new WatchError('kind must be "page" or "document"');
+    }
 
-    if (!isProcessed) {
-      console.warn(`[RAG] El archivo puede no estar completamente procesado`);
+    const type = kind === 'document' ? String(req.body.type || (DOWNLOAD_TYPES.includes(extension) ? extension : 'pdf')).toLowerCase() : null;
+    if (type && !DOWNLOAD_TYPES.includes(type)) {
+      throw new WatchError(`Unsupported type: ${type} (${DOWNLOAD_TYPES.join(', ')})`);
     }
 
-    // 5. Agregar a Knowledge Base si se especificó
-    let knowledgeResult = null;
-    if (kbId) {
-      console.log(`[RAG] Agregando a Knowledge Base: ${kbId}`);
+    const watch = sourceWatcher.create({
+      url,
+      kind,
+      type,
+      types: kind === 'page' ? parseWatchTypes(req.body.types) : null,
+      maxFiles: kind === 'page' && req.body.maxFiles ? Math.min(Math.max(parseInt(req.body.maxFiles, 10) || WATCH_MAX_FILES, 1), INGEST_LINKS_MAX_FILES) : null,
+      knowledgeId,
+      interval: req.body.interval || 'daily',
+      name,
+      enabled: enabled === undefined ? true : parseBooleanOption(enabled),
+      owner: req.client.name
+    });
 
-      const addToKbResponse = await fetch(`${OPENWEBUI_URL}/api/v1/knowledge/${kbId}/file/add`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ file_id: uploadResult.id })
-      });
+    if (parseBooleanOption(runNow)) {
+      sourceWatcher.trigger(watch);
+    }
 
-      if (addToKbResponse.ok) {
-        knowledgeResult = await addToKbResponse.json();
-        console.log(`[RAG] Archivo agregado a Knowledge Base`);
-      } else {
-        const kbError = await addToKbResponse.text();
-        console.warn(`[RAG] No se pudo agregar a KB: ${kbError}`);
-      }
+    res.status(201).json({ success: true, watch: sourceWatcher.toJSON(watch) });
+  } catch (error) {
+    sendWatchError(res, error);
+  }
+});
+
+/**
+ * Detalle y estado de la última corrida de una fuente
+ * GET /watches/:id
+ */
+app.get('/watches/:id', requireScope('rag-read'), rateLimit('rag-read'), (req, res) => {
+  const watch = sourceWatcher.get(req.params.id, req.client.name);
+  if (!watch) {
+    return res.status(404).json({ error: 'Watch not found', message: `No watch ${req.params.id}` });
+  }
+  res.json({ success: true, watch: sourceWatcher.toJSON(watch) });
+});
+
+/**
+ * Modifica una fuente (name, knowledgeId, interval, types, maxFiles, enabled)
+ * PATCH /watches/:id
+ */
+app.patch('/watches/:id', requireScope('rag-write'), rateLimit('rag-write'), (req, res) => {
+  try {
+    const watch = sourceWatcher.get(req.params.id, req.client.name);
+    if (!watch) {
+      return res.status(404).json({ error: 'Watch not found', message: `No watch ${req.params.id}` });
     }
 
-    res.json({
-      success: true,
-      message: kbId ? 'PDF subido a Knowledge Base' : 'PDF subido a Open WebUI',
-      file: uploadResult,
-      knowledgeBase: knowledgeResult,
-      originalUrl: pdfUrl
+    const { name, knowledgeId, interval, enabled } = req.body;
+    sourceWatcher.update(watch, {
+      name,
+      knowledgeId,
+      interval,
+      enabled: enabled === undefined ? undefined : parseBooleanOption(enabled),
+      types: watch.kind === 'page' ? parseWatchTypes(req.body.types) || undefined : undefined,
+      maxFiles: watch.kind === 'page' && req.body.maxFiles ? Math.min(Math.max(parseInt(req.body.maxFiles, 10) || WATCH_MAX_FILES, 1), INGEST_LINKS_MAX_FILES) : undefined
     });
 
+    res.json({ success: true, watch: sourceWatcher.toJSON(watch) });
   } catch (error) {
-    console.error('[RAG] Error:', error.message);
-    res.status(500).json({
-      error: 'Error subiendo PDF a RAG',
-      message: error.message
-    });
+    sendWatchError(res, error);
+  }
+});
+
+/**
+ * Elimina una fuente (los archivos ya ingeridos se mantienen en la Knowledge Base)
+ * DELETE /watches/:id
+ */
+app.delete('/watches/:id', requireScope('rag-write'), rateLimit('rag-write'), (req, res) => {
+  const watch = sourceWatcher.get(req.params.id, req.client.name);
+  if (!watch) {
+    return res.status(404).json({ error: 'Watch not found', message: `No watch ${req.params.id}` });
   }
+  sourceWatcher.remove(watch);
+  res.json({ success: true, deleted: watch.id });
 });
 
+/**
+ * Ejecuta una fuente ahora, sin esperar a su próxima corrida
+ * POST /watches/:id/run
+ */
+app.post('/watches/:id/run', requireScope('rag-write'), rateLimit('rag-write'), (req, res) => {
+  const watch = sourceWatcher.get(req.params.id, req.client.name);
+  if (!watch) {
+    return res.status(404).json({ error: 'Watch not found', message: `No watch ${req.params.id}` });
+  }
+  const queued = sourceWatcher.trigger(watch);
+  res.status(202).json({
+    success: true,
+    queued,
+    message: queued ? 'Watch queued for execution' : 'Watch is already queued or running',
+    statusUrl: `/watches/${watch.id}`
+  });
+});
+
+/**
+ * Helper: Reenvía la respuesta en streaming de Open WebUI como chunks formato OpenAI (chat.completion.chunk)
+ * El último chunk no trae choices: lleva usage, sources y citations; en SSE se cierra con [DONE].
+ * Si el cliente se desconecta se aborta la petición a Open WebUI.
+ * Los errores antes de empezar el stream se lanzan (el llamador responde JSON).
+ */
+async function streamRagAnswer(res, client, requestBody, { format, retrieval, extra }) {
+  const controller = new AbortController();
+  const abortUpstream = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on('close', abortUpstream);
+
+  let upstream;
+  try {
+    upstream = await client.chatCompletion(
+      { ...requestBody, stream: true, stream_options: { include_usage: true } },
+      { signal: controller.signal, raw: true }
+    );
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info('[RAG] Cliente desconectado antes de la respuesta de Open WebUI');
+      return;
+    }
+    res.off('close', abortUpstream);
+    throw error;
+  }
+
+  const stream = openEventStream(res, format);
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  let model = requestBody.model || null;
+  let content = '';
+  let usage = null;
+  const upstreamSources = [];
+
+  const relay = data => {
+    if (data.error) {
+      throw new Error(data.error.message || data.error.detail || JSON.stringify(data.error));
+    }
+    // Open WebUI envía las fuentes en un evento propio antes del texto
+    if (data.sources || data.citations) {
+      upstreamSources.push(...(data.sources || data.citations));
+    }
+    if (data.usage) usage = data.usage;
+    if (data.model) model = data.model;
+
+    const choices = data.choices || [];
+    if (choices.length === 0) return;
+
+    const delta = choices[0].delta || choices[0].message || {};
+    if (typeof delta.content === 'string') content += delta.content;
+    stream.sendData({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: choices.map(choice => ({
+        index: choice.index ?? 0,
+        delta: choice.delta || choice.message || {},
+        finish_reason: choice.finish_reason ?? null
+      }))
+    });
+  };
+
+  try {
+    if ((upstream.headers.get('content-type') || '').includes('application/json')) {
+      // Open WebUI respondió sin streaming: se reenvía como un único chunk
+      relay(await upstream.json());
+    } else {
+      for await (const data of parseEventStream(upstream.body)) {
+        if (data === '[DONE]') break;
+        try {
+          relay(JSON.parse(data));
+        } catch (error) {
+          if (error instanceof SyntaxError) continue;
+          throw error;
+        }
+      }
+    }
+
+    const sources = retrieval
+      ? retrieval.chunks.map((chunk, index) => sourceFromChunk(chunk, index + 1))
+      : sourcesFromOpenWebUI({ sources: upstreamSources });
+    const citations = extractCitations(content, sources);
+    stream.sendData({ id, object: 'chat.completion.chunk', created, model, choices: [], usage, sources, citations, ...extra });
+    logger.info(`[RAG] Stream completado`, { chars: content.length, sources: sources.length, citations: citations.length });
+  } catch (error) {
+    if (controller.signal.aborted || stream.closed) {
+      logger.info('[RAG] Cliente desconectado, stream de Open WebUI abortado');
+      return;
+    }
+    logger.error('[RAG] Error en el stream de Open WebUI', { error: error.message });
+    stream.sendData({ error: { message: error.message, type: 'upstream_error' } });
+  }
+
+  if (format === 'sse') stream.sendData('[DONE]');
+  stream.close();
+}
+
 /**
  * Consulta el RAG de Open WebUI usando Knowledge Base
  * POST /query-rag
- * Body: { query: string, model?: string, knowledgeId?: string }
+ * Body: {
+ *   query: string,
+ *   model?: string,
+ *   knowledgeId?: string | string[], knowledgeIds?: string[], group?: string,
+ *   sourcesMode?: 'openwebui' | 'proxy',   // origen de las fuentes (default: RAG_SOURCES_MODE u openwebui)
+ *   mode?, topK?, minScore?, filters?,     // retrieval del modo proxy (mismas opciones que /retrieve-only)
+ *   stream?: boolean                       // tokens por SSE en formato OpenAI (también Accept: text/event-stream)
+ * }
+ * Con varias Knowledge Bases se pasan todas como collections al chat completion.
+ * La respuesta incluye sources (fuentes numeradas) y citations (marcadores [n] del texto).
+ * En modo proxy el proxy recupera los fragmentos y los envía numerados al modelo (retrieve-then-generate).
+ * En streaming, usage, sources y citations llegan en el último chunk, antes de data: [DONE].
  */
-app.post('/query-rag', async (req, res) => {
+app.post('/query-rag', requireScope('rag-read'), rateLimit('rag-read'), async (req, res) => {
   try {
-    const { query, model, knowledgeId } = req.body;
-    const apiKey = getApiKey(req.body.apiKey);
-    const kbId = knowledgeId || OPENWEBUI_KNOWLEDGE_ID;
+    const { query, model } = req.body;
+    const apiKey = getApiKey(req, req.body.apiKey);
+    const kbIds = knowledgeGroups.resolve(req.body, OPENWEBUI_KNOWLEDGE_ID);
+    const sourcesMode = req.body.sourcesMode || RAG_SOURCES_MODE;
 
     if (!query) {
       return res.status(400).json({ error: 'query is required' });
@@ -1693,7 +3285,16 @@ app.post('/query-rag', async (req, res) => {
       return res.status(400).json({ error: 'API Key not configured' });
     }
 
-    console.log(`[RAG] Consultando: ${query}`);
+    if (!SOURCES_MODES.includes(sourcesMode)) {
+      throw new RetrievalError(`sourcesMode must be one of: ${SOURCES_MODES.join(', ')}`);
+    }
+
+    if (sourcesMode === 'proxy' && kbIds.length === 0) {
+      return res.status(400).json({ error: 'Knowledge Base ID not configured' });
+    }
+
+    logger.info(`[RAG] Consultando: ${query}`, { knowledgeIds: kbIds, sourcesMode });
+    const client = openWebUI.withApiKey(apiKey);
 
     // Construir request body
     // Usar el modelo especificado, o el configurado en env, o dejar que Open WebUI use el default
@@ -1713,287 +3314,384 @@ app.post('/query-rag', async (req, res) => {
       requestBody.model = modelToUse;
     }
 
-    // Si hay Knowledge Base, usar como collection
-    if (kbId) {
-      requestBody.files = [
-        {
-          type: 'collection',
-          id: kbId
-        }
-      ];
+    let retrieval = null;
+    if (sourcesMode === 'proxy') {
+      // Retrieve-then-generate: los fragmentos van numerados en el prompt de sistema
+      const options = parseRetrievalOptions(req.body, RAG_PROXY_TOP_K);
+      retrieval = await retrieveChunks(client, { apiKey, kbIds, query, ...options });
+      requestBody.messages.unshift({ role: 'system', content: buildCitationPrompt(retrieval.chunks) });
+    } else if (kbIds.length > 0) {
+      // Si hay Knowledge Bases, usarlas como collections
+      requestBody.files = kbIds.map(kbId => ({
+        type: 'collection',
+        id: kbId
+      }));
     }
 
-    const response = await fetch(`${OPENWEBUI_URL}/api/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Error en consulta RAG: ${response.status} - ${errorText}`);
+    const streamFormat = getStreamFormat(req);
+    if (streamFormat) {
+      return await streamRagAnswer(res, client, requestBody, {
+        format: streamFormat,
+        retrieval,
+        extra: {
+          sourcesMode,
+          retrievalMethod: retrieval ? retrieval.method : undefined,
+          knowledgeBasesUsed: kbIds
+        }
+      });
     }
 
-    const result = await response.json();
-    console.log(`[RAG] Respuesta recibida`);
+    const result = await client.chatCompletion(requestBody);
+    const response = result.choices?.[0]?.message?.content || result.message?.content || result;
+
+    const sources = retrieval
+      ? retrieval.chunks.map((chunk, index) => sourceFromChunk(chunk, index + 1))
+      : sourcesFromOpenWebUI(result);
+    const citations = typeof response === 'string' ? extractCitations(response, sources) : [];
+    logger.info(`[RAG] Respuesta recibida`, { sources: sources.length, citations: citations.length });
 
     res.json({
       success: true,
-      response: result.choices?.[0]?.message?.content || result.message?.content || result,
+      response,
       usage: result.usage,
-      knowledgeBaseUsed: kbId || null
+      sources,
+      citations,
+      sourcesMode,
+      retrievalMethod: retrieval ? retrieval.method : undefined,
+      knowledgeBaseUsed: kbIds[0] || null,
+      knowledgeBasesUsed: kbIds
     });
 
   } catch (error) {
-    console.error('[RAG] Query error:', error.message);
-    res.status(500).json({
-      error: 'Error consultando RAG',
-      message: error.message
-    });
+    if (error instanceof RetrievalError || error instanceof KnowledgeGroupError) {
+      return res.status(error.statusCode).json({ error: 'Invalid RAG options', message: error.message });
+    }
+    logger.error('[RAG] Query error', { error: error.message });
+    sendRagError(res, error, 'Error consultando RAG');
   }
 });
 
 
 /**
- * Retrieval-only: Obtiene fragmentos relevantes sin generación
- * POST /retrieve-only
- * Body: { query: string, knowledgeId?: string, topK?: number }
- *
- * Esto permite usar RAG sin necesidad de tener un modelo configurado en Open WebUI.
- * Los fragmentos retornados pueden pasarse al modelo principal del add-in (Azure OpenAI).
+ * Helper: Fragmento del retrieval local en el formato de respuesta de /retrieve-only
  */
-app.post('/retrieve-only', async (req, res) => {
-  try {
-    const { query, knowledgeId, topK = 8 } = req.body;
-    const apiKey = getApiKey(req.body.apiKey);
-    const kbId = knowledgeId || OPENWEBUI_KNOWLEDGE_ID;
+function toLocalChunk(chunk, source) {
+  return {
+    content: chunk.content,
+    filename: chunk.filename,
+    fileId: chunk.fileId,
+    heading: chunk.heading,
+    score: normalizeLexicalScore(chunk.score),
+    rawScore: chunk.score,
+    source,
+    chunkIndex: chunk.chunkIndex
+  };
+}
 
-    if (!query) {
-      return res.status(400).json({ error: 'query is required' });
-    }
+/**
+ * Helper: Metadatos filtrables de los archivos (fileId -> { filename, uploadedAt })
+ */
+function buildFileInfo(files) {
+  return new Map(files.map(file => [file.id || file.file_id, {
+    filename: file.filename || file.meta?.name || null,
+    uploadedAt: fileUploadedAt(file)
+  }]));
+}
 
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API Key not configured' });
-    }
+/**
+ * Helper: Retrieval vectorial de Open WebUI probando los formatos de collection_name
+ * @returns {Promise<Array<Object>>} fragmentos con relevancia normalizada (vacío si no hay resultados)
+ */
+async function vectorRetrieve(client, kbId, query, k) {
+  const collectionFormats = [
+    kbId,                    // ID directo
+    `file-${kbId}`,          // Con prefijo file-
+  ];
 
-    if (!kbId) {
-      return res.status(400).json({ error: 'Knowledge Base ID not configured' });
+  for (const collectionName of collectionFormats) {
+    try {
+      logger.debug(`[RAG] Probando collection_name: ${collectionName}`);
+
+      const chunks = normalizeVectorResults(await client.queryCollection({ collectionNames: [collectionName], query, k }), collectionName);
+      if (chunks.length > 0) {
+        logger.info(`[RAG] Retrieval exitoso con ${collectionName}: ${chunks.length} documentos`);
+        return chunks;
+      }
+      logger.debug(`[RAG] Collection ${collectionName}: respuesta OK pero 0 documentos`);
+    } catch (err) {
+      logger.debug(`[RAG] Collection ${collectionName}: ${err.message}`);
     }
+  }
 
-    console.log(`[RAG] Retrieval-only para: "${query}" (top ${topK})`);
+  return [];
+}
 
-    // Estrategia 1: Intentar retrieval vectorial con diferentes formatos de collection_name
-    const collectionFormats = [
-      kbId,                    // ID directo
-      `file-${kbId}`,          // Con prefijo file-
-    ];
+/**
+ * Helper: Búsqueda léxica (BM25) sobre una lista de archivos de Open WebUI
+ * @returns {Promise<{ chunks: Array<Object>, index: Object }>}
+ */
+async function searchLocalIndex(client, files, { scope, query, topK, filters, source }) {
+  const fileInfo = buildFileInfo(files);
+  const local = await localRetriever.search(client, {
+    scope,
+    files,
+    query,
+    topK,
+    filter: filters ? chunk => matchesFilters(fileInfo.get(chunk.fileId), filters) : null
+  });
+  return { chunks: local.chunks.map(chunk => toLocalChunk(chunk, source)), index: local.index };
+}
 
-    let retrievalSuccess = false;
-    let chunks = [];
-    let usedMethod = 'none';
+/**
+ * Helper: Candidatos vectoriales y léxicos de una Knowledge Base, etiquetados con su origen
+ * Los errores de una KB no cortan la consulta: quedan en el campo error
+ */
+async function retrieveFromKnowledgeBase(client, kbId, { apiKey, query, mode, candidates, filters }) {
+  const result = { knowledgeId: kbId, name: null, vector: [], lexical: [], lexicalMethod: null, localIndex: null, error: null };
+
+  let kbFiles = null;
+  const getKbFiles = async () => {
+    if (!kbFiles) {
+      const kbData = await client.getKnowledgeBase(kbId);
+      logger.info(`[RAG] KB ${kbData.name}: ${kbData.files?.length || 0} archivos`);
+      result.name = kbData.name || null;
+      kbFiles = kbData.files || [];
+    }
+    return kbFiles;
+  };
 
-    for (const collectionName of collectionFormats) {
-      if (retrievalSuccess) break;
+  // Estrategia 1: retrieval vectorial de Open WebUI
+  if (mode !== 'lexical') {
+    result.vector = await vectorRetrieve(client, kbId, query, candidates);
 
+    if (filters && result.vector.length > 0) {
+      let files = [];
       try {
-        console.log(`[RAG] Probando collection_name: ${collectionName}`);
-
-        const retrievalResponse = await fetch(`${OPENWEBUI_URL}/api/v1/retrieval/query`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            collection_names: [collectionName],
-            query: query,
-            k: topK
-          })
-        });
-
-        if (retrievalResponse.ok) {
-          const retrievalData = await retrievalResponse.json();
-          const documents = retrievalData.documents || retrievalData.results || [];
-
-          if (documents.length > 0) {
-            chunks = documents.map((doc, index) => ({
-              content: typeof doc === 'string' ? doc : (doc.content || doc.text || doc.page_content || JSON.stringify(doc)),
-              metadata: typeof doc === 'object' ? (doc.metadata || {}) : {},
-              score: doc.score || doc.distance || null,
-              source: 'vector_search',
-              collectionName: collectionName,
-              index: index
-            }));
-            retrievalSuccess = true;
-            usedMethod = 'vector_retrieval';
-            console.log(`[RAG] Retrieval exitoso con ${collectionName}: ${chunks.length} documentos`);
-          } else {
-            console.log(`[RAG] Collection ${collectionName}: respuesta OK pero 0 documentos`);
-          }
-        } else {
-          console.log(`[RAG] Collection ${collectionName}: error ${retrievalResponse.status}`);
-        }
+        files = await getKbFiles();
       } catch (err) {
-        console.log(`[RAG] Collection ${collectionName}: excepción - ${err.message}`);
+        // Sin fecha de subida los filtros por fecha descartan todo: se informa en vez de callarlo
+        logger.warn(`[RAG] No se pudieron leer los archivos de la KB ${kbId} para filtrar`, { error: err.message });
+        result.error = `Filters could not be applied: ${err.message}`;
       }
+      const fileInfo = buildFileInfo(files);
+      result.vector = result.vector.filter(chunk =>
+        matchesFilters(fileInfo.get(chunk.fileId) || { filename: chunk.filename, uploadedAt: null }, filters));
     }
+  }
 
-    // Estrategia 2: Si no hay resultados vectoriales, obtener contenido de archivos de la KB
-    if (!retrievalSuccess || chunks.length === 0) {
-      console.log(`[RAG] Retrieval vectorial sin resultados, obteniendo archivos de KB...`);
+  // Estrategia 2: retrieval léxico (BM25) sobre los archivos de la KB
+  if (mode === 'lexical' || mode === 'hybrid' || (mode === 'auto' && result.vector.length === 0)) {
+    if (mode === 'auto') {
+      logger.info(`[RAG] Retrieval vectorial sin resultados en ${kbId}, buscando en los archivos de la KB...`);
+    }
 
-      try {
-        const kbResponse = await fetch(`${OPENWEBUI_URL}/api/v1/knowledge/${kbId}`, {
-          headers: { 'Authorization': `Bearer ${apiKey}` }
+    try {
+      const files = await getKbFiles();
+      if (files.length > 0) {
+        const local = await searchLocalIndex(client, files, {
+          scope: retrievalScope(apiKey, kbId),
+          query,
+          topK: candidates,
+          filters,
+          source: 'file_content'
         });
-
-        if (kbResponse.ok) {
-          const kbData = await kbResponse.json();
-          console.log(`[RAG] KB ${kbData.name}: ${kbData.files?.length || 0} archivos`);
-
-          if (kbData.files && kbData.files.length > 0) {
-            for (const file of kbData.files.slice(0, 5)) {
-              try {
-                const fileId = file.id || file.file_id;
-                console.log(`[RAG] Obteniendo archivo de KB: ${fileId}`);
-
-                const fileResponse = await fetch(`${OPENWEBUI_URL}/api/v1/files/${fileId}`, {
-                  headers: { 'Authorization': `Bearer ${apiKey}` }
-                });
-
-                if (fileResponse.ok) {
-                  const fileData = await fileResponse.json();
-                  console.log(`[RAG] Archivo ${fileId}: data.content = ${fileData.data?.content ? 'SI' : 'NO'} (${fileData.data?.content?.length || 0} chars)`);
-
-                  if (fileData.data && fileData.data.content) {
-                    const content = fileData.data.content;
-                    const chunkSize = 1500;
-
-                    if (content.length <= chunkSize) {
-                      chunks.push({
-                        content: content,
-                        filename: fileData.filename || file.filename || 'unknown',
-                        fileId: fileId,
-                        source: 'file_content',
-                        chunkIndex: 0
-                      });
-                    } else {
-                      const maxChunks = Math.min(Math.ceil(content.length / chunkSize), topK);
-                      for (let i = 0; i < maxChunks; i++) {
-                        chunks.push({
-                          content: content.substring(i * chunkSize, (i + 1) * chunkSize),
-                          filename: fileData.filename || file.filename || 'unknown',
-                          fileId: fileId,
-                          source: 'file_content',
-                          chunkIndex: i
-                        });
-                      }
-                    }
-                    usedMethod = 'file_content';
-                  }
-                }
-              } catch (err) {
-                console.warn(`[RAG] Error procesando archivo de KB:`, err.message);
-              }
-            }
-          }
+        result.lexical = local.chunks;
+        result.localIndex = local.index;
+        if (local.index.files > 0) {
+          result.lexicalMethod = 'file_content';
         }
-      } catch (err) {
-        console.warn(`[RAG] Error obteniendo KB:`, err.message);
       }
+    } catch (err) {
+      logger.warn(`[RAG] Error obteniendo KB ${kbId}`, { error: err.message });
+      result.error = err.message;
     }
+  }
 
-    // Estrategia 3: Si la KB está vacía, buscar en TODOS los archivos de Open WebUI
-    if (chunks.length === 0) {
-      console.log(`[RAG] KB vacía, buscando en todos los archivos de Open WebUI...`);
+  const label = chunk => Object.assign(chunk, { knowledgeId: kbId, knowledgeBaseName: result.name });
+  result.vector.forEach(label);
+  result.lexical.forEach(label);
+  return result;
+}
 
-      try {
-        const filesResponse = await fetch(`${OPENWEBUI_URL}/api/v1/files/`, {
-          headers: { 'Authorization': `Bearer ${apiKey}` }
-        });
+function byScore(a, b) {
+  return (b.score ?? -1) - (a.score ?? -1);
+}
 
-        if (filesResponse.ok) {
-          const allFiles = await filesResponse.json();
-          console.log(`[RAG] Total archivos en Open WebUI: ${allFiles.length}`);
+const RETRIEVAL_MAX_TOP_K = 50;
 
-          // Ordenar por fecha de creación (más recientes primero) y tomar los primeros 5
-          const sortedFiles = allFiles
-            .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0))
-            .slice(0, 5);
+/**
+ * Helper: Valida las opciones de retrieval del body (mode, minScore, filters, topK)
+ * topK se acota a RETRIEVAL_MAX_TOP_K (los candidatos pedidos a Open WebUI son hasta 3×topK)
+ * @throws {RetrievalError}
+ */
+function parseRetrievalOptions(body, defaultTopK = 8) {
+  const mode = body.mode || 'auto';
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw new RetrievalError(`mode must be one of: ${RETRIEVAL_MODES.join(', ')}`);
+  }
 
-          for (const file of sortedFiles) {
-            try {
-              const fileId = file.id;
-              console.log(`[RAG] Obteniendo archivo global: ${fileId} (${file.filename || file.meta?.name || 'unknown'})`);
+  const minScore = body.minScore === undefined || body.minScore === null ? null : Number(body.minScore);
+  if (minScore !== null && !(minScore >= 0 && minScore <= 1)) {
+    throw new RetrievalError('minScore must be a number between 0 and 1');
+  }
 
-              const fileResponse = await fetch(`${OPENWEBUI_URL}/api/v1/files/${fileId}`, {
-                headers: { 'Authorization': `Bearer ${apiKey}` }
-              });
+  return {
+    mode,
+    minScore,
+    filters: parseRetrievalFilters(body.filters),
+    limit: Math.min(Math.max(parseInt(body.topK, 10) || defaultTopK, 1), RETRIEVAL_MAX_TOP_K)
+  };
+}
 
-              if (fileResponse.ok) {
-                const fileData = await fileResponse.json();
-                console.log(`[RAG] Archivo ${fileId}: data.content = ${fileData.data?.content ? 'SI' : 'NO'} (${fileData.data?.content?.length || 0} chars)`);
-
-                if (fileData.data && fileData.data.content) {
-                  const content = fileData.data.content;
-                  const chunkSize = 1500;
-
-                  if (content.length <= chunkSize) {
-                    chunks.push({
-                      content: content,
-                      filename: fileData.filename || file.filename || file.meta?.name || 'unknown',
-                      fileId: fileId,
-                      source: 'all_files',
-                      chunkIndex: 0
-                    });
-                  } else {
-                    const maxChunks = Math.min(Math.ceil(content.length / chunkSize), topK);
-                    for (let i = 0; i < maxChunks; i++) {
-                      chunks.push({
-                        content: content.substring(i * chunkSize, (i + 1) * chunkSize),
-                        filename: fileData.filename || file.filename || file.meta?.name || 'unknown',
-                        fileId: fileId,
-                        source: 'all_files',
-                        chunkIndex: i
-                      });
-                    }
-                  }
-                  usedMethod = 'all_files_fallback';
-
-                  // Si ya tenemos suficientes chunks, salir
-                  if (chunks.length >= topK) break;
-                }
-              }
-            } catch (err) {
-              console.warn(`[RAG] Error procesando archivo global:`, err.message);
-            }
-          }
-        }
-      } catch (err) {
-        console.warn(`[RAG] Error obteniendo archivos globales:`, err.message);
+/**
+ * Helper: Retrieval sobre una o varias Knowledge Bases (usado por /retrieve-only y /query-rag)
+ * @returns {Promise<Object>} { chunks, method, results, candidates, localIndex }
+ */
+async function retrieveChunks(client, { apiKey, kbIds, query, mode, minScore, filters, limit }) {
+  // Con filtros, umbral o fusión se piden más candidatos para no quedarse cortos al descartar
+  const candidates = filters || minScore !== null || mode === 'hybrid' ? limit * 3 : limit;
+
+  const results = await Promise.all(kbIds.map(kbId =>
+    retrieveFromKnowledgeBase(client, kbId, { apiKey, query, mode, candidates, filters })));
+
+  const vectorChunks = results.flatMap(result => result.vector).sort(byScore);
+  let lexicalChunks = results.flatMap(result => result.lexical).sort(byScore);
+  const indexed = results.filter(result => result.localIndex);
+  let localIndex = indexed.length === 0 ? null : {
+    files: indexed.reduce((sum, result) => sum + result.localIndex.files, 0),
+    chunks: indexed.reduce((sum, result) => sum + result.localIndex.chunks, 0),
+    rebuilt: indexed.some(result => result.localIndex.rebuilt)
+  };
+  const methods = new Set(results.map(result => (result.vector.length > 0 ? 'vector_retrieval' : result.lexicalMethod)).filter(Boolean));
+
+  // Estrategia 3 (solo auto): si las KBs no tienen contenido, buscar en los archivos más recientes de Open WebUI
+  if (mode === 'auto' && vectorChunks.length === 0 && lexicalChunks.length === 0 && !localIndex?.files) {
+    logger.info(`[RAG] KB vacía, buscando en todos los archivos de Open WebUI...`);
+
+    try {
+      const allFiles = await client.listFiles();
+      logger.info(`[RAG] Total archivos en Open WebUI: ${allFiles.length}`);
+
+      // Ordenar por fecha de creación (más recientes primero)
+      const sortedFiles = allFiles.sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+      const local = await searchLocalIndex(client, sortedFiles, {
+        scope: retrievalScope(apiKey, null),
+        query,
+        topK: candidates,
+        filters,
+        source: 'all_files'
+      });
+      lexicalChunks = local.chunks.map(chunk => ({ ...chunk, knowledgeId: null, knowledgeBaseName: null }));
+      localIndex = local.index;
+      if (local.index.files > 0) {
+        methods.add('all_files_fallback');
       }
+    } catch (err) {
+      logger.warn(`[RAG] Error obteniendo archivos globales`, { error: err.message });
+    }
+  }
+
+  let chunks;
+  let method;
+  if (mode === 'hybrid') {
+    chunks = fuseResults({ vector: vectorChunks, lexical: lexicalChunks });
+    method = 'hybrid';
+  } else {
+    // Cada KB aporta sus resultados vectoriales o, si no tuvo, los léxicos
+    chunks = [...vectorChunks, ...lexicalChunks].sort(byScore);
+    method = methods.size === 0 ? 'none' : methods.size === 1 ? [...methods][0] : 'mixed';
+  }
+
+  if (minScore !== null) {
+    chunks = chunks.filter(chunk => chunk.score !== null && chunk.score >= minScore);
+  }
+  chunks = dedupeChunks(chunks).slice(0, limit);
+
+  logger.info(`[RAG] Resultado final: ${chunks.length} chunks (método: ${method})`, {
+    vectorCandidates: vectorChunks.length,
+    lexicalCandidates: lexicalChunks.length
+  });
+
+  return {
+    chunks,
+    method,
+    results,
+    candidates: { vector: vectorChunks.length, lexical: lexicalChunks.length },
+    localIndex
+  };
+}
+
+/**
+ * Retrieval-only: Obtiene fragmentos relevantes sin generación
+ * POST /retrieve-only
+ * Body: {
+ *   query: string,
+ *   knowledgeId?: string | string[],                  // una o varias Knowledge Bases
+ *   knowledgeIds?: string[],
+ *   group?: string,                                   // grupo con nombre (KNOWLEDGE_GROUPS)
+ *   topK?: number,
+ *   mode?: 'auto' | 'vector' | 'lexical' | 'hybrid',  // auto (default): vectorial y, si no hay resultados, léxico
+ *   minScore?: number,                                // relevancia mínima (0..1)
+ *   filters?: { filename?: string | string[], uploadedAfter?: string, uploadedBefore?: string }
+ * }
+ *
+ * Esto permite usar RAG sin necesidad de tener un modelo configurado en Open WebUI.
+ * Los fragmentos retornados pueden pasarse al modelo principal del add-in (Azure OpenAI).
+ * El retrieval léxico usa un índice BM25 local sobre los archivos de la KB (lib/local-retrieval.js);
+ * el modo hybrid combina ambos con Reciprocal Rank Fusion (lib/hybrid-retrieval.js).
+ * score es siempre una relevancia 0..1 (1 = más relevante); rawScore conserva el valor de origen.
+ * Con varias KBs se consultan en paralelo y cada fragmento indica su knowledgeId de origen.
+ */
+app.post('/retrieve-only', requireScope('rag-read'), rateLimit('rag-read'), async (req, res) => {
+  try {
+    const { query } = req.body;
+    const apiKey = getApiKey(req, req.body.apiKey);
+    const kbIds = knowledgeGroups.resolve(req.body, OPENWEBUI_KNOWLEDGE_ID);
+
+    if (!query) {
+      return res.status(400).json({ error: 'query is required' });
     }
 
-    console.log(`[RAG] Resultado final: ${chunks.length} chunks (método: ${usedMethod})`);
+    if (!apiKey) {
+      return res.status(400).json({ error: 'API Key not configured' });
+    }
+
+    if (kbIds.length === 0) {
+      return res.status(400).json({ error: 'Knowledge Base ID not configured' });
+    }
+
+    const options = parseRetrievalOptions(req.body);
+
+    logger.info(`[RAG] Retrieval-only para: "${query}" (top ${options.limit}, modo ${options.mode}, ${kbIds.length} KB)`);
+    const retrieval = await retrieveChunks(openWebUI.withApiKey(apiKey), { apiKey, kbIds, query, ...options });
 
     res.json({
       success: true,
-      method: usedMethod,
+      method: retrieval.method,
+      mode: options.mode,
       query: query,
-      chunks: chunks,
-      knowledgeBaseId: kbId,
-      totalChunks: chunks.length
+      chunks: retrieval.chunks,
+      knowledgeBaseId: kbIds[0],
+      knowledgeBaseIds: kbIds,
+      knowledgeBases: retrieval.results.map(result => ({
+        id: result.knowledgeId,
+        name: result.name,
+        vector: result.vector.length,
+        lexical: result.lexical.length,
+        error: result.error
+      })),
+      totalChunks: retrieval.chunks.length,
+      candidates: retrieval.candidates,
+      minScore: options.minScore,
+      localIndex: retrieval.localIndex
     });
 
   } catch (error) {
-    console.error('[RAG] Retrieve-only error:', error.message);
-    res.status(500).json({
-      error: 'Error en retrieval',
-      message: error.message
-    });
+    if (error instanceof RetrievalError || error instanceof KnowledgeGroupError) {
+      return res.status(error.statusCode).json({ error: 'Invalid retrieval options', message: error.message });
+    }
+    logger.error('[RAG] Retrieve-only error', { error: error.message });
+    sendRagError(res, error, 'Error en retrieval');
   }
 });
 
@@ -2001,40 +3699,28 @@ app.post('/retrieve-only', async (req, res) => {
  * Lista Knowledge Bases disponibles
  * GET /list-knowledge-bases
  */
-app.get('/list-knowledge-bases', async (req, res) => {
+app.get('/list-knowledge-bases', requireScope('rag-read'), rateLimit('rag-read'), async (req, res) => {
   try {
-    const apiKey = getApiKey(req.query.apiKey);
+    const apiKey = getApiKey(req, req.query.apiKey);
 
     if (!apiKey) {
       return res.status(400).json({ error: 'API Key not configured' });
     }
 
-    const response = await fetch(`${OPENWEBUI_URL}/api/v1/knowledge/`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Error listando knowledge bases: ${response.status}`);
-    }
-
-    const knowledgeBases = await response.json();
-    console.log(`[RAG] ${knowledgeBases.length || 0} knowledge bases encontradas`);
+    const knowledgeBases = await openWebUI.withApiKey(apiKey).listKnowledgeBases();
+    logger.info(`[RAG] ${knowledgeBases.length || 0} knowledge bases encontradas`);
 
     res.json({
       success: true,
       knowledgeBases,
       configuredKnowledgeId: OPENWEBUI_KNOWLEDGE_ID || null,
+      knowledgeGroups: knowledgeGroups.list(),
       openwebuiUrl: OPENWEBUI_URL
     });
 
   } catch (error) {
-    console.error('[RAG] List KB error:', error.message);
-    res.status(500).json({
-      error: 'Error listando knowledge bases',
-      message: error.message
-    });
+    logger.error('[RAG] List KB error', { error: error.message });
+    sendRagError(res, error, 'Error listando knowledge bases');
   }
 });
 
@@ -2042,26 +3728,16 @@ app.get('/list-knowledge-bases', async (req, res) => {
  * Lista archivos en Open WebUI
  * GET /list-rag-files
  */
-app.get('/list-rag-files', async (req, res) => {
+app.get('/list-rag-files', requireScope('rag-read'), rateLimit('rag-read'), async (req, res) => {
   try {
-    const apiKey = getApiKey(req.query.apiKey);
+    const apiKey = getApiKey(req, req.query.apiKey);
 
     if (!apiKey) {
       return res.status(400).json({ error: 'API Key not configured' });
     }
 
-    const response = await fetch(`${OPENWEBUI_URL}/api/v1/files/`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Error listando archivos: ${response.status}`);
-    }
-
-    const files = await response.json();
-    console.log(`[RAG] ${files.length || 0} archivos encontrados`);
+    const files = await openWebUI.withApiKey(apiKey).listFiles();
+    logger.info(`[RAG] ${files.length || 0} archivos encontrados`);
 
     res.json({
       success: true,
@@ -2070,49 +3746,58 @@ app.get('/list-rag-files', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('[RAG] List error:', error.message);
-    res.status(500).json({
-      error: 'Error listando archivos',
-      message: error.message
-    });
+    logger.error('[RAG] List error', { error: error.message });
+    sendRagError(res, error, 'Error listando archivos');
   }
 });
 
 
 // Global error handlers
 process.on('uncaughtException', (error) => {
-  console.error('[FATAL] Uncaught Exception:', error.message);
-  console.error(error.stack);
+  logger.error('[FATAL] Uncaught Exception', { error: error.message, stack: error.stack });
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('[FATAL] Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.error('[FATAL] Unhandled Rejection', { reason: reason instanceof Error ? reason : String(reason) });
 });
 
-process.on('SIGTERM', () => {
-  console.log('[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
+process.on('SIGTERM', async () => {
+  logger.info('[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
+  await browserPool.close();
+  await rateLimiter.close();
+  ingestJobs.close();
+  await dedupeIndex.flush();
+  await sourceWatcher.stop();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
-  console.log('[SHUTDOWN] Received SIGINT, shutting down gracefully...');
+process.on('SIGINT', async () => {
+  logger.info('[SHUTDOWN] Received SIGINT, shutting down gracefully...');
+  await browserPool.close();
+  await rateLimiter.close();
+  ingestJobs.close();
+  await dedupeIndex.flush();
+  await sourceWatcher.stop();
   process.exit(0);
 });
 
 // Start server
 const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log('========================================');
-  console.log(`SearXNG Proxy v${VERSION} (${BUILD_DATE})`);
-  console.log(`Running on port ${PORT}`);
-  console.log(`Proxying to: ${SEARXNG_URL}`);
-  console.log(`Open WebUI RAG: ${OPENWEBUI_URL}`);
-  console.log(`API Key configured: ${OPENWEBUI_API_KEY ? 'Yes' : 'No'}`);
-  console.log(`Knowledge Base ID: ${OPENWEBUI_KNOWLEDGE_ID || 'Not configured'}`);
-  console.log(`Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB used`);
-  console.log('========================================');
+  logger.info(`[Server] SearXNG Proxy v${VERSION} escuchando en el puerto ${PORT}`, {
+    version: VERSION,
+    buildDate: BUILD_DATE,
+    port: Number(PORT),
+    searxngUrl: SEARXNG_URL,
+    openwebuiUrl: OPENWEBUI_URL,
+    openwebuiKeyConfigured: Boolean(OPENWEBUI_API_KEY),
+    knowledgeBaseId: OPENWEBUI_KNOWLEDGE_ID || null,
+    proxyAuth: auth.enabled ? `${auth.store.size} client(s)` : 'disabled',
+    heapUsedMb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
+  });
+  sourceWatcher.start();
 });
 
 // Handle server errors
 server.on('error', (error) => {
-  console.error('[SERVER ERROR]:', error.message);
+  logger.error('[Server] Error', { error: error.message });
 });